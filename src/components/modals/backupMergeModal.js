@@ -0,0 +1,237 @@
+/**
+ * BackupMergeModal - Merge a JSON backup into local data instead of replacing it
+ *
+ * Flow: choose backup file → diff trades and cash flow by id →
+ * pick a side per conflict → apply without reloading
+ */
+
+import { state } from '../../core/state.js';
+import { showToast } from '../ui/ui.js';
+import { formatCurrency, formatDate } from '../../core/utils.js';
+import { dataManager } from '../../core/dataManager.js';
+import { decompressTradeNotes } from '../../utils/compression.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+import { escapeHtml } from '../../utils/htmlUtils.js';
+import { buildMergePlan, applyMergePlan, getMergeKey } from '../../utils/backupMerge.js';
+
+const KIND_LABELS = {
+  new: 'New',
+  changed: 'Changed',
+  conflict: 'Conflict'
+};
+
+class BackupMergeModal {
+  constructor() {
+    this.elements = {};
+    this.fileName = '';
+    this.plan = null;
+    this.resolutions = {}; // { [mergeKey]: 'local' | 'backup' }
+  }
+
+  init() {
+    this.elements = {
+      modal: document.getElementById('backupMergeModal'),
+      overlay: document.getElementById('backupMergeModalOverlay'),
+      closeBtn: document.getElementById('closeBackupMergeBtn'),
+      cancelBtn: document.getElementById('cancelBackupMergeBtn'),
+      confirmBtn: document.getElementById('confirmBackupMergeBtn'),
+      fileInput: document.getElementById('backupMergeFile'),
+      fileName: document.getElementById('backupMergeFileName'),
+      summary: document.getElementById('backupMergeSummary'),
+      bulkActions: document.getElementById('backupMergeBulkActions'),
+      tableWrap: document.getElementById('backupMergeTableWrap'),
+      diffBody: document.getElementById('backupMergeDiffBody')
+    };
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.cancelBtn?.addEventListener('click', () => this.close());
+    this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
+    this.elements.fileInput?.addEventListener('change', (e) => this.handleFile(e.target.files[0]));
+
+    // Conflict selects are re-rendered per file, so delegate
+    this.elements.diffBody?.addEventListener('change', (e) => {
+      const key = e.target.dataset.mergeKey;
+      if (key) this.resolutions[key] = e.target.value;
+    });
+
+    this.elements.bulkActions?.addEventListener('click', (e) => {
+      const side = e.target.closest('[data-merge-all]')?.dataset.mergeAll;
+      if (side) this.resolveAll(side);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  open() {
+    if (!this.elements.modal) return;
+
+    this.fileName = '';
+    this.plan = null;
+    this.resolutions = {};
+    if (this.elements.fileInput) this.elements.fileInput.value = '';
+    if (this.elements.fileName) this.elements.fileName.textContent = 'No file selected';
+    this.render();
+
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+
+  handleFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+      let data;
+      try {
+        data = await dataManager.parseBackupFile(event.target.result);
+      } catch (err) {
+        console.error('Backup parse error:', err);
+        showToast('❌ Failed to read backup file', 'error');
+        return;
+      }
+      if (!data) return;
+
+      if (!data.settings || !Array.isArray(data.journal)) {
+        showToast('❌ Invalid backup file format', 'error');
+        return;
+      }
+
+      const backup = {
+        journal: data.journal.map(trade => decompressTradeNotes(trade)),
+        cashFlow: data.cashFlow
+      };
+
+      this.fileName = file.name;
+      if (this.elements.fileName) this.elements.fileName.textContent = file.name;
+      this.plan = buildMergePlan({ journal: state.journal.entries, cashFlow: state.cashFlow }, backup);
+      this.resolutions = {};
+      this.render();
+    };
+    reader.readAsText(file);
+  }
+
+  resolveAll(side) {
+    if (!this.plan) return;
+
+    this.plan.trades.filter(item => item.kind === 'conflict')
+      .forEach(item => { this.resolutions[getMergeKey('trade', item.id)] = side; });
+    this.plan.transactions.filter(item => item.kind === 'conflict')
+      .forEach(item => { this.resolutions[getMergeKey('transaction', item.id)] = side; });
+    this.render();
+  }
+
+  render() {
+    const plan = this.plan;
+    const hasChanges = plan && (plan.trades.length + plan.transactions.length) > 0;
+
+    if (this.elements.summary) {
+      this.elements.summary.style.display = plan ? '' : 'none';
+      this.elements.summary.innerHTML = plan ? `
+        <span><strong>${plan.counts.new}</strong> new</span>
+        <span><strong>${plan.counts.changed}</strong> changed</span>
+        <span><strong>${plan.counts.conflict}</strong> conflict${plan.counts.conflict !== 1 ? 's' : ''}</span>
+      ` : '';
+    }
+
+    if (this.elements.bulkActions) {
+      this.elements.bulkActions.style.display = plan?.counts.conflict > 0 ? '' : 'none';
+    }
+
+    if (this.elements.tableWrap) {
+      this.elements.tableWrap.style.display = plan ? '' : 'none';
+    }
+
+    if (this.elements.diffBody && plan) {
+      this.elements.diffBody.innerHTML = hasChanges
+        ? [
+          ...plan.trades.map(item => this.renderRow(item, 'trade')),
+          ...plan.transactions.map(item => this.renderRow(item, 'transaction'))
+        ].join('')
+        : '<tr><td colspan="4" class="csv-import__empty">Backup has nothing that isn\'t already here</td></tr>';
+    }
+
+    if (this.elements.confirmBtn) {
+      this.elements.confirmBtn.disabled = !hasChanges;
+    }
+  }
+
+  renderRow(item, collection) {
+    const record = item.incoming;
+    const label = collection === 'trade'
+      ? `<strong>${escapeHtml(record.ticker)}</strong> · ${getTradeEntryDateString(record)}`
+      : `${record.type === 'withdrawal' ? 'Withdrawal' : 'Deposit'} ${formatCurrency(record.amount)} · ${formatDate(record.timestamp)}`;
+
+    let detail;
+    if (item.kind === 'new') {
+      detail = collection === 'trade' ? `${record.status}, ${record.shares} @ ${formatCurrency(record.entry)}` : 'Added';
+    } else if (item.kind === 'changed') {
+      const events = (record.trimHistory?.length || 0) + (record.addHistory?.length || 0);
+      const localEvents = (item.local.trimHistory?.length || 0) + (item.local.addHistory?.length || 0);
+      detail = `Backup has ${events - localEvents} more trim/add event${events - localEvents !== 1 ? 's' : ''}`;
+    } else {
+      const key = getMergeKey(collection, item.id);
+      const choice = this.resolutions[key] || 'local';
+      detail = `
+        <div class="backup-merge__fields">${item.fields.map(escapeHtml).join(', ')}</div>
+        <select class="input backup-merge__choice" data-merge-key="${escapeHtml(key)}">
+          <option value="local" ${choice === 'local' ? 'selected' : ''}>Keep local</option>
+          <option value="backup" ${choice === 'backup' ? 'selected' : ''}>Use backup</option>
+        </select>
+      `;
+    }
+
+    const badge = item.kind === 'new' ? 'new' : 'update';
+    return `
+      <tr>
+        <td><span class="csv-import__badge csv-import__badge--${badge}">${KIND_LABELS[item.kind]}</span></td>
+        <td>${collection === 'trade' ? 'Trade' : 'Cash Flow'}</td>
+        <td>${label}</td>
+        <td>${detail}</td>
+      </tr>
+    `;
+  }
+
+  async confirm() {
+    if (!this.plan) return;
+
+    const merged = applyMergePlan(
+      { journal: state.journal.entries, cashFlow: state.cashFlow },
+      this.plan,
+      this.resolutions
+    );
+
+    try {
+      await dataManager.applyMergedData(merged);
+    } catch (err) {
+      console.error('Merge error:', err);
+      showToast('❌ Failed to merge backup', 'error');
+      return;
+    }
+
+    const fromBackup = this.plan.counts.new + this.plan.counts.changed +
+      Object.values(this.resolutions).filter(side => side === 'backup').length;
+    showToast(`📤 Merged ${fromBackup} item${fromBackup !== 1 ? 's' : ''} from ${this.fileName}`, 'success');
+
+    this.close();
+  }
+}
+
+export const backupMergeModal = new BackupMergeModal();
@@ -0,0 +1,374 @@
+/**
+ * CsvImportModal - Import executions from broker CSV exports
+ *
+ * Flow: choose file → map columns (auto-detected or a saved profile) →
+ * preview grouped trades with duplicates skipped → commit to the journal
+ */
+
+import { state } from '../../core/state.js';
+import { showToast } from '../ui/ui.js';
+import { formatCurrency, formatNumber } from '../../core/utils.js';
+import { storage } from '../../utils/storage.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+import { escapeHtml } from '../../utils/htmlUtils.js';
+import {
+  IMPORT_FIELDS,
+  parseCSV,
+  detectColumnMapping,
+  parseFills,
+  removeDuplicateFills,
+  groupFillsIntoTrades
+} from '../../utils/csvImport.js';
+
+const PROFILES_STORAGE_KEY = 'csvImportProfiles';
+
+class CsvImportModal {
+  constructor() {
+    this.elements = {};
+    this.profiles = []; // [{ name, mapping: { fieldKey: headerName } }]
+    this.rows = [];
+    this.fileName = '';
+    this.mapping = {};
+    this.preview = null; // { results, duplicates, errors }
+  }
+
+  async init() {
+    this.elements = {
+      modal: document.getElementById('csvImportModal'),
+      overlay: document.getElementById('csvImportModalOverlay'),
+      closeBtn: document.getElementById('closeCsvImportBtn'),
+      cancelBtn: document.getElementById('cancelCsvImportBtn'),
+      backBtn: document.getElementById('csvImportBackBtn'),
+      previewBtn: document.getElementById('csvImportPreviewBtn'),
+      confirmBtn: document.getElementById('confirmCsvImportBtn'),
+      fileInput: document.getElementById('csvImportFile'),
+      fileName: document.getElementById('csvImportFileName'),
+      profileSelect: document.getElementById('csvImportProfile'),
+      deleteProfileBtn: document.getElementById('csvImportDeleteProfileBtn'),
+      profileNameInput: document.getElementById('csvImportProfileName'),
+      saveProfileBtn: document.getElementById('csvImportSaveProfileBtn'),
+      mappingStep: document.getElementById('csvImportMappingStep'),
+      mappingGrid: document.getElementById('csvImportMapping'),
+      previewStep: document.getElementById('csvImportPreviewStep'),
+      summary: document.getElementById('csvImportSummary'),
+      previewBody: document.getElementById('csvImportPreviewBody'),
+      errors: document.getElementById('csvImportErrors')
+    };
+
+    this.bindEvents();
+    await this.loadProfiles();
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.close());
+    this.elements.overlay?.addEventListener('click', () => this.close());
+    this.elements.cancelBtn?.addEventListener('click', () => this.close());
+    this.elements.backBtn?.addEventListener('click', () => this.showStep('mapping'));
+    this.elements.previewBtn?.addEventListener('click', () => this.buildPreview());
+    this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
+    this.elements.fileInput?.addEventListener('change', (e) => this.handleFile(e.target.files[0]));
+    this.elements.profileSelect?.addEventListener('change', () => this.applySelectedProfile());
+    this.elements.saveProfileBtn?.addEventListener('click', () => this.saveProfile());
+    this.elements.deleteProfileBtn?.addEventListener('click', () => this.deleteProfile());
+
+    // Column selects are re-rendered per file, so delegate
+    this.elements.mappingGrid?.addEventListener('change', (e) => {
+      const field = e.target.dataset.importField;
+      if (field) this.mapping[field] = e.target.value;
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  open() {
+    if (!this.elements.modal) return;
+
+    this.rows = [];
+    this.fileName = '';
+    this.mapping = {};
+    this.preview = null;
+    if (this.elements.fileInput) this.elements.fileInput.value = '';
+    if (this.elements.fileName) this.elements.fileName.textContent = 'No file selected';
+    if (this.elements.profileNameInput) this.elements.profileNameInput.value = '';
+
+    this.renderProfiles();
+    this.renderMapping();
+    this.showStep('mapping');
+
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    document.body.style.overflow = '';
+  }
+
+  showStep(step) {
+    const isPreview = step === 'preview';
+    if (this.elements.mappingStep) this.elements.mappingStep.style.display = isPreview ? 'none' : '';
+    if (this.elements.previewStep) this.elements.previewStep.style.display = isPreview ? '' : 'none';
+    if (this.elements.backBtn) this.elements.backBtn.style.display = isPreview ? '' : 'none';
+    if (this.elements.previewBtn) this.elements.previewBtn.style.display = isPreview ? 'none' : '';
+    if (this.elements.confirmBtn) this.elements.confirmBtn.style.display = isPreview ? '' : 'none';
+  }
+
+  handleFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        this.rows = parseCSV(event.target.result);
+      } catch (err) {
+        console.error('CSV parse error:', err);
+        showToast('❌ Failed to read CSV file', 'error');
+        return;
+      }
+
+      if (this.rows.length < 2) {
+        showToast('⚠️ CSV file has no data rows', 'warning');
+        return;
+      }
+
+      this.fileName = file.name;
+      if (this.elements.fileName) this.elements.fileName.textContent = file.name;
+
+      // Use the selected profile (or auto-detect) against this file's headers
+      this.applySelectedProfile();
+    };
+    reader.readAsText(file);
+  }
+
+  renderMapping() {
+    if (!this.elements.mappingGrid) return;
+
+    const headers = this.rows[0] || [];
+    if (headers.length === 0) {
+      this.elements.mappingGrid.innerHTML = '<div class="csv-import__empty">Choose a CSV file to map its columns</div>';
+      return;
+    }
+
+    this.elements.mappingGrid.innerHTML = IMPORT_FIELDS.map(field => `
+      <label class="input-label" for="csvImportField-${field.key}">${field.label}${field.required ? '' : ' <span class="csv-import__optional">(optional)</span>'}</label>
+      <select class="input csv-import__select" id="csvImportField-${field.key}" data-import-field="${field.key}">
+        <option value="">—</option>
+        ${headers.map(header => `
+          <option value="${escapeHtml(header)}" ${this.mapping[field.key] === header ? 'selected' : ''}>${escapeHtml(header)}</option>
+        `).join('')}
+      </select>
+    `).join('');
+  }
+
+  async loadProfiles() {
+    try {
+      this.profiles = (await storage.getItem(PROFILES_STORAGE_KEY)) || [];
+    } catch (e) {
+      console.error('Failed to load CSV import profiles:', e);
+      this.profiles = [];
+    }
+  }
+
+  async saveProfiles() {
+    try {
+      await storage.setItem(PROFILES_STORAGE_KEY, this.profiles);
+    } catch (e) {
+      console.error('Failed to save CSV import profiles:', e);
+    }
+  }
+
+  renderProfiles() {
+    if (!this.elements.profileSelect) return;
+
+    const selected = this.elements.profileSelect.value;
+    this.elements.profileSelect.innerHTML = `
+      <option value="">Auto-detect columns</option>
+      ${this.profiles.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')}
+    `;
+    if (this.profiles.some(p => p.name === selected)) {
+      this.elements.profileSelect.value = selected;
+    }
+    if (this.elements.deleteProfileBtn) {
+      this.elements.deleteProfileBtn.disabled = !this.elements.profileSelect.value;
+    }
+  }
+
+  /**
+   * Apply the selected profile's mapping to the loaded file
+   * @returns {boolean} True if a profile was applied
+   */
+  applySelectedProfile() {
+    const name = this.elements.profileSelect?.value;
+    if (this.elements.deleteProfileBtn) this.elements.deleteProfileBtn.disabled = !name;
+
+    const headers = this.rows[0] || [];
+    if (!name) {
+      this.mapping = detectColumnMapping(headers);
+      this.renderMapping();
+      return false;
+    }
+
+    const profile = this.profiles.find(p => p.name === name);
+    if (!profile) return false;
+
+    // Keep only columns present in this file; fall back to detection for the rest
+    const detected = detectColumnMapping(headers);
+    this.mapping = {};
+    for (const field of IMPORT_FIELDS) {
+      const column = profile.mapping[field.key];
+      this.mapping[field.key] = column && headers.includes(column) ? column : detected[field.key];
+    }
+    this.renderMapping();
+    return true;
+  }
+
+  async saveProfile() {
+    const name = this.elements.profileNameInput?.value.trim();
+    if (!name) {
+      showToast('⚠️ Enter a profile name', 'warning');
+      return;
+    }
+    if (!this.rows.length) {
+      showToast('⚠️ Load a CSV file before saving a profile', 'warning');
+      return;
+    }
+
+    const profile = { name, mapping: { ...this.mapping } };
+    const index = this.profiles.findIndex(p => p.name === name);
+    if (index > -1) {
+      this.profiles[index] = profile;
+    } else {
+      this.profiles.push(profile);
+    }
+    await this.saveProfiles();
+
+    this.renderProfiles();
+    if (this.elements.profileSelect) this.elements.profileSelect.value = name;
+    if (this.elements.deleteProfileBtn) this.elements.deleteProfileBtn.disabled = false;
+    if (this.elements.profileNameInput) this.elements.profileNameInput.value = '';
+    showToast(`💾 Saved mapping profile "${name}"`, 'success');
+  }
+
+  async deleteProfile() {
+    const name = this.elements.profileSelect?.value;
+    if (!name) return;
+
+    this.profiles = this.profiles.filter(p => p.name !== name);
+    await this.saveProfiles();
+
+    if (this.elements.profileSelect) this.elements.profileSelect.value = '';
+    this.renderProfiles();
+    showToast(`🗑️ Deleted mapping profile "${name}"`, 'success');
+  }
+
+  buildPreview() {
+    if (!this.rows.length) {
+      showToast('⚠️ Choose a CSV file first', 'warning');
+      return;
+    }
+
+    const { fills, errors } = parseFills(this.rows, this.mapping);
+    if (fills.length === 0 && errors.length > 0 && errors[0].row === 1) {
+      showToast(`⚠️ ${errors[0].message}`, 'warning');
+      return;
+    }
+
+    const entries = state.journal.entries;
+    const { fills: newFills, duplicates } = removeDuplicateFills(fills, entries);
+
+    // Ids must not collide with existing trades (addJournalEntry defaults to Date.now())
+    const maxId = entries.reduce((max, t) => Math.max(max, t.id || 0), 0);
+    const results = groupFillsIntoTrades(newFills, entries, Math.max(Date.now(), maxId + 1));
+
+    this.preview = { results, duplicates, errors };
+    this.renderPreview();
+    this.showStep('preview');
+  }
+
+  renderPreview() {
+    const { results, duplicates, errors } = this.preview;
+    const newCount = results.filter(r => !r.isUpdate).length;
+    const updateCount = results.length - newCount;
+    const fillCount = results.reduce((sum, r) => sum + r.fills.length, 0);
+
+    if (this.elements.summary) {
+      this.elements.summary.innerHTML = `
+        <span><strong>${newCount}</strong> new trade${newCount !== 1 ? 's' : ''}</span>
+        <span><strong>${updateCount}</strong> updated</span>
+        <span><strong>${fillCount}</strong> fill${fillCount !== 1 ? 's' : ''}</span>
+        <span><strong>${duplicates.length}</strong> duplicate${duplicates.length !== 1 ? 's' : ''} skipped</span>
+      `;
+    }
+
+    if (this.elements.previewBody) {
+      this.elements.previewBody.innerHTML = results.length === 0
+        ? '<tr><td colspan="7" class="csv-import__empty">Nothing new to import</td></tr>'
+        : results.map(({ trade, isUpdate, fills }) => {
+          const realized = trade.totalRealizedPnL || 0;
+          const hasRealized = trade.status !== 'open';
+          return `
+            <tr>
+              <td>
+                <span class="csv-import__badge csv-import__badge--${isUpdate ? 'update' : 'new'}">${isUpdate ? 'Update' : 'New'}</span>
+              </td>
+              <td><strong>${escapeHtml(trade.ticker)}</strong>${trade.direction === 'short' ? ' <span class="journal-table__short">Short</span>' : ''}</td>
+              <td>${getTradeEntryDateString(trade)}</td>
+              <td>${formatNumber(trade.shares)} @ ${formatCurrency(trade.entry)}</td>
+              <td><span class="journal-table__status journal-table__status--${trade.status}">${trade.status}</span></td>
+              <td class="${hasRealized ? (realized >= 0 ? 'text-success' : 'text-danger') : ''}">${hasRealized ? `${realized >= 0 ? '+' : ''}${formatCurrency(realized)}` : '—'}</td>
+              <td>${fills.length}</td>
+            </tr>
+          `;
+        }).join('');
+    }
+
+    if (this.elements.errors) {
+      this.elements.errors.style.display = errors.length > 0 ? '' : 'none';
+      this.elements.errors.innerHTML = errors.length > 0
+        ? `<div class="csv-import__errors-title">${errors.length} row${errors.length !== 1 ? 's' : ''} skipped</div>` +
+          errors.slice(0, 20).map(e => `<div>Row ${e.row}: ${escapeHtml(e.message)}</div>`).join('') +
+          (errors.length > 20 ? `<div>…and ${errors.length - 20} more</div>` : '')
+        : '';
+    }
+
+    if (this.elements.confirmBtn) {
+      this.elements.confirmBtn.disabled = results.length === 0;
+    }
+  }
+
+  confirm() {
+    const results = this.preview?.results || [];
+    if (results.length === 0) return;
+
+    for (const { trade, isUpdate } of results) {
+      if (isUpdate) {
+        const { id, ...updates } = trade;
+        state.updateJournalEntry(id, updates);
+      } else {
+        state.addJournalEntry(trade);
+      }
+    }
+
+    // Trade update triggers cache invalidation, emit event with computed value
+    state.emit('accountSizeChanged', state.currentSize);
+
+    const newCount = results.filter(r => !r.isUpdate).length;
+    const updateCount = results.length - newCount;
+    showToast(
+      `📤 Imported ${newCount} trade${newCount !== 1 ? 's' : ''}${updateCount > 0 ? `, updated ${updateCount}` : ''} from ${this.fileName}`,
+      'success'
+    );
+
+    this.close();
+  }
+}
+
+export const csvImportModal = new CsvImportModal();
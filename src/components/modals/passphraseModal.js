@@ -0,0 +1,119 @@
+/**
+ * PassphraseModal - Asks for a backup passphrase (typed twice when encrypting)
+ */
+
+class PassphraseModal {
+  constructor() {
+    this.elements = {};
+    this.resolve = null;
+    this.requireConfirm = false;
+  }
+
+  init() {
+    this.elements = {
+      modal: document.getElementById('passphraseModal'),
+      overlay: document.getElementById('passphraseModalOverlay'),
+      closeBtn: document.getElementById('closePassphraseBtn'),
+      cancelBtn: document.getElementById('cancelPassphraseBtn'),
+      form: document.getElementById('passphraseForm'),
+      title: document.getElementById('passphraseModalTitle'),
+      message: document.getElementById('passphraseMessage'),
+      input: document.getElementById('passphraseInput'),
+      confirmGroup: document.getElementById('passphraseConfirmGroup'),
+      confirmInput: document.getElementById('passphraseConfirmInput'),
+      error: document.getElementById('passphraseError')
+    };
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.elements.closeBtn?.addEventListener('click', () => this.finish(null));
+    this.elements.overlay?.addEventListener('click', () => this.finish(null));
+    this.elements.cancelBtn?.addEventListener('click', () => this.finish(null));
+    this.elements.form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.finish(null);
+    });
+  }
+
+  isOpen() {
+    return this.elements.modal?.classList.contains('open');
+  }
+
+  /**
+   * Ask for a passphrase
+   * @param {Object} options
+   * @param {string} options.title - Modal title
+   * @param {string} options.message - Explanation shown above the fields
+   * @param {boolean} [options.confirm=false] - Require the passphrase to be entered twice
+   * @returns {Promise<string|null>} The passphrase, or null if cancelled
+   */
+  request({ title, message, confirm = false }) {
+    if (!this.elements.modal) return Promise.resolve(null);
+
+    // Only one request at a time - a new one cancels the previous
+    this.finish(null);
+
+    this.requireConfirm = confirm;
+    if (this.elements.title) this.elements.title.textContent = title;
+    if (this.elements.message) this.elements.message.textContent = message;
+    if (this.elements.input) this.elements.input.value = '';
+    if (this.elements.confirmInput) this.elements.confirmInput.value = '';
+    if (this.elements.confirmGroup) this.elements.confirmGroup.style.display = confirm ? '' : 'none';
+    this.showError('');
+
+    this.elements.modal.classList.add('open');
+    this.elements.overlay?.classList.add('open');
+    document.body.style.overflow = 'hidden';
+    this.elements.input?.focus();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  submit() {
+    const passphrase = this.elements.input?.value || '';
+    if (!passphrase) {
+      this.showError('Enter a passphrase');
+      return;
+    }
+    if (this.requireConfirm && this.elements.confirmInput?.value !== passphrase) {
+      this.showError('Passphrases do not match');
+      this.elements.confirmInput?.focus();
+      return;
+    }
+    this.finish(passphrase);
+  }
+
+  showError(message) {
+    if (!this.elements.error) return;
+    this.elements.error.textContent = message;
+    this.elements.error.classList.toggle('input-error--visible', !!message);
+  }
+
+  finish(value) {
+    const resolve = this.resolve;
+    this.resolve = null;
+    if (this.isOpen()) this.close();
+    resolve?.(value);
+  }
+
+  close() {
+    this.elements.modal?.classList.remove('open');
+    this.elements.overlay?.classList.remove('open');
+    // Another modal (e.g. backup merge) may still be open underneath
+    if (!document.querySelector('.modal.open')) {
+      document.body.style.overflow = '';
+    }
+    if (this.elements.input) this.elements.input.value = '';
+    if (this.elements.confirmInput) this.elements.confirmInput.value = '';
+  }
+}
+
+export const passphraseModal = new PassphraseModal();
@@ -6,6 +6,8 @@ import { state } from '../../core/state.js';
 import { formatCurrency, formatNumber, initFlatpickr, getCurrentWeekday } from '../../core/utils.js';
 import { formatDate } from '../../utils/marketHours.js';
 import { showToast } from '../ui/ui.js';
+import { getRiskPerShare, getPnLPerShare, getPriceAtR, isShortTrade, getWeightedAverageEntry, calculateCommission, getEntryFeesForTrim, getNextExitTranche } from '../../core/utils/tradeCalculations.js';
+import { getTradeEntryDateString, getTradeEventDateString } from '../../utils/tradeUtils.js';
 
 class TrimModal {
   constructor() {
@@ -14,6 +16,8 @@ class TrimModal {
     this.selectedR = 5;
     this.selectedTrimPercent = 100;
     this.isEditMode = false;
+    this.actionMode = 'trim'; // 'trim' | 'add'
+    this.feesEdited = false; // Stop auto-filling fees once the user types a value
   }
 
   init() {
@@ -23,15 +27,15 @@ class TrimModal {
   }
 
   disableWeekends() {
-    // Disable weekends on date inputs
+    // Disable weekends and holidays on date inputs
     initFlatpickr(this.elements.dateInput);
     initFlatpickr(this.elements.entryDateInput);
-    // Expiration date: Match log trade popup - disable weekends, allow past/future dates
+    // Expiration date: Match log trade popup - disable weekends/holidays, allow past/future dates
     if (this.elements.expirationInput) {
       initFlatpickr(this.elements.expirationInput, {
         minDate: null,  // Allow past dates
         maxDate: null   // Allow future dates
-        // Keep default disable option (weekends disabled)
+        // Keep default disable option (weekends and holidays disabled)
       });
     }
   }
@@ -57,6 +61,7 @@ class TrimModal {
       remainingSharesRow: document.getElementById('trimRemainingSharesRow'),
       exitPrice: document.getElementById('trimExitPrice'),
       rDisplay: document.getElementById('trimRDisplay'),
+      planHint: document.getElementById('trimPlanHint'),
       exitPriceError: document.getElementById('trimExitPriceError'),
       sharesInput: document.getElementById('trimSharesInput'),
       sharesLabel: document.querySelector('label[for="trimSharesInput"]'),
@@ -92,7 +97,27 @@ class TrimModal {
       expirationDisplay: document.getElementById('trimExpiration'),
       expirationInput: document.getElementById('trimExpirationInput'),
       expirationEdit: document.getElementById('trimExpirationEdit'),
-      expirationError: document.getElementById('trimExpirationError')
+      expirationError: document.getElementById('trimExpirationError'),
+      actionToggleRow: document.getElementById('trimActionToggleRow'),
+      actionToggle: document.getElementById('trimActionToggle'),
+      actionButtons: document.querySelectorAll('#trimActionToggle .toggle-switch__option'),
+      addSection: document.getElementById('trimAddSection'),
+      addPriceInput: document.getElementById('trimAddPrice'),
+      addPriceError: document.getElementById('trimAddPriceError'),
+      addSharesInput: document.getElementById('trimAddShares'),
+      addSharesLabel: document.getElementById('trimAddSharesLabel'),
+      addSharesError: document.getElementById('trimAddSharesError'),
+      dateLabel: document.getElementById('trimDateLabel'),
+      addPreview: document.getElementById('trimAddPreview'),
+      addNewEntry: document.getElementById('trimAddNewEntry'),
+      addNewSharesLabel: document.getElementById('trimAddNewSharesLabel'),
+      addNewShares: document.getElementById('trimAddNewShares'),
+      addNewRisk: document.getElementById('trimAddNewRisk'),
+      feesInput: document.getElementById('trimFees'),
+      feesPreviewRow: document.getElementById('trimFeesPreviewRow'),
+      feesPreview: document.getElementById('trimFeesPreview'),
+      entryFeesDisplay: document.getElementById('trimEntryFees'),
+      entryFeesInput: document.getElementById('trimEntryFeesInput')
     };
 
     // Cache sections for show/hide (done after modal is in DOM)
@@ -158,6 +183,15 @@ class TrimModal {
     this.elements.entryDateInput?.addEventListener('change', () => this.validateExpirationDate());
     this.elements.confirmBtn?.addEventListener('click', () => this.confirm());
     this.elements.editPositionDetailsBtn?.addEventListener('click', () => this.handleEditPositionDetailsToggle());
+
+    // Trim/Add toggle - click anywhere to toggle
+    this.elements.actionToggle?.addEventListener('click', () => {
+      this.setActionMode(this.actionMode === 'trim' ? 'add' : 'trim');
+    });
+    this.elements.addPriceInput?.addEventListener('input', (e) => this.sanitizeAddPriceInput(e));
+    this.elements.addSharesInput?.addEventListener('input', (e) => this.sanitizeAddSharesInput(e));
+    this.elements.feesInput?.addEventListener('input', (e) => this.sanitizeFeesInput(e));
+    this.elements.entryFeesInput?.addEventListener('input', (e) => this.sanitizeDecimalInput(e));
   }
 
   setDefaultDate() {
@@ -195,6 +229,18 @@ class TrimModal {
     if (this.elements.sharesLabel) {
       this.elements.sharesLabel.textContent = isOptions ? 'Contracts' : 'Shares';
     }
+    if (this.elements.addSharesLabel) {
+      this.elements.addSharesLabel.textContent = isOptions ? 'Contracts to Add' : 'Shares to Add';
+    }
+
+    // Adding is only possible while the position is still open
+    if (this.elements.actionToggleRow) {
+      this.elements.actionToggleRow.style.display = trade.status === 'closed' ? 'none' : '';
+    }
+    if (this.elements.addPriceInput) this.elements.addPriceInput.value = '';
+    if (this.elements.addSharesInput) this.elements.addSharesInput.value = '';
+    this.clearInputError(this.elements.addPriceInput, this.elements.addPriceError);
+    this.clearInputError(this.elements.addSharesInput, this.elements.addSharesError);
 
     // Show/hide options fields
     if (this.elements.strikeRow) {
@@ -244,7 +290,8 @@ class TrimModal {
 
     this.calculateExitPrice();
     this.calculateShares();
-    this.calculatePreview();
+    this.applyPlannedTranche();
+    this.setActionMode('trim');
 
     this.elements.modal?.classList.add('open');
     this.elements.overlay?.classList.add('open');
@@ -302,9 +349,9 @@ class TrimModal {
     const remainingShares = trade.remainingShares ?? trade.shares;
     const originalStop = trade.originalStop ?? trade.stop;
     const currentStop = trade.currentStop ?? trade.stop;
-    const riskPerShare = trade.entry - originalStop;
+    const riskPerShare = getRiskPerShare(trade.entry, originalStop, trade);
 
-    if (this.elements.ticker) this.elements.ticker.textContent = trade.ticker;
+    if (this.elements.ticker) this.elements.ticker.textContent = isShortTrade(trade) ? `${trade.ticker} (Short)` : trade.ticker;
     if (this.elements.entryPrice) this.elements.entryPrice.textContent = formatCurrency(trade.entry);
     if (this.elements.originalStop) this.elements.originalStop.textContent = formatCurrency(originalStop);
     if (this.elements.stopLoss) this.elements.stopLoss.textContent = formatCurrency(currentStop);
@@ -345,13 +392,23 @@ class TrimModal {
     }
 
     // Populate edit input fields
-    if (this.elements.entryPriceInput) this.elements.entryPriceInput.value = trade.entry.toFixed(2);
+    if (this.elements.entryPriceInput) {
+      this.elements.entryPriceInput.value = trade.entry.toFixed(2);
+      // Each add recorded the blended entry it produced, so the entry is fixed once shares are added
+      const hasAdds = (trade.addHistory || []).length > 0;
+      this.elements.entryPriceInput.disabled = hasAdds;
+      this.elements.entryPriceInput.title = hasAdds ? 'Entry is the blended cost of the initial fill and its adds' : '';
+    }
     if (this.elements.originalStopInput) this.elements.originalStopInput.value = originalStop.toFixed(2);
     if (this.elements.stopLossInput) this.elements.stopLossInput.value = currentStop.toFixed(2);
 
+    // Entry fees (entry commission plus any adds)
+    if (this.elements.entryFeesDisplay) this.elements.entryFeesDisplay.textContent = formatCurrency(trade.fees || 0);
+    if (this.elements.entryFeesInput) this.elements.entryFeesInput.value = (trade.fees || 0).toFixed(2);
+
     // Populate target display and input
     // Use trade.target if set, otherwise default to 5R (match position card logic)
-    const targetPrice = trade.target || (trade.entry + (riskPerShare * 5));
+    const targetPrice = trade.target || getPriceAtR(trade.entry, riskPerShare, 5, trade);
     if (this.elements.targetDisplay) {
       this.elements.targetDisplay.textContent = formatCurrency(targetPrice);
     }
@@ -426,8 +483,8 @@ class TrimModal {
 
     // Use originalStop for R-multiple calculation
     const originalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
-    const riskPerShare = this.currentTrade.entry - originalStop;
-    const rMultiple = riskPerShare !== 0 ? (exitPrice - this.currentTrade.entry) / riskPerShare : 0;
+    const riskPerShare = getRiskPerShare(this.currentTrade.entry, originalStop, this.currentTrade);
+    const rMultiple = riskPerShare !== 0 ? getPnLPerShare(this.currentTrade.entry, exitPrice, this.currentTrade) / riskPerShare : 0;
 
     if (this.elements.rDisplay) {
       this.elements.rDisplay.textContent = `(${rMultiple.toFixed(1)}R)`;
@@ -438,7 +495,7 @@ class TrimModal {
     let matchingRButton = null;
     this.elements.modal?.querySelectorAll('[data-r]').forEach(btn => {
       const r = parseInt(btn.dataset.r);
-      const expectedPrice = this.currentTrade.entry + (r * riskPerShare);
+      const expectedPrice = getPriceAtR(this.currentTrade.entry, riskPerShare, r, this.currentTrade);
       // Match if within 0.01 of expected price
       if (Math.abs(exitPrice - expectedPrice) < 0.01) {
         matchingRButton = btn;
@@ -506,13 +563,37 @@ class TrimModal {
     this.calculatePreview();
   }
 
+  /**
+   * Pre-select the next tranche of the trade's scale-out plan (price and shares)
+   * Runner tranches without a price keep the default exit price.
+   */
+  applyPlannedTranche() {
+    const tranche = getNextExitTranche(this.currentTrade);
+    if (this.elements.planHint) this.elements.planHint.style.display = tranche ? '' : 'none';
+    if (!tranche) return;
+
+    if (tranche.price !== null && this.elements.exitPrice) {
+      this.elements.exitPrice.value = tranche.price.toFixed(2);
+      this.handleManualExitPrice();
+    }
+    if (this.elements.sharesInput) {
+      this.elements.sharesInput.value = tranche.shares;
+      this.handleManualShares();
+    }
+
+    if (this.elements.planHint) {
+      const label = tranche.rMultiple !== null ? `${tranche.rMultiple}R target` : 'runner';
+      this.elements.planHint.textContent = `Planned tranche ${tranche.index + 1} of ${tranche.count}: ${label}, ${formatNumber(tranche.shares)} ${this.currentTrade.assetType === 'options' ? 'contracts' : 'shares'}`;
+    }
+  }
+
   calculateExitPrice() {
     if (!this.currentTrade) return;
 
     // Use originalStop for R-multiple calculation
     const originalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
-    const riskPerShare = this.currentTrade.entry - originalStop;
-    const exitPrice = this.currentTrade.entry + (this.selectedR * riskPerShare);
+    const riskPerShare = getRiskPerShare(this.currentTrade.entry, originalStop, this.currentTrade);
+    const exitPrice = getPriceAtR(this.currentTrade.entry, riskPerShare, this.selectedR, this.currentTrade);
 
     if (this.elements.exitPrice) this.elements.exitPrice.value = exitPrice.toFixed(2);
     if (this.elements.rDisplay) {
@@ -539,10 +620,21 @@ class TrimModal {
 
     // For options, multiply by 100 (contract multiplier)
     const multiplier = this.currentTrade.assetType === 'options' ? 100 : 1;
-    const profitPerShare = (exitPrice - this.currentTrade.entry) * multiplier;
-    const totalPnL = profitPerShare * sharesToClose;
+    const profitPerShare = getPnLPerShare(this.currentTrade.entry, exitPrice, this.currentTrade) * multiplier;
+
+    // Net of exit fees and the entry fees carried by these shares
+    this.updateDefaultFees(sharesToClose);
+    const fees = this.getFeesInput() + getEntryFeesForTrim(this.currentTrade, sharesToClose);
+    const totalPnL = (profitPerShare * sharesToClose) - fees;
     const isProfit = totalPnL >= 0;
 
+    if (this.elements.feesPreviewRow) {
+      this.elements.feesPreviewRow.style.display = fees > 0 ? '' : 'none';
+    }
+    if (this.elements.feesPreview) {
+      this.elements.feesPreview.textContent = `-${formatCurrency(fees)}`;
+    }
+
     if (this.elements.profitPerShare) {
       this.elements.profitPerShare.textContent = `${isProfit ? '+' : ''}${formatCurrency(profitPerShare)}`;
       this.elements.profitPerShare.className = `trim-preview__value ${isProfit ? 'text-success' : 'text-danger'}`;
@@ -661,9 +753,13 @@ class TrimModal {
         this.populateTradeData(this.currentTrade);
       }
 
-      // Show inputs, hide all trim/close sections
+      // Show inputs, hide all trim/close/add sections
+      this.setActionMode('trim');
       this.showEditInputs();
       this.hideClosingFields();
+      if (this.elements.actionToggleRow) {
+        this.elements.actionToggleRow.style.display = 'none';
+      }
 
       // Hide remaining shares row in edit mode
       if (this.elements.remainingSharesRow) {
@@ -722,10 +818,13 @@ class TrimModal {
       this.showDisplayValues();
       this.showAllSections();
 
-      // Show remaining shares row
+      // Show remaining shares row and Trim/Add toggle
       if (this.elements.remainingSharesRow) {
         this.elements.remainingSharesRow.style.display = '';
       }
+      if (this.elements.actionToggleRow && this.currentTrade?.status !== 'closed') {
+        this.elements.actionToggleRow.style.display = '';
+      }
 
       // Restore bottom padding on target row
       if (this.elements.targetRow) {
@@ -784,13 +883,18 @@ class TrimModal {
       this.clearInputError(this.elements.expirationInput, this.elements.expirationError);
 
       // Edit position details mode - update entry, original stop, current stop, and target
-      const newEntry = parseFloat(this.elements.entryPriceInput?.value);
+      const addHistory = this.currentTrade.addHistory || [];
+      const newEntry = addHistory.length > 0
+        ? this.currentTrade.entry
+        : parseFloat(this.elements.entryPriceInput?.value);
       const newOriginalStop = parseFloat(this.elements.originalStopInput?.value);
       const newCurrentStop = parseFloat(this.elements.stopLossInput?.value);
       const newEntryDate = this.elements.entryDateInput?.value;
       const newTarget = parseFloat(this.elements.targetInput?.value);
       const newStrike = this.currentTrade.assetType === 'options' ? parseFloat(this.elements.strikeInput?.value) : null;
       const newExpiration = this.currentTrade.assetType === 'options' ? this.elements.expirationInput?.value : null;
+      const parsedFees = parseFloat(this.elements.entryFeesInput?.value);
+      const newFees = isNaN(parsedFees) || parsedFees < 0 ? 0 : parsedFees;
 
       if (isNaN(newEntry) || newEntry <= 0) {
         this.showInputError(
@@ -834,12 +938,12 @@ class TrimModal {
         return;
       }
 
-      // Ensure target is greater than entry
-      if (this.elements.targetInput?.value && !isNaN(newTarget) && newTarget <= newEntry) {
+      // Ensure target is on the profitable side of entry (above for longs, below for shorts)
+      if (this.elements.targetInput?.value && !isNaN(newTarget) && getPnLPerShare(newEntry, newTarget, this.currentTrade) <= 0) {
         this.showInputError(
           this.elements.targetInput,
           this.elements.targetError,
-          'Target price must be greater than entry price'
+          `Target price must be ${isShortTrade(this.currentTrade) ? 'less' : 'greater'} than entry price`
         );
         return;
       }
@@ -886,6 +990,7 @@ class TrimModal {
         originalStop: newOriginalStop,
         currentStop: newCurrentStop,
         stop: newCurrentStop,
+        fees: newFees,
         timestamp: new Date(newEntryDate + 'T12:00:00').toISOString()
       };
 
@@ -900,22 +1005,67 @@ class TrimModal {
         updates.expirationDate = newExpiration;
       }
 
+      // Imported trades have no risk until a real stop is entered here
+      const newRiskPerShare = getRiskPerShare(newEntry, newOriginalStop, this.currentTrade);
+      if (this.currentTrade.riskDollars === null && newRiskPerShare > 0) {
+        const multiplier = this.currentTrade.assetType === 'options' ? 100 : 1;
+        updates.riskDollars = this.currentTrade.shares * newRiskPerShare * multiplier;
+      }
+      const hasRisk = (updates.riskDollars ?? this.currentTrade.riskDollars) !== null && newRiskPerShare !== 0;
+
       // If there's existing trim history, recalculate P&L for each trim
       if (this.currentTrade.trimHistory && this.currentTrade.trimHistory.length > 0) {
-        const updatedTrimHistory = this.currentTrade.trimHistory.map(trim => {
-          // Recalculate P&L based on new entry (with options multiplier)
-          const multiplier = this.currentTrade.assetType === 'options' ? 100 : 1;
-          const newPnl = (trim.exitPrice - newEntry) * trim.shares * multiplier;
+        const multiplier = this.currentTrade.assetType === 'options' ? 100 : 1;
+
+        // Replay trims and adds in order: each trim is priced off the entry it was made against,
+        // and entry fees are re-allocated pro rata against the fees and shares held at the time
+        const events = [
+          ...addHistory.map(add => ({ add })),
+          ...this.currentTrade.trimHistory.map(trim => ({ trim }))
+        ].sort((a, b) => {
+          const eventA = a.add || a.trim;
+          const eventB = b.add || b.trim;
+          return getTradeEventDateString(eventA).localeCompare(getTradeEventDateString(eventB)) || (eventA.id || 0) - (eventB.id || 0);
+        });
+
+        const replayTrade = {
+          ...this.currentTrade,
+          fees: Math.max(0, newFees - addHistory.reduce((sum, add) => sum + (add.fees || 0), 0)),
+          trimHistory: [],
+          remainingShares: this.currentTrade.shares - addHistory.reduce((sum, add) => sum + add.shares, 0)
+        };
+        let entryAtEvent = addHistory.length > 0 ? (addHistory[0].previousEntry ?? newEntry) : newEntry;
+        const updatedTrims = new Map();
+
+        for (const { add, trim } of events) {
+          if (add) {
+            entryAtEvent = add.newEntry;
+            replayTrade.fees += add.fees || 0;
+            replayTrade.remainingShares += add.shares;
+            continue;
+          }
+
+          // Recalculate P&L based on the entry at the time (with options multiplier), net of fees
+          const pnlPerShare = getPnLPerShare(entryAtEvent, trim.exitPrice, this.currentTrade);
+          const entryFees = getEntryFeesForTrim(replayTrade, trim.shares);
+          const newPnl = (pnlPerShare * trim.shares * multiplier) - (trim.fees || 0) - entryFees;
           // Recalculate R-multiple based on new original stop
-          const newRiskPerShare = newEntry - newOriginalStop;
-          const newRMultiple = newRiskPerShare !== 0 ? (trim.exitPrice - newEntry) / newRiskPerShare : 0;
+          const riskPerShare = getRiskPerShare(entryAtEvent, newOriginalStop, this.currentTrade);
+          const newRMultiple = hasRisk && riskPerShare !== 0 ? pnlPerShare / riskPerShare : null;
 
-          return {
+          const updatedTrim = {
             ...trim,
             pnl: newPnl,
+            entryFees,
             rMultiple: newRMultiple
           };
-        });
+
+          updatedTrims.set(trim, updatedTrim);
+          replayTrade.trimHistory.push(updatedTrim);
+          replayTrade.remainingShares -= trim.shares;
+        }
+
+        const updatedTrimHistory = this.currentTrade.trimHistory.map(trim => updatedTrims.get(trim));
 
         updates.trimHistory = updatedTrimHistory;
 
@@ -944,6 +1094,12 @@ class TrimModal {
       return;
     }
 
+    // Add-to-position mode
+    if (this.actionMode === 'add') {
+      this.confirmAdd();
+      return;
+    }
+
     // Normal trim/close mode
     const exitPrice = parseFloat(this.elements.exitPrice?.value);
     if (isNaN(exitPrice) || exitPrice <= 0) {
@@ -973,12 +1129,18 @@ class TrimModal {
     const sharesAfterTrim = remainingShares - sharesToClose;
     // Use originalStop for R-multiple calculation
     const originalStop = this.currentTrade.originalStop ?? this.currentTrade.stop;
-    const riskPerShare = this.currentTrade.entry - originalStop;
-    const rMultiple = riskPerShare !== 0 ? (exitPrice - this.currentTrade.entry) / riskPerShare : 0;
+    const riskPerShare = getRiskPerShare(this.currentTrade.entry, originalStop, this.currentTrade);
+    const pnlPerShare = getPnLPerShare(this.currentTrade.entry, exitPrice, this.currentTrade);
+    // No R without a recorded stop (e.g. broker imports)
+    const rMultiple = this.currentTrade.riskDollars !== null && riskPerShare !== 0 ? pnlPerShare / riskPerShare : null;
 
     // For options, multiply by 100 (contract multiplier)
     const multiplier = this.currentTrade.assetType === 'options' ? 100 : 1;
-    const pnl = (exitPrice - this.currentTrade.entry) * sharesToClose * multiplier;
+
+    // Realized P&L is net of exit fees and the entry fees carried by the trimmed shares
+    const exitFees = this.getFeesInput();
+    const entryFees = getEntryFeesForTrim(this.currentTrade, sharesToClose);
+    const pnl = (pnlPerShare * sharesToClose * multiplier) - exitFees - entryFees;
 
     const closeDate = this.elements.dateInput?.value
       ? new Date(this.elements.dateInput.value + 'T12:00:00').toISOString()
@@ -994,6 +1156,8 @@ class TrimModal {
       exitPrice: exitPrice,
       rMultiple: rMultiple,
       pnl: pnl,
+      fees: exitFees,
+      entryFees,
       percentTrimmed: Math.round(actualPercentTrimmed)
     };
 
@@ -1033,6 +1197,165 @@ class TrimModal {
     this.close();
   }
 
+  setActionMode(mode) {
+    this.actionMode = mode === 'add' ? 'add' : 'trim';
+    const isAdd = this.actionMode === 'add';
+
+    // Fees default from the schedule for whichever fill is being entered
+    this.feesEdited = false;
+
+    // Update toggle state and sliding indicator
+    const buttons = Array.from(this.elements.actionButtons || []);
+    buttons.forEach(b => b.classList.toggle('active', b.dataset.trimAction === this.actionMode));
+    this.elements.actionToggle?.setAttribute('data-active', isAdd ? '1' : '0');
+
+    // Swap exit sections for add inputs
+    if (this.sections.rMultiple) this.sections.rMultiple.style.display = isAdd ? 'none' : '';
+    if (this.sections.trimPercent) this.sections.trimPercent.style.display = isAdd ? 'none' : '';
+    if (this.elements.addSection) this.elements.addSection.style.display = isAdd ? '' : 'none';
+    if (this.elements.preview) this.elements.preview.style.display = isAdd ? 'none' : '';
+    if (this.elements.addPreview) this.elements.addPreview.style.display = isAdd ? '' : 'none';
+    if (this.elements.dateLabel) this.elements.dateLabel.textContent = isAdd ? 'Add Date' : 'Close Date';
+
+    if (isAdd) {
+      this.calculateAddPreview();
+    } else {
+      // Restores the Confirm Trim/Close button text
+      this.calculatePreview();
+    }
+  }
+
+  updateDefaultFees(quantity) {
+    if (this.feesEdited || !this.elements.feesInput || !this.currentTrade) return;
+
+    const fees = calculateCommission(quantity, this.currentTrade.assetType, state.settings);
+    this.elements.feesInput.value = fees > 0 ? fees.toFixed(2) : '';
+  }
+
+  getFeesInput() {
+    const fees = parseFloat(this.elements.feesInput?.value);
+    return isNaN(fees) || fees < 0 ? 0 : fees;
+  }
+
+  getAddInputs() {
+    return {
+      addPrice: parseFloat(this.elements.addPriceInput?.value) || 0,
+      addShares: parseInt(this.elements.addSharesInput?.value) || 0
+    };
+  }
+
+  calculateAddPreview() {
+    if (!this.currentTrade) return;
+
+    const trade = this.currentTrade;
+    const { addPrice, addShares } = this.getAddInputs();
+    const currentShares = trade.remainingShares ?? trade.shares;
+    const currentStop = trade.currentStop ?? trade.stop;
+    const multiplier = trade.assetType === 'options' ? 100 : 1;
+
+    this.updateDefaultFees(addShares);
+
+    const hasAdd = addPrice > 0 && addShares > 0;
+    const newShares = currentShares + (hasAdd ? addShares : 0);
+    const newEntry = hasAdd
+      ? getWeightedAverageEntry(currentShares, trade.entry, addShares, addPrice)
+      : trade.entry;
+    const newRisk = Math.max(0, newShares * getRiskPerShare(newEntry, currentStop, trade) * multiplier);
+
+    if (this.elements.addNewEntry) this.elements.addNewEntry.textContent = formatCurrency(newEntry);
+    if (this.elements.addNewSharesLabel) {
+      this.elements.addNewSharesLabel.textContent = trade.assetType === 'options' ? 'New Contracts' : 'New Shares';
+    }
+    if (this.elements.addNewShares) this.elements.addNewShares.textContent = formatNumber(newShares);
+    if (this.elements.addNewRisk) this.elements.addNewRisk.textContent = formatCurrency(newRisk);
+
+    if (this.elements.confirmBtn) {
+      this.elements.confirmBtn.textContent = 'Confirm Add';
+    }
+  }
+
+  confirmAdd() {
+    const trade = this.currentTrade;
+    const { addPrice, addShares } = this.getAddInputs();
+
+    if (addPrice <= 0) {
+      this.showInputError(
+        this.elements.addPriceInput,
+        this.elements.addPriceError,
+        'Add price must be greater than 0'
+      );
+      return;
+    }
+
+    if (addShares <= 0) {
+      this.showInputError(
+        this.elements.addSharesInput,
+        this.elements.addSharesError,
+        `${trade.assetType === 'options' ? 'Contracts' : 'Shares'} must be greater than 0`
+      );
+      return;
+    }
+
+    const addDateStr = this.elements.dateInput?.value || formatDate(getCurrentWeekday());
+
+    // Adds are replayed in order by the equity curve, so they can't predate earlier events
+    const priorEventDates = [
+      getTradeEntryDateString(trade),
+      ...(trade.trimHistory || []).map(getTradeEventDateString),
+      ...(trade.addHistory || []).map(getTradeEventDateString)
+    ].filter(Boolean);
+    const latestEventDate = priorEventDates.sort().pop();
+    if (latestEventDate && addDateStr < latestEventDate) {
+      showToast('Add date cannot be before the entry or a previous trim/add', 'error');
+      return;
+    }
+
+    const currentShares = trade.remainingShares ?? trade.shares;
+    const currentStop = trade.currentStop ?? trade.stop;
+    const newRemaining = currentShares + addShares;
+    const newEntry = getWeightedAverageEntry(currentShares, trade.entry, addShares, addPrice);
+    const riskPerShare = getRiskPerShare(newEntry, currentStop, trade);
+    const riskDollars = Math.max(0, newRemaining * riskPerShare);
+    const addFees = this.getFeesInput();
+
+    const addEvent = {
+      id: Date.now(),
+      date: new Date(addDateStr + 'T12:00:00').toISOString(),
+      shares: addShares,
+      price: addPrice,
+      fees: addFees,
+      previousEntry: trade.entry,
+      newEntry
+    };
+
+    const updates = {
+      entry: newEntry,
+      shares: trade.shares + addShares,
+      originalShares: (trade.originalShares ?? trade.shares) + addShares,
+      remainingShares: newRemaining,
+      originalStop: trade.originalStop ?? trade.stop,
+      positionSize: (trade.positionSize ?? trade.shares * trade.entry) + (addShares * addPrice),
+      riskDollars,
+      riskPercent: (riskDollars / state.account.currentSize) * 100,
+      stopDistance: riskPerShare,
+      fees: (trade.fees || 0) + addFees,
+      addHistory: [...(trade.addHistory || []), addEvent]
+    };
+
+    state.updateJournalEntry(trade.id, updates);
+
+    // Trade update triggers cache invalidation, emit event with computed value
+    state.emit('accountSizeChanged', state.currentSize);
+
+    const unitLabel = trade.assetType === 'options' ? 'contracts' : 'shares';
+    showToast(
+      `${trade.ticker} added ${formatNumber(addShares)} ${unitLabel} @ ${formatCurrency(addPrice)} (avg ${formatCurrency(newEntry)})`,
+      'success'
+    );
+
+    this.close();
+  }
+
   showInputError(inputElement, errorElement, message) {
     // Add error class to input
     if (inputElement) {
@@ -1107,6 +1430,29 @@ class TrimModal {
     this.handleManualExitPrice();
   }
 
+  sanitizeFeesInput(e) {
+    this.sanitizeDecimalInput(e);
+    this.feesEdited = true;
+    if (this.actionMode === 'add') {
+      this.calculateAddPreview();
+    } else {
+      this.calculatePreview();
+    }
+  }
+
+  sanitizeAddPriceInput(e) {
+    this.sanitizeDecimalInput(e);
+    this.clearInputError(this.elements.addPriceInput, this.elements.addPriceError);
+    this.calculateAddPreview();
+  }
+
+  sanitizeAddSharesInput(e) {
+    // Allow only integers (no decimals)
+    e.target.value = e.target.value.replace(/[^\d]/g, '');
+    this.clearInputError(this.elements.addSharesInput, this.elements.addSharesError);
+    this.calculateAddPreview();
+  }
+
   sanitizeStopLossInput(e) {
     // Use generic decimal sanitizer
     this.sanitizeDecimalInput(e);
@@ -1236,15 +1582,15 @@ class TrimModal {
         return;
       }
 
-      // Check if target > entry price
+      // Check target is on the profitable side of entry price
       const entryValue = this.elements.entryPriceInput?.value.trim();
-      if (entryValue) {
+      if (entryValue && this.currentTrade) {
         const entryPrice = parseFloat(entryValue);
-        if (!isNaN(target) && !isNaN(entryPrice) && target <= entryPrice) {
+        if (!isNaN(target) && !isNaN(entryPrice) && getPnLPerShare(entryPrice, target, this.currentTrade) <= 0) {
           this.showInputError(
             this.elements.targetInput,
             this.elements.targetError,
-            'Target price must be greater than entry price'
+            `Target price must be ${isShortTrade(this.currentTrade) ? 'less' : 'greater'} than entry price`
           );
         }
       }
@@ -7,6 +7,11 @@ import { showToast } from '../ui/ui.js';
 import { formatCurrency, formatNumber, formatPercent, formatDate, createTimestampFromDateInput, initFlatpickr, getCurrentWeekday, restrictToNumberInput } from '../../core/utils.js';
 import { formatDate as formatDateYMD } from '../../utils/marketHours.js';
 import { priceTracker } from '../../core/priceTracker.js';
+import { getRiskPerShare, getPnLPerShare, getPriceAtR, calculateCommission, buildExitPlan, getLadderAverageEntry, buildEntryLadder } from '../../core/utils/tradeCalculations.js';
+import { riskGuardrails } from '../../shared/RiskGuardrails.js';
+import { ScaleOutPlanEditor } from '../../shared/ScaleOutPlanEditor.js';
+import { EntryLadderEditor } from '../../shared/EntryLadderEditor.js';
+import { positionSizer, SIZING_MODES, CANDLE_SIZING_MODES } from '../../shared/PositionSizer.js';
 
 class TradeWizard {
   constructor() {
@@ -24,11 +29,23 @@ class TradeWizard {
     };
 
     this.notes = '';
+
+    // Selected sizing mode, and how the current shares were sized (see PositionSizer.getSizing)
+    this.sizingMode = 'percent';
+    this.sizing = null;
   }
 
   init() {
     this.cacheElements();
     this.bindEvents();
+    this.scaleOutEditor = new ScaleOutPlanEditor({
+      container: this.elements.wizardScaleOutPlan,
+      onChange: () => this.updateScaleOutSummary()
+    });
+    this.entryLadderEditor = new EntryLadderEditor({
+      container: this.elements.wizardEntryLadder,
+      onChange: () => this.handleEntryLadderChange()
+    });
     this.setupNumberRestrictions();
     this.initNotesEditor();
     this.disableWeekends();
@@ -42,10 +59,14 @@ class TradeWizard {
     restrictToNumberInput(this.elements.wizardShares, false); // Integer only
     restrictToNumberInput(this.elements.wizardRiskDollar, true);
     restrictToNumberInput(this.elements.wizardTargetPrice, true);
+    restrictToNumberInput(this.elements.wizardAtrMultiple, true);
+    restrictToNumberInput(this.elements.wizardAtrPeriod, false);
+    restrictToNumberInput(this.elements.wizardVolTargetPercent, true);
+    restrictToNumberInput(this.elements.wizardFixedRiskDollars, true);
   }
 
   disableWeekends() {
-    // Initialize trade date with default to current weekday (or last Friday if weekend)
+    // Initialize trade date with default to current trading day (or the last one if weekend/holiday)
     const today = getCurrentWeekday();
     const dateString = formatDateYMD(today);
 
@@ -58,12 +79,12 @@ class TradeWizard {
       this.elements.wizardTradeDate._flatpickr.setDate(dateString, false);
     }
 
-    // Initialize expiration date - allow past dates, but disable weekends
+    // Initialize expiration date - allow past dates, but disable weekends and holidays
     if (this.elements.wizardExpirationDate) {
       initFlatpickr(this.elements.wizardExpirationDate, {
         minDate: null,  // Allow past dates
         maxDate: null   // Allow future dates
-        // Keep default disable option (weekends disabled)
+        // Keep default disable option (weekends and holidays disabled)
       });
     }
   }
@@ -153,6 +174,8 @@ class TradeWizard {
       wizardTickerStatus: document.getElementById('wizardTickerStatus'),
       assetTypeToggle: document.getElementById('assetTypeToggle'),
       assetTypeButtons: document.querySelectorAll('#assetTypeToggle .toggle-switch__option'),
+      directionToggle: document.getElementById('directionToggle'),
+      directionButtons: document.querySelectorAll('#directionToggle .toggle-switch__option'),
       wizardEntryPrice: document.getElementById('wizardEntryPrice'),
       wizardStopLoss: document.getElementById('wizardStopLoss'),
       optionsStrikeRow: document.getElementById('optionsStrikeRow'),
@@ -171,6 +194,15 @@ class TradeWizard {
       wizardRiskDollar: document.getElementById('wizardRiskDollar'),
       wizardRiskPercentDisplay: document.getElementById('wizardRiskPercentDisplay'),
       wizardRDisplay: document.getElementById('wizardRDisplay'),
+      wizardSizingModeBtns: document.querySelectorAll('#wizardSizingModeGroup .preset-btn'),
+      wizardSizingInputGroups: document.querySelectorAll('[data-wizard-sizing-inputs]'),
+      wizardAtrMultiple: document.getElementById('wizardAtrMultiple'),
+      wizardAtrPeriod: document.getElementById('wizardAtrPeriod'),
+      wizardVolTargetPercent: document.getElementById('wizardVolTargetPercent'),
+      wizardFixedRiskDollars: document.getElementById('wizardFixedRiskDollars'),
+      wizardEntryLadder: document.getElementById('wizardEntryLadder'),
+      wizardScaleOutPlan: document.getElementById('wizardScaleOutPlan'),
+      wizardScaleOutSummary: document.getElementById('wizardScaleOutSummary'),
       wizardTradeDate: document.getElementById('wizardTradeDate'),
       cancel1Btn: document.getElementById('wizardCancel1'),
       next1Btn: document.getElementById('wizardNext1'),
@@ -182,6 +214,8 @@ class TradeWizard {
       wizardStrikePriceError: document.getElementById('wizardStrikePriceError'),
       wizardExpirationDateError: document.getElementById('wizardExpirationDateError'),
       wizardSharesError: document.getElementById('wizardSharesError'),
+      wizardSizingNote: document.getElementById('wizardSizingNote'),
+      wizardLadderNote: document.getElementById('wizardLadderNote'),
       wizardRiskDollarError: document.getElementById('wizardRiskDollarError'),
       wizardTargetPriceError: document.getElementById('wizardTargetPriceError'),
       wizardTradeDateError: document.getElementById('wizardTradeDateError'),
@@ -206,6 +240,8 @@ class TradeWizard {
       confirmOption: document.getElementById('wizardConfirmOption'),
       confirmRisk: document.getElementById('wizardConfirmRisk'),
       confirmPositionSize: document.getElementById('wizardConfirmPositionSize'),
+      confirmFeesRow: document.getElementById('wizardConfirmFeesRow'),
+      confirmFees: document.getElementById('wizardConfirmFees'),
       confirmDate: document.getElementById('wizardConfirmDate'),
       confirmSetupRow: document.getElementById('wizardConfirmSetupRow'),
       confirmSetup: document.getElementById('wizardConfirmSetup'),
@@ -276,6 +312,16 @@ class TradeWizard {
       this.animateAssetTypeSwitch(assetType);
     });
 
+    // Direction toggle (Long/Short) - click anywhere to toggle
+    this.elements.directionToggle?.addEventListener('click', () => {
+      // Options are always logged as bought premium (use puts for bearish trades)
+      if (this.isOptionsMode()) return;
+
+      const newDirection = this.getDirection() === 'long' ? 'short' : 'long';
+      this.setDirection(newDirection);
+      this.handleDirectionChange();
+    });
+
     // Option type toggle (Call/Put) - click anywhere to toggle
     this.elements.optionTypeToggle?.addEventListener('click', () => {
       // Find currently active button
@@ -295,6 +341,45 @@ class TradeWizard {
     });
   }
 
+  getDirection() {
+    if (this.isOptionsMode()) return 'long';
+    const activeBtn = Array.from(this.elements.directionButtons || []).find(b => b.classList.contains('active'));
+    return activeBtn?.dataset.tradeDirection === 'short' ? 'short' : 'long';
+  }
+
+  setDirection(direction) {
+    const buttons = Array.from(this.elements.directionButtons || []);
+    const newIndex = Math.max(0, buttons.findIndex(b => b.dataset.tradeDirection === direction));
+
+    buttons.forEach(b => b.classList.remove('active'));
+    buttons[newIndex]?.classList.add('active');
+
+    // Update data-active attribute for sliding animation
+    this.elements.directionToggle?.setAttribute('data-active', newIndex);
+  }
+
+  handleDirectionChange() {
+    state.updateTrade({ direction: this.getDirection() });
+
+    // Stop and target sit on opposite sides of entry for shorts, so re-check them
+    this.clearInputError(this.elements.wizardStopLoss, this.elements.wizardStopLossError);
+    this.clearInputError(this.elements.wizardTargetPrice, this.elements.wizardTargetPriceError);
+
+    const activeRBtn = Array.from(this.elements.wizardRMultipleBtns || []).find(b => b.classList.contains('active'));
+    if (activeRBtn) {
+      this.setTargetFromRMultiple(parseFloat(activeRBtn.dataset.r));
+    }
+
+    const activeRiskBtn = Array.from(this.elements.wizardRiskPercentBtns || []).find(b => b.classList.contains('active'));
+    if (activeRiskBtn) {
+      this.setSharesFromRiskPercent(parseFloat(activeRiskBtn.dataset.risk));
+    } else {
+      this.updateRiskDisplay();
+    }
+    this.updateTargetRDisplay();
+    this.applySizingMode();
+  }
+
   animateAssetTypeSwitch(assetType) {
     const sharesLabel = this.elements.wizardSharesLabel;
     const strikeRow = this.elements.optionsStrikeRow;
@@ -308,10 +393,20 @@ class TradeWizard {
     if (this.elements.wizardShares) this.elements.wizardShares.value = '';
     if (this.elements.wizardRiskDollar) this.elements.wizardRiskDollar.value = '';
     if (this.elements.wizardTargetPrice) this.elements.wizardTargetPrice.value = '';
+    this.entryLadderEditor?.clear();
+    this.syncLadderEntry();
 
     // Clear all validation errors
     this.clearAllErrors();
 
+    // Options are always long premium - lock the direction toggle to Long
+    if (assetType === 'options') {
+      this.setDirection('long');
+    }
+    this.elements.directionToggle?.classList.toggle('toggle-switch--disabled', assetType === 'options');
+    this.updateSizingModeButtons();
+    this.setSizing(null);
+
     if (assetType === 'options') {
       // Switching to Options mode
 
@@ -473,6 +568,20 @@ class TradeWizard {
     this.elements.wizardTargetPrice?.addEventListener('input', (e) => this.sanitizeTargetPriceInput(e));
     this.elements.wizardRiskDollar?.addEventListener('input', (e) => this.sanitizeRiskDollarInput(e));
 
+    // Sizing mode - re-size when the mode, its inputs or the setup it depends on change
+    this.elements.wizardSizingModeBtns?.forEach(btn => {
+      btn.addEventListener('click', () => this.setSizingMode(btn.dataset.sizingMode));
+    });
+    [
+      this.elements.wizardAtrMultiple,
+      this.elements.wizardAtrPeriod,
+      this.elements.wizardVolTargetPercent,
+      this.elements.wizardFixedRiskDollars,
+      this.elements.wizardTicker,
+      this.elements.wizardEntryPrice,
+      this.elements.wizardStopLoss
+    ].forEach(el => el?.addEventListener('input', () => this.applySizingMode()));
+
     // R-Multiple buttons
     this.elements.wizardRMultipleBtns?.forEach(btn => {
       btn.addEventListener('click', () => {
@@ -499,7 +608,12 @@ class TradeWizard {
         // Add active class to clicked button
         btn.classList.add('active');
 
-        this.setSharesFromRiskPercent(riskPercent);
+        // ATR sizing risks the selected % with its own stop
+        if (this.sizingMode === 'atr') {
+          this.applySizingMode();
+        } else {
+          this.setSharesFromRiskPercent(riskPercent);
+        }
       });
     });
 
@@ -568,6 +682,7 @@ class TradeWizard {
     // Clear calculator state so values don't persist when reopening
     state.updateTrade({
       ticker: '',
+      direction: 'long',
       entry: null,
       stop: null,
       target: null
@@ -588,6 +703,19 @@ class TradeWizard {
     if (this.elements.wizardTargetPrice) this.elements.wizardTargetPrice.value = '';
     // Date will be auto-set in open() method
 
+    [
+      this.elements.wizardAtrMultiple,
+      this.elements.wizardAtrPeriod,
+      this.elements.wizardVolTargetPercent,
+      this.elements.wizardFixedRiskDollars
+    ].forEach(el => { if (el) el.value = ''; });
+    this.setSizingMode('percent', false);
+    this.setSizing(null);
+    this.entryLadderEditor?.clear();
+    this.syncLadderEntry();
+    this.scaleOutEditor?.clear();
+    this.updateScaleOutSummary();
+
     // Reset asset type toggle to Shares mode
     if (this.elements.assetTypeButtons) {
       this.elements.assetTypeButtons.forEach(b => b.classList.remove('active'));
@@ -595,6 +723,11 @@ class TradeWizard {
       this.elements.assetTypeToggle?.setAttribute('data-active', '0');
     }
 
+    // Reset direction toggle to Long
+    this.setDirection('long');
+    this.elements.directionToggle?.classList.remove('toggle-switch--disabled');
+    this.updateSizingModeButtons();
+
     // Reset label to "Shares"
     if (this.elements.wizardSharesLabel) {
       this.elements.wizardSharesLabel.textContent = 'Shares';
@@ -669,7 +802,7 @@ class TradeWizard {
     }
 
     // Validate ticker with API if available
-    if (priceTracker.apiKey) {
+    if (priceTracker.canFetchQuotes()) {
       try {
         await priceTracker.fetchPrice(ticker);
       } catch (error) {
@@ -708,6 +841,29 @@ class TradeWizard {
     // Determine if in Options mode by checking active toggle button
     const activeAssetTypeBtn = Array.from(this.elements.assetTypeButtons || []).find(b => b.classList.contains('active'));
     const isOptionsMode = activeAssetTypeBtn?.dataset.assetType === 'options';
+    const direction = this.getDirection();
+    const isShort = direction === 'short';
+
+    // Validate stop is on the losing side of entry (below for longs, above for shorts)
+    if (getRiskPerShare(entryPrice, stopPrice, direction) <= 0) {
+      this.showInputError(
+        this.elements.wizardStopLoss,
+        this.elements.wizardStopLossError,
+        `Stop loss must be ${isShort ? 'above' : 'below'} entry price for ${direction} trades`
+      );
+      return false;
+    }
+
+    // Every ladder level has to be on the right side of the stop, not just the average
+    const ladderLevels = this.entryLadderEditor?.getLevels();
+    if (ladderLevels?.some(level => getRiskPerShare(level.price, stopPrice, direction) <= 0)) {
+      this.showInputError(
+        this.elements.wizardStopLoss,
+        this.elements.wizardStopLossError,
+        `Every entry level must be ${isShort ? 'below' : 'above'} the stop for ${direction} trades`
+      );
+      return false;
+    }
 
     // Validate strike price (required for Options mode)
     if (isOptionsMode) {
@@ -784,12 +940,12 @@ class TradeWizard {
         );
         return false;
       }
-      // Ensure target is greater than entry
-      if (target <= entryPrice) {
+      // Ensure target is on the profitable side of entry
+      if (getPnLPerShare(entryPrice, target, direction) <= 0) {
         this.showInputError(
           this.elements.wizardTargetPrice,
           this.elements.wizardTargetPriceError,
-          'Target price must be greater than entry price'
+          `Target price must be ${isShort ? 'less' : 'greater'} than entry price`
         );
         return false;
       }
@@ -837,6 +993,7 @@ class TradeWizard {
     if (this.elements.wizardTicker) {
       this.elements.wizardTicker.value = trade.ticker || '';
     }
+    this.setDirection(trade.direction || 'long');
     if (this.elements.wizardEntryPrice) {
       this.elements.wizardEntryPrice.value = trade.entry || '';
     }
@@ -965,8 +1122,8 @@ class TradeWizard {
   }
 
   async skipAll() {
-    // Direct save without wizard
-    await this.logTrade(false);
+    // Direct save without wizard (stays open if a risk limit blocks it)
+    if (!(await this.logTrade(false))) return;
     this.close();
   }
 
@@ -987,7 +1144,8 @@ class TradeWizard {
     const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
     const shares = parseInt(this.elements.wizardShares?.value) || 0;
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
-    const riskPerShare = entry - stop;
+    const direction = this.getDirection();
+    const riskPerShare = getRiskPerShare(entry, stop, direction);
 
     // Determine if this is an options trade
     const assetTypeBtn = document.querySelector('#assetTypeToggle .toggle-switch__option.active');
@@ -1011,7 +1169,8 @@ class TradeWizard {
         // Simple format for options: "5 contracts @ $2.15"
         this.elements.confirmPosition.textContent = `${formatNumber(shares)} contracts @ ${formatCurrency(entry)}`;
       } else {
-        this.elements.confirmPosition.textContent = `${formatNumber(shares)} shares @ ${formatCurrency(entry)}`;
+        const sideLabel = direction === 'short' ? 'Short ' : '';
+        this.elements.confirmPosition.textContent = `${sideLabel}${formatNumber(shares)} shares @ ${formatCurrency(entry)}`;
       }
     }
 
@@ -1055,6 +1214,15 @@ class TradeWizard {
       this.elements.confirmPositionSize.textContent = `${formatCurrency(positionSize)} (${formatPercent(positionPercent)})`;
     }
 
+    // Update fees row (only visible when a commission schedule is set)
+    const fees = calculateCommission(shares, isOptions ? 'options' : 'stock', state.settings);
+    if (this.elements.confirmFeesRow) {
+      this.elements.confirmFeesRow.style.display = fees > 0 ? 'flex' : 'none';
+    }
+    if (this.elements.confirmFees) {
+      this.elements.confirmFees.textContent = formatCurrency(fees);
+    }
+
     // Update date display
     if (this.elements.confirmDate) {
       const tradeDate = this.elements.wizardTradeDate?.value || new Date().toISOString().split('T')[0];
@@ -1094,10 +1262,14 @@ class TradeWizard {
 
   async confirmTrade() {
     this.collectStepData();
-    await this.logTrade(true);
+    if (!(await this.logTrade(true))) return;
     this.close();
   }
 
+  /**
+   * Build the journal entry from the wizard and save it
+   * @returns {Promise<boolean>} False if the ticker is invalid or a risk limit stopped the trade
+   */
   async logTrade(wizardComplete = false) {
     // Get values from wizard inputs
     const ticker = this.elements.wizardTicker?.value.trim() || '';
@@ -1116,7 +1288,8 @@ class TradeWizard {
     }
 
     // Calculate derived values
-    const riskPerShare = entryPrice - stopPrice;
+    const direction = this.getDirection();
+    const riskPerShare = getRiskPerShare(entryPrice, stopPrice, direction);
     const positionSize = shares * entryPrice;
     const riskDollars = shares * riskPerShare;
     const riskPercent = (riskDollars / state.account.currentSize) * 100;
@@ -1124,7 +1297,7 @@ class TradeWizard {
 
     // Validate ticker and fetch company data if API key is configured
     let companyData = null;
-    if (priceTracker.apiKey && ticker) {
+    if (priceTracker.canFetchQuotes() && ticker) {
       try {
         // Fetch price to validate ticker and company profile in parallel
         const [priceData, profileData] = await Promise.all([
@@ -1137,7 +1310,7 @@ class TradeWizard {
         // Only block trade if it's definitely an invalid ticker
         if (error.message.includes('Invalid ticker symbol')) {
           // Silent validation - no toast
-          return;
+          return false;
         }
 
         // For API errors (rate limits, network issues), log trade anyway - silent
@@ -1168,10 +1341,14 @@ class TradeWizard {
       premium = entryPrice;
     }
 
+    // Entry commission from the default schedule
+    const fees = calculateCommission(shares, assetType, state.settings);
+
     // Build journal entry
     const journalEntry = {
       timestamp,
       ticker,
+      direction,
       entry: entryPrice,
       stop: stopPrice,
       originalStop: stopPrice,
@@ -1182,6 +1359,7 @@ class TradeWizard {
       riskDollars,
       riskPercent,
       stopDistance,
+      fees,
       notes: this.notes || '',
       status: 'open',
 
@@ -1192,6 +1370,15 @@ class TradeWizard {
       optionType,
       premium,
 
+      // Sizing mode, kept only if the shares weren't changed by hand afterwards
+      sizing: this.sizing?.shares === shares ? this.sizing : null,
+
+      // Planned entry fills [{ price, percent, shares }] (the entry is their blended average)
+      entryLadder: this.getEntryLadder()?.levels || null,
+
+      // Scale-out tranches, consumed in order by the trim modal
+      exitPlan: this.getExitPlan()?.tranches || null,
+
       // Thesis data
       thesis: this.hasThesisData() ? { ...this.thesis } : null,
       wizardComplete,
@@ -1201,6 +1388,11 @@ class TradeWizard {
       // and looked up by ticker when displaying trades
     };
 
+    // Portfolio risk limits (warns or blocks depending on Settings)
+    if (!(await riskGuardrails.approveTrade(journalEntry, companyData))) {
+      return false;
+    }
+
     // Add to journal
     const newEntry = state.addJournalEntry(journalEntry);
 
@@ -1208,6 +1400,7 @@ class TradeWizard {
     state.saveJournalMeta();
 
     // Success toast removed - silent save
+    return true;
   }
 
   hasThesisData() {
@@ -1260,8 +1453,11 @@ class TradeWizard {
 
     if (entry <= 0 || stop <= 0 || entry === stop) return;
 
-    const riskPerShare = entry - stop;
-    const targetPrice = entry + (rMultiple * riskPerShare);
+    const direction = this.getDirection();
+    const riskPerShare = getRiskPerShare(entry, stop, direction);
+    if (riskPerShare <= 0) return;
+
+    const targetPrice = getPriceAtR(entry, riskPerShare, rMultiple, direction);
 
     if (this.elements.wizardTargetPrice) {
       this.elements.wizardTargetPrice.value = targetPrice.toFixed(2);
@@ -1304,7 +1500,9 @@ class TradeWizard {
 
     // For options: 1 contract = 100 shares
     const multiplier = this.isOptionsMode() ? 100 : 1;
-    const riskPerUnit = (entry - stop) * multiplier;
+    const riskPerUnit = getRiskPerShare(entry, stop, this.getDirection()) * multiplier;
+    if (riskPerUnit <= 0) return;
+
     const riskDollars = accountSize * (riskPercent / 100);
     const units = Math.floor(riskDollars / riskPerUnit);
 
@@ -1319,8 +1517,11 @@ class TradeWizard {
     this.updatingProgrammatically = false;
 
     // Update displays
+    this.clearStaleSizing();
+    this.updateLadderNote();
     this.updateRiskPercentDisplay();
     this.updateRMultipleButtons();
+    this.updateScaleOutSummary();
   }
 
   handleCustomRiskDollar() {
@@ -1337,7 +1538,11 @@ class TradeWizard {
     // Calculate shares/contracts from risk dollars
     // For options: 1 contract = 100 shares
     const multiplier = this.isOptionsMode() ? 100 : 1;
-    const riskPerUnit = (entry - stop) * multiplier;
+    const riskPerUnit = getRiskPerShare(entry, stop, this.getDirection()) * multiplier;
+    if (riskPerUnit <= 0) {
+      this.updateRiskPercentDisplay();
+      return;
+    }
     const units = Math.floor(riskDollars / riskPerUnit);
 
     // Update shares/contracts input programmatically
@@ -1368,8 +1573,11 @@ class TradeWizard {
     });
 
     // Update displays
+    this.clearStaleSizing();
+    this.updateLadderNote();
     this.updateRiskPercentDisplay();
     this.updateRMultipleButtons();
+    this.updateScaleOutSummary();
   }
 
   updateRiskDisplay() {
@@ -1387,7 +1595,7 @@ class TradeWizard {
     let riskDollars = 0;
     if (entry > 0 && stop > 0 && units > 0 && entry !== stop) {
       const multiplier = this.isOptionsMode() ? 100 : 1;
-      const riskPerUnit = (entry - stop) * multiplier;
+      const riskPerUnit = getRiskPerShare(entry, stop, this.getDirection()) * multiplier;
       riskDollars = riskPerUnit * units;
     }
 
@@ -1424,8 +1632,9 @@ class TradeWizard {
     // Calculate R-Multiple
     let rMultiple = 0;
     if (entry > 0 && stop > 0 && target > 0 && entry !== stop) {
-      const risk = entry - stop;
-      const reward = target - entry;
+      const direction = this.getDirection();
+      const risk = getRiskPerShare(entry, stop, direction);
+      const reward = getPnLPerShare(entry, target, direction);
       rMultiple = reward / risk;
     }
 
@@ -1437,6 +1646,240 @@ class TradeWizard {
     } else {
       this.elements.wizardRDisplay.style.display = 'none';
     }
+
+    this.updateScaleOutSummary();
+  }
+
+  /**
+   * Entry ladder changed - re-derive the entry, then everything that depends on it
+   */
+  handleEntryLadderChange() {
+    if (!this.syncLadderEntry()) {
+      this.updateLadderNote();
+      return;
+    }
+
+    this.clearInputError(this.elements.wizardEntryPrice, this.elements.wizardEntryPriceError);
+    this.updateRMultipleButtons();
+    this.updateRiskButtons();
+    this.updateRiskDisplay();
+    this.updateTargetRDisplay();
+    this.applySizingMode();
+    this.updateLadderNote();
+  }
+
+  /**
+   * A complete ladder owns the entry price: its blended average, to the cent
+   * @returns {boolean} True if the entry was set from the ladder
+   */
+  syncLadderEntry() {
+    const levels = this.entryLadderEditor?.getLevels();
+    if (this.elements.wizardEntryPrice) {
+      this.elements.wizardEntryPrice.readOnly = !!levels;
+    }
+    if (!levels) {
+      this.updateLadderNote();
+      return false;
+    }
+
+    const entry = Math.round(getLadderAverageEntry(levels) * 100) / 100;
+    if (this.elements.wizardEntryPrice) this.elements.wizardEntryPrice.value = entry.toFixed(2);
+    state.updateTrade({ entry });
+    this.updateLadderNote();
+    return true;
+  }
+
+  /**
+   * Shares per entry level for the current share count (see buildEntryLadder), or null without a complete ladder
+   */
+  getEntryLadder() {
+    const levels = this.entryLadderEditor?.getLevels();
+    const shares = parseInt(this.elements.wizardShares?.value) || 0;
+    return levels && shares > 0 ? buildEntryLadder(levels, shares) : null;
+  }
+
+  updateLadderNote() {
+    if (!this.elements.wizardLadderNote) return;
+
+    const ladder = this.getEntryLadder();
+    this.elements.wizardLadderNote.style.display = ladder ? '' : 'none';
+    this.elements.wizardLadderNote.textContent = ladder
+      ? `Laddered entry: ${ladder.levels.map(l => `${formatNumber(l.shares)} @ ${formatCurrency(l.price)}`).join(' · ')}`
+      : '';
+  }
+
+  setSizingMode(mode, apply = true) {
+    this.sizingMode = SIZING_MODES[mode] ? mode : 'percent';
+
+    this.elements.wizardSizingModeBtns?.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.sizingMode === this.sizingMode);
+    });
+    this.elements.wizardSizingInputGroups?.forEach(group => {
+      group.style.display = group.dataset.wizardSizingInputs === this.sizingMode ? '' : 'none';
+    });
+
+    // ATR mode owns the stop
+    if (this.elements.wizardStopLoss) {
+      this.elements.wizardStopLoss.readOnly = this.sizingMode === 'atr';
+    }
+
+    if (!apply) return;
+    if (this.sizingMode === 'percent') {
+      this.setSizing(null);
+    } else {
+      this.applySizingMode();
+    }
+  }
+
+  /**
+   * ATR and volatility sizing read stock candles, so they are off for options
+   */
+  updateSizingModeButtons() {
+    const isOptions = this.isOptionsMode();
+    this.elements.wizardSizingModeBtns?.forEach(btn => {
+      btn.disabled = isOptions && CANDLE_SIZING_MODES.includes(btn.dataset.sizingMode);
+    });
+    if (isOptions && CANDLE_SIZING_MODES.includes(this.sizingMode)) {
+      this.setSizingMode('percent', false);
+    }
+  }
+
+  /**
+   * Risk % for ATR sizing: the selected Risk preset, else the account default
+   */
+  getSizingRiskPercent() {
+    const activeBtn = Array.from(this.elements.wizardRiskPercentBtns || []).find(b => b.classList.contains('active'));
+    return activeBtn
+      ? parseFloat(activeBtn.dataset.risk)
+      : (state.account.riskPercent || state.settings.defaultRiskPercent);
+  }
+
+  /**
+   * Size the position with the selected sizing mode (% Risk leaves shares to the Risk presets)
+   * Fills the stop (ATR mode) and shares/contracts, capped at the max position %
+   */
+  applySizingMode() {
+    if (this.sizingMode === 'percent') return;
+
+    const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
+    const accountSize = state.account.currentSize || 0;
+    if (entry <= 0 || accountSize <= 0) {
+      this.setSizing(null);
+      return;
+    }
+
+    const direction = this.getDirection();
+    const result = positionSizer.getSizing(this.sizingMode, {
+      ticker: this.elements.wizardTicker?.value.trim().toUpperCase() || '',
+      entry,
+      stop: parseFloat(this.elements.wizardStopLoss?.value) || 0,
+      direction,
+      accountSize,
+      riskPercent: this.getSizingRiskPercent()
+    }, {
+      atrPeriod: parseFloat(this.elements.wizardAtrPeriod?.value) || null,
+      atrMultiple: parseFloat(this.elements.wizardAtrMultiple?.value) || null,
+      volTargetPercent: parseFloat(this.elements.wizardVolTargetPercent?.value) || null,
+      fixedRiskDollars: parseFloat(this.elements.wizardFixedRiskDollars?.value) || null
+    }, (ticker) => {
+      if (this.isOpen() && this.elements.wizardTicker?.value.trim().toUpperCase() === ticker) this.applySizingMode();
+    });
+
+    if (result.unavailable) {
+      this.setSizing(null, result.unavailable);
+      return;
+    }
+
+    if (this.sizingMode === 'atr' && this.elements.wizardStopLoss) {
+      this.elements.wizardStopLoss.value = result.stop.toFixed(2);
+      this.clearInputError(this.elements.wizardStopLoss, this.elements.wizardStopLossError);
+      state.updateTrade({ stop: result.stop });
+    }
+
+    // For options: 1 contract = 100 shares
+    const multiplier = this.isOptionsMode() ? 100 : 1;
+    let units = result.shares;
+    if (units === null) {
+      // Without a stop on the losing side there is nothing to size from yet (validation reports it)
+      const riskPerUnit = getRiskPerShare(entry, result.stop, direction) * multiplier;
+      if (riskPerUnit <= 0 || !result.riskDollars) {
+        this.setSizing(null);
+        return;
+      }
+      units = Math.floor(result.riskDollars / riskPerUnit);
+    }
+
+    // Same max position cap as the calculator
+    const maxPositionPercent = state.account.maxPositionPercent || state.settings.defaultMaxPositionPercent;
+    const maxUnits = Math.floor((accountSize * (maxPositionPercent / 100)) / (entry * multiplier));
+    const isLimited = units > maxUnits;
+    units = Math.max(0, Math.min(units, maxUnits));
+
+    if (this.elements.wizardShares) this.elements.wizardShares.value = units || '';
+    this.clearInputError(this.elements.wizardShares, this.elements.wizardSharesError);
+    // The Risk presets pick ATR mode's budget; other modes set their own
+    if (this.sizingMode !== 'atr') {
+      this.elements.wizardRiskPercentBtns?.forEach(b => b.classList.remove('active'));
+    }
+
+    this.setSizing(
+      { ...result.sizing, shares: units },
+      isLimited ? `capped at ${formatPercent(maxPositionPercent)} max position` : ''
+    );
+    this.updateLadderNote();
+
+    this.updateRMultipleButtons();
+    this.updateRiskButtons();
+    this.updateRiskDisplay();
+    this.updateTargetRDisplay();
+  }
+
+  /**
+   * Record how the shares were sized and show it under the shares input
+   * @param {Object|null} sizing - Sizing from PositionSizer plus the share count it produced
+   * @param {string} [note] - Extra detail, or why the mode can't size yet
+   */
+  setSizing(sizing, note = '') {
+    this.sizing = sizing;
+
+    const text = sizing
+      ? `Sized by ${sizing.label}: ${sizing.detail}${note ? ` (${note})` : ''}`
+      : note;
+    if (this.elements.wizardSizingNote) {
+      this.elements.wizardSizingNote.textContent = text;
+      this.elements.wizardSizingNote.style.display = text ? '' : 'none';
+    }
+  }
+
+  /**
+   * Drop the sizing note once the shares no longer match what the sizing mode produced
+   */
+  clearStaleSizing() {
+    const shares = parseInt(this.elements.wizardShares?.value) || 0;
+    if (this.sizing && this.sizing.shares !== shares) this.setSizing(null);
+  }
+
+  /**
+   * Scale-out plan for the current inputs (see buildExitPlan), or null without a valid plan
+   */
+  getExitPlan() {
+    const target = parseFloat(this.elements.wizardTargetPrice?.value) || 0;
+    return buildExitPlan(this.scaleOutEditor?.getTranches(), {
+      entry: parseFloat(this.elements.wizardEntryPrice?.value) || 0,
+      stop: parseFloat(this.elements.wizardStopLoss?.value) || 0,
+      shares: parseInt(this.elements.wizardShares?.value) || 0,
+      direction: this.getDirection(),
+      runnerPrice: target || null,
+      multiplier: this.isOptionsMode() ? 100 : 1
+    });
+  }
+
+  updateScaleOutSummary() {
+    this.scaleOutEditor?.renderSummary(
+      this.elements.wizardScaleOutSummary,
+      this.getExitPlan(),
+      this.isOptionsMode() ? 'ct' : 'sh'
+    );
   }
 
   showSuccessToast() {
@@ -1551,8 +1994,8 @@ class TradeWizard {
       return;
     }
 
-    // Don't validate if no API key is available
-    if (!priceTracker.apiKey) {
+    // Don't validate if no quote source is available
+    if (!priceTracker.canFetchQuotes()) {
       this.hideTickerStatus();
       return;
     }
@@ -1722,11 +2165,14 @@ class TradeWizard {
 
     // Remove active state when shares manually changed
     this.elements.wizardRiskPercentBtns?.forEach(b => b.classList.remove('active'));
+    this.clearStaleSizing();
+    this.updateLadderNote();
 
     // Update UI
     this.updateRMultipleButtons();
     this.updateRiskButtons();
     this.updateRiskDisplay();
+    this.updateScaleOutSummary();
   }
 
   sanitizeTargetPriceInput(e) {
@@ -1751,15 +2197,16 @@ class TradeWizard {
         return; // Don't update state if there's an error
       }
 
-      // Check if target > entry price
+      // Check target is on the profitable side of entry price
       const entryValue = this.elements.wizardEntryPrice?.value.trim();
       if (entryValue) {
         const entryPrice = parseFloat(entryValue);
-        if (!isNaN(target) && !isNaN(entryPrice) && target <= entryPrice) {
+        const isShort = this.getDirection() === 'short';
+        if (!isNaN(target) && !isNaN(entryPrice) && getPnLPerShare(entryPrice, target, this.getDirection()) <= 0) {
           this.showInputError(
             this.elements.wizardTargetPrice,
             this.elements.wizardTargetPriceError,
-            'Target price must be greater than entry price'
+            `Target price must be ${isShort ? 'less' : 'greater'} than entry price`
           );
           return; // Don't update state if there's an error
         }
@@ -1774,10 +2221,11 @@ class TradeWizard {
     // Check if target matches any R-Multiple preset and update UI
     const entry = parseFloat(this.elements.wizardEntryPrice?.value) || 0;
     const stop = parseFloat(this.elements.wizardStopLoss?.value) || 0;
-    const riskPerShare = entry - stop;
+    const direction = this.getDirection();
+    const riskPerShare = getRiskPerShare(entry, stop, direction);
 
     if (riskPerShare > 0) {
-      const rMultiple = (target - entry) / riskPerShare;
+      const rMultiple = getPnLPerShare(entry, target, direction) / riskPerShare;
       let matchFound = false;
 
       this.elements.wizardRMultipleBtns?.forEach(btn => {
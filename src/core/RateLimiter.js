@@ -53,12 +53,14 @@ class TokenBucket {
     const intervalsElapsed = Math.floor(elapsed / this.refillInterval);
 
     if (intervalsElapsed > 0) {
+      const previousTokens = this.tokens;
       const tokensToAdd = intervalsElapsed * this.refillRate;
       this.tokens = Math.min(this.capacity, this.tokens + tokensToAdd);
       this.lastRefill = now;
 
-      if (tokensToAdd > 0) {
-        console.log(`[RateLimit ${this.name}] Refilled ${tokensToAdd} tokens (now: ${this.tokens}/${this.capacity})`);
+      // Only log actual refills - the timer ticks even when the bucket is full
+      if (this.tokens > previousTokens) {
+        console.log(`[RateLimit ${this.name}] Refilled ${this.tokens - previousTokens} tokens (now: ${this.tokens}/${this.capacity})`);
       }
     }
   }
@@ -0,0 +1,72 @@
+/**
+ * API Client - Routes every market data request through the rate limiter and circuit breaker
+ *
+ * Transient failures (network errors, HTTP 429/5xx, Twelve Data's in-body 429)
+ * are retried with backoff by ApiErrorHandler and count toward its circuit breaker.
+ * Other HTTP errors are returned to the caller, which decides what they mean.
+ */
+
+import { apiErrorHandler } from './ApiErrorHandler.js';
+import { rateLimiter } from './RateLimiter.js';
+
+/**
+ * Fetch JSON from a provider
+ * @param {string} apiName - 'finnhub' | 'twelveData' | 'alphaVantage' | 'polygon'
+ * @param {string} url - Request URL
+ * @param {Object} options
+ * @param {number} options.tokens - Rate limit tokens to consume (e.g. symbols in a Twelve Data batch)
+ * @param {Object} options.errorContext - Extra context for error logs
+ * @returns {Promise<{ ok: boolean, status: number, data: Object|null }>}
+ * @throws {Error} Normalized error with a `code` (CIRCUIT_OPEN, RATE_LIMIT, NETWORK_ERROR, ...)
+ */
+export async function fetchJson(apiName, url, { tokens = 1, errorContext = {} } = {}) {
+  // A request can't need more tokens than the bucket holds
+  const capacity = rateLimiter.limiters[apiName]?.capacity ?? tokens;
+
+  return apiErrorHandler.execute(apiName, async () => {
+    await rateLimiter.acquire(apiName, Math.min(tokens, capacity));
+
+    const response = await fetch(url);
+
+    if (response.status === 429) {
+      throw new Error(`${apiName} rate limit (429)`);
+    }
+    if (response.status >= 500) {
+      throw new Error(`${apiName} server error (${response.status})`);
+    }
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (e) {
+      data = null;
+    }
+
+    // Twelve Data reports rate limits as HTTP 200 with { code: 429 }
+    if (data?.code === 429) {
+      throw new Error(`${apiName} rate limit (429): ${data.message || ''}`);
+    }
+
+    return { ok: response.ok, status: response.status, data };
+  }, { errorContext });
+}
+
+/**
+ * Combined circuit breaker and rate limiter status per API, for display in Settings
+ * @returns {Array<{ name, circuit, tokens, capacity }>}
+ */
+export function getApiStatus() {
+  const limiters = Object.fromEntries(rateLimiter.getStatus().map(s => [s.name, s]));
+
+  return Object.entries(apiErrorHandler.circuits).map(([name, circuit]) => {
+    const circuitStatus = circuit.getStatus();
+    const limiter = limiters[circuitStatus.name];
+    return {
+      name,
+      label: circuitStatus.name,
+      circuit: circuitStatus,
+      tokens: limiter ? Math.max(0, Math.floor(limiter.tokens)) : null,
+      capacity: limiter?.capacity ?? null
+    };
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * BackupScheduler - Automatic local snapshots of journal, cash flow and settings
+ *
+ * One snapshot per trading day, taken on the first load (or tab focus) after the
+ * trading day rolls over (marketHours.getTradingDay()). Snapshots live in IndexedDB
+ * and are pruned to the last N daily plus the newest snapshot of each of the last N weeks.
+ *
+ * Snapshot Structure:
+ * {
+ *   tradingDay: '2026-01-09',
+ *   createdAt: '2026-01-10T14:32:00.000Z',
+ *   tradeCount: 42,
+ *   data: { version, exportDate, settings, journal, journalMeta, cashFlow } // importData() compatible
+ * }
+ */
+
+import { state } from './state.js';
+import { storage } from '../utils/storage.js';
+import { getTradingDay, parseDate, formatDate } from '../utils/marketHours.js';
+
+const STORAGE_KEY = 'autoBackups';
+
+/**
+ * Monday of the week containing a trading day, used to bucket weekly snapshots
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getWeekKey(dateStr) {
+  const date = parseDate(dateStr);
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - daysSinceMonday);
+  return formatDate(date);
+}
+
+/**
+ * Pick which snapshots survive the retention policy
+ * @param {Array} snapshots - Sorted newest first
+ * @param {number} dailyCount - Most recent snapshots to keep
+ * @param {number} weeklyCount - Weeks to keep one (the newest) snapshot for
+ * @returns {Array} Snapshots to keep, newest first
+ */
+export function applyRetention(snapshots, dailyCount, weeklyCount) {
+  const keep = new Set(snapshots.slice(0, Math.max(0, dailyCount)));
+
+  const seenWeeks = new Set();
+  for (const snapshot of snapshots) {
+    const week = getWeekKey(snapshot.tradingDay);
+    if (seenWeeks.has(week)) continue;
+    seenWeeks.add(week);
+    if (seenWeeks.size > weeklyCount) break;
+    keep.add(snapshot);
+  }
+
+  return snapshots.filter(snapshot => keep.has(snapshot));
+}
+
+class BackupScheduler {
+  constructor() {
+    this.snapshots = [];
+    this.running = false;
+  }
+
+  async init() {
+    await this.load();
+    await this.runIfDue();
+
+    // Tabs left open overnight should still back up once the trading day rolls over
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.runIfDue();
+    });
+  }
+
+  async load() {
+    try {
+      this.snapshots = (await storage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      console.error('Failed to load automatic backups:', e);
+      this.snapshots = [];
+    }
+    state.emit('autoBackupsChanged', this.snapshots);
+  }
+
+  async save() {
+    try {
+      await storage.setItem(STORAGE_KEY, this.snapshots);
+    } catch (e) {
+      console.error('Failed to save automatic backups:', e);
+    }
+    state.emit('autoBackupsChanged', this.snapshots);
+  }
+
+  /**
+   * Get snapshots newest first (without the data payload, for listing)
+   */
+  getSnapshots() {
+    return this.snapshots.map(({ data, ...info }) => info);
+  }
+
+  getSnapshot(tradingDay) {
+    return this.snapshots.find(s => s.tradingDay === tradingDay) || null;
+  }
+
+  /**
+   * Take today's snapshot if enabled and not taken yet for the current trading day
+   */
+  async runIfDue() {
+    if (!state.settings.autoBackupEnabled || this.running) return;
+
+    const tradingDay = getTradingDay();
+    if (this.getSnapshot(tradingDay)) return;
+
+    await this.createSnapshot();
+  }
+
+  /**
+   * Snapshot current data for the current trading day (replacing any existing one)
+   * @returns {Promise<Object>} The new snapshot
+   */
+  async createSnapshot() {
+    this.running = true;
+    try {
+      const tradingDay = getTradingDay();
+      const createdAt = new Date().toISOString();
+
+      // Deep copy so later edits to state don't mutate the snapshot in memory
+      const data = JSON.parse(JSON.stringify({
+        version: 4,
+        exportDate: createdAt,
+        settings: state.settings,
+        journal: state.journal.entries,
+        journalMeta: state.journalMeta,
+        cashFlow: state.cashFlow
+      }));
+
+      const snapshot = {
+        tradingDay,
+        createdAt,
+        tradeCount: data.journal.length,
+        data
+      };
+
+      const others = this.snapshots.filter(s => s.tradingDay !== tradingDay);
+      const sorted = [snapshot, ...others].sort((a, b) => b.tradingDay.localeCompare(a.tradingDay));
+      this.snapshots = applyRetention(
+        sorted,
+        state.settings.autoBackupDailyCount,
+        state.settings.autoBackupWeeklyCount
+      );
+
+      await this.save();
+      console.log(`[Backup] Saved automatic backup for ${tradingDay} (${snapshot.tradeCount} trades)`);
+      return snapshot;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Re-apply retention after the daily/weekly counts change
+   */
+  async prune() {
+    const kept = applyRetention(
+      this.snapshots,
+      state.settings.autoBackupDailyCount,
+      state.settings.autoBackupWeeklyCount
+    );
+    if (kept.length === this.snapshots.length) return;
+
+    this.snapshots = kept;
+    await this.save();
+  }
+}
+
+export const backupScheduler = new BackupScheduler();
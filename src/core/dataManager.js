@@ -2,7 +2,7 @@
  * DataManager - Handles data import/export and backup operations
  */
 
-import { state } from './state.js';
+import { state, getDefaultSettings } from './state.js';
 import { showToast } from '../components/ui/ui.js';
 import { priceTracker } from './priceTracker.js';
 import { historicalPricesBatcher } from '../features/stats/HistoricalPricesBatcher.js';
@@ -10,6 +10,10 @@ import { equityCurveManager } from '../features/stats/EquityCurveManager.js';
 import eodCacheManager from './eodCacheManager.js';
 import { sharedMetrics } from '../shared/SharedMetrics.js';
 import { storage } from '../utils/storage.js';
+import { getTradeTotalFees } from './utils/tradeCalculations.js';
+import { decompressTradeNotes } from '../utils/compression.js';
+import { encryptBackup, decryptBackup, isEncryptedBackup } from '../utils/backupCrypto.js';
+import { passphraseModal } from '../components/modals/passphraseModal.js';
 
 // These will be set after modules are initialized to avoid circular dependencies
 let settingsModule = null;
@@ -34,7 +38,23 @@ export const dataManager = {
     journalViewModule = journalView;
   },
 
-  async exportAllData() {
+  /**
+   * Download a full JSON backup
+   * @param {Object} options
+   * @param {boolean} options.includeApiKeys - Write API keys into the file
+   * @param {boolean} options.encrypt - Ask for a passphrase (entered twice) and encrypt with AES-GCM
+   */
+  async exportAllData({ includeApiKeys = true, encrypt = false } = {}) {
+    let passphrase = null;
+    if (encrypt) {
+      passphrase = await passphraseModal.request({
+        title: 'Encrypt Backup',
+        message: 'The backup can only be restored with this passphrase. It cannot be recovered if you forget it.',
+        confirm: true
+      });
+      if (!passphrase) return;
+    }
+
     const data = {
       version: 4, // Incremented to include cache data with timestamps
       exportDate: new Date().toISOString(),
@@ -45,11 +65,12 @@ export const dataManager = {
       account: {
         realizedPnL: state.account.realizedPnL
       },
-      apiKeys: {
+      // Omitted when excluded so importing leaves the existing keys in place
+      apiKeys: includeApiKeys ? {
         finnhub: (await storage.getItem('finnhubApiKey')) || '',
         twelveData: (await storage.getItem('twelveDataApiKey')) || '',
         alphaVantage: (await storage.getItem('alphaVantageApiKey')) || ''
-      },
+      } : undefined,
       // Include cache data with timestamps to avoid refetching on import
       caches: {
         riskCalcPriceCache: await storage.getItem('riskCalcPriceCache'),
@@ -61,17 +82,46 @@ export const dataManager = {
       }
     };
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `trade-manager-backup-${new Date().toISOString().slice(0, 10)}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    let content;
+    try {
+      content = encrypt
+        ? JSON.stringify(await encryptBackup(data, passphrase))
+        : JSON.stringify(data, null, 2);
+    } catch (err) {
+      console.error('Export encryption error:', err);
+      showToast('❌ Failed to encrypt backup', 'error');
+      return;
+    }
+
+    const suffix = encrypt ? '-encrypted' : '';
+    this.downloadFile(content, `trade-manager-backup-${new Date().toISOString().slice(0, 10)}${suffix}.json`, 'application/json');
 
-    showToast('📥 Data exported successfully', 'success');
+    showToast(`📥 Data exported${encrypt ? ' (encrypted)' : ''}${includeApiKeys ? '' : ' without API keys'}`, 'success');
+  },
+
+  /**
+   * Parse backup file text, asking for the passphrase if it's encrypted
+   * @param {string} text - Raw file contents
+   * @returns {Promise<Object|null>} Backup data, or null if the user cancelled or decryption failed
+   * @throws {SyntaxError} If the file isn't JSON
+   */
+  async parseBackupFile(text) {
+    const data = JSON.parse(text);
+    if (!isEncryptedBackup(data)) return data;
+
+    const passphrase = await passphraseModal.request({
+      title: 'Encrypted Backup',
+      message: 'This backup is encrypted. Enter its passphrase to continue.'
+    });
+    if (!passphrase) return null;
+
+    try {
+      return await decryptBackup(data, passphrase);
+    } catch (err) {
+      console.error('Backup decryption error:', err);
+      showToast('❌ Wrong passphrase or corrupted backup', 'error');
+      return null;
+    }
   },
 
   importData() {
@@ -86,7 +136,8 @@ export const dataManager = {
       const reader = new FileReader();
       reader.onload = async (event) => {
         try {
-          const data = JSON.parse(event.target.result);
+          const data = await this.parseBackupFile(event.target.result);
+          if (!data) return;
 
           if (!data.settings || !data.journal) {
             showToast('❌ Invalid backup file format', 'error');
@@ -199,6 +250,7 @@ export const dataManager = {
 
     // Clear API keys from service objects
     await priceTracker.setApiKey('');
+    priceTracker.summaryApiKey = '';
     historicalPricesBatcher.setApiKey('');
 
     // Clear price tracker cache
@@ -209,13 +261,7 @@ export const dataManager = {
 
     // Reset state
     const savedTheme = state.settings.theme;
-    state.state.settings = {
-      startingAccountSize: 10000,
-      defaultRiskPercent: 1,
-      defaultMaxPositionPercent: 100,
-      dynamicAccountEnabled: true,
-      theme: savedTheme
-    };
+    state.state.settings = { ...getDefaultSettings(), theme: savedTheme };
     state.state.account = {
       currentSize: 10000,
       realizedPnL: 0,
@@ -246,6 +292,63 @@ export const dataManager = {
     // Save the reset state immediately (bypasses debouncing)
     await state.saveAllImmediate();
 
+    await this.refreshAll();
+
+    if (clearDataModalModule) clearDataModalModule.close();
+    showToast('🗑️ All data cleared', 'success');
+    console.log('All data cleared - reset to defaults');
+  },
+
+  /**
+   * Replace journal and cash flow with merged data from a backup, without reloading.
+   * Settings, API keys and caches are left as they are locally.
+   * @param {Object} merged - { journal, cashFlow } from applyMergePlan
+   */
+  async applyMergedData(merged) {
+    state.state.journal.entries = merged.journal.map(trade => decompressTradeNotes(trade));
+    state.state.cashFlow = merged.cashFlow;
+
+    if (state._invalidateAccountCache) {
+      state._invalidateAccountCache();
+    }
+
+    await state.saveAllImmediate();
+    await this.refreshAll();
+  },
+
+  /**
+   * Replace journal, cash flow, settings and journal meta with an automatic backup snapshot.
+   * API keys and caches are left as they are.
+   * @param {Object} data - Snapshot data from backupScheduler
+   */
+  async restoreSnapshot(data) {
+    await storage.setItem('riskCalcSettings', data.settings);
+    await storage.setItem('riskCalcJournal', data.journal || []);
+    await storage.setItem('riskCalcJournalMeta', data.journalMeta);
+    await storage.setItem('riskCalcCashFlow', data.cashFlow || {
+      transactions: [],
+      totalDeposits: 0,
+      totalWithdrawals: 0
+    });
+
+    await state.loadSettings();
+    await state.loadJournal();
+    await state.loadJournalMeta();
+    await state.loadCashFlow();
+
+    if (state._invalidateAccountCache) {
+      state._invalidateAccountCache();
+    }
+
+    // Flush so a pending debounced save can't write the pre-restore state back
+    await state.saveAllImmediate();
+    await this.refreshAll();
+  },
+
+  /**
+   * Recalculate metrics and re-render every module after state was replaced wholesale
+   */
+  async refreshAll() {
     // Recalculate shared metrics
     sharedMetrics.recalculateAll();
 
@@ -265,10 +368,6 @@ export const dataManager = {
     state.emit('accountSizeChanged', state.account.currentSize);
     state.emit('journalChanged', state.journal.entries);
     state.emit('cashFlowChanged', state.cashFlow);
-
-    if (clearDataModalModule) clearDataModalModule.close();
-    showToast('🗑️ All data cleared', 'success');
-    console.log('All data cleared - reset to defaults');
   },
 
   exportCSV() {
@@ -278,11 +377,12 @@ export const dataManager = {
       return;
     }
 
-    const headers = ['Date', 'Ticker', 'Asset Type', 'Entry', 'Stop', 'Target', 'Shares/Contracts', 'Position Size', 'Risk $', 'Risk %', 'Strike', 'Expiration', 'Option Type', 'Premium', 'Status', 'Exit Price', 'P&L', 'Notes'];
+    const headers = ['Date', 'Ticker', 'Asset Type', 'Direction', 'Entry', 'Stop', 'Target', 'Shares/Contracts', 'Position Size', 'Risk $', 'Risk %', 'Strike', 'Expiration', 'Option Type', 'Premium', 'Status', 'Exit Price', 'Fees', 'P&L', 'Notes'];
     const rows = trades.map(t => [
       new Date(t.timestamp).toLocaleDateString(),
       t.ticker,
       t.assetType || 'stock',
+      t.direction || 'long',
       t.entry,
       t.stop,
       t.target || '',
@@ -296,6 +396,7 @@ export const dataManager = {
       t.premium || '',
       t.status,
       t.exitPrice || '',
+      getTradeTotalFees(t).toFixed(2),
       t.pnl?.toFixed(2) || '',
       `"${(t.notes || '').replace(/"/g, '""')}"`
     ]);
@@ -312,15 +413,17 @@ export const dataManager = {
       return;
     }
 
-    const headers = ['Date', 'Ticker', 'Entry', 'Stop', 'Shares', 'Risk $', 'Status', 'P&L'];
+    const headers = ['Date', 'Ticker', 'Direction', 'Entry', 'Stop', 'Shares', 'Risk $', 'Status', 'Fees', 'P&L'];
     const rows = trades.map(t => [
       new Date(t.timestamp).toLocaleDateString(),
       t.ticker,
+      t.direction || 'long',
       t.entry,
       t.stop,
       t.shares,
       t.riskDollars?.toFixed(2) || '',
       t.status,
+      getTradeTotalFees(t).toFixed(2),
       t.pnl?.toFixed(2) || ''
     ]);
 
@@ -0,0 +1,99 @@
+/**
+ * Market Data - Provider registry for quotes, profiles, daily candles, option prices and company summaries
+ *
+ * Each capability is served by the provider chosen in Settings
+ * (state.settings.marketDataProviders). Providers are plain objects:
+ * {
+ *   id, label, setupHint,
+ *   capabilities: ['quote', 'profile', 'dailyCandles', 'optionPrice', 'companySummary'],
+ *   isConfigured(),                                  // sync: keys/fixtures present
+ *   getQuote(ticker)                                 // → { price, change, changePercent }, throws if unknown
+ *   getProfile(ticker)                               // → { name, industry, country, weburl, logo, description } | null
+ *   getDailyCandles(tickers, outputSize)             // → { ticker: { 'YYYY-MM-DD': { open, high, low, close, volume } } }
+ *   getOptionPrice({ ticker, expirationDate, optionType, strike })  // → { price, timestamp } | null
+ *   getCompanySummary(ticker)                        // → { ticker, name, sector, industry, summary }, throws if unavailable
+ * }
+ * Only the methods for a provider's capabilities need to exist.
+ */
+
+import { state } from './state.js';
+import { finnhubProvider } from './providers/finnhubProvider.js';
+import { twelveDataProvider } from './providers/twelveDataProvider.js';
+import { polygonProvider } from './providers/polygonProvider.js';
+import { fixtureProvider } from './providers/fixtureProvider.js';
+import { alphaVantageProvider } from './providers/alphaVantageProvider.js';
+
+export const CAPABILITIES = {
+  quote: 'Quotes',
+  profile: 'Company Profiles',
+  dailyCandles: 'Daily Candles',
+  optionPrice: 'Option Prices',
+  companySummary: 'Company Summaries'
+};
+
+const providers = new Map();
+
+export const marketData = {
+  /**
+   * Register a provider (later registrations with the same id replace earlier ones)
+   */
+  register(provider) {
+    providers.set(provider.id, provider);
+  },
+
+  async init() {
+    await fixtureProvider.load();
+  },
+
+  /**
+   * Providers that support a capability, for the Settings selectors
+   */
+  getProvidersFor(capability) {
+    return [...providers.values()].filter(p => p.capabilities.includes(capability));
+  },
+
+  /**
+   * Provider selected for a capability, falling back to the first one that supports it
+   */
+  getProvider(capability) {
+    const selectedId = state.settings.marketDataProviders?.[capability];
+    const selected = providers.get(selectedId);
+    if (selected?.capabilities.includes(capability)) {
+      return selected;
+    }
+    return this.getProvidersFor(capability)[0] || null;
+  },
+
+  /**
+   * Whether the selected provider for a capability can serve requests
+   */
+  isAvailable(capability) {
+    return !!this.getProvider(capability)?.isConfigured();
+  },
+
+  getQuote(ticker) {
+    return this.getProvider('quote').getQuote(ticker);
+  },
+
+  getProfile(ticker) {
+    return this.getProvider('profile').getProfile(ticker);
+  },
+
+  getDailyCandles(tickers, outputSize) {
+    return this.getProvider('dailyCandles').getDailyCandles(tickers, outputSize);
+  },
+
+  getOptionPrice(contract) {
+    return this.getProvider('optionPrice').getOptionPrice(contract);
+  },
+
+  getCompanySummary(ticker) {
+    return this.getProvider('companySummary').getCompanySummary(ticker);
+  }
+};
+
+marketData.register(finnhubProvider);
+marketData.register(twelveDataProvider);
+marketData.register(polygonProvider);
+marketData.register(fixtureProvider);
+marketData.register(alphaVantageProvider);
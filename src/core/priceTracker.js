@@ -1,14 +1,20 @@
 /**
- * Price Tracker - Fetches real-time stock prices from Finnhub API
+ * Price Tracker - Fetches real-time stock prices from the selected quote provider (Finnhub by default)
  * UPDATED: Uses trading day logic for cache expiry (9:30am EST boundary)
  */
 
 import { state } from './state.js';
 import { sleep } from './utils.js';
+import { marketData } from './marketData.js';
+import { finnhubProvider } from './providers/finnhubProvider.js';
+import { polygonProvider } from './providers/polygonProvider.js';
+import { alphaVantageProvider } from './providers/alphaVantageProvider.js';
 import * as marketHours from '../utils/marketHours.js';
 import { storage } from '../utils/storage.js';
 import { compressText, decompressText } from '../utils/compression.js';
 import { validateAndMigrate, addSchemaVersion } from '../utils/migrations.js';
+import { getPnLPerShare, getUnrealizedEntryFees } from './utils/tradeCalculations.js';
+import { formatOptionSymbol } from '../utils/tradeUtils.js';
 
 const CACHE_KEY = 'riskCalcPriceCache';
 const OPTIONS_CACHE_KEY = 'optionsPriceCache';
@@ -16,8 +22,13 @@ const SUMMARY_CACHE_KEY = 'companySummaryCache';
 const MAX_SUMMARY_CACHE = 30; // Keep only 30 most recent summaries
 
 export const priceTracker = {
-  apiKey: null,
-  optionsApiKey: null,
+  // Keys live on their providers so the provider layer can use them directly
+  get apiKey() { return finnhubProvider.apiKey; },
+  set apiKey(key) { finnhubProvider.apiKey = key; },
+  get optionsApiKey() { return polygonProvider.apiKey; },
+  set optionsApiKey(key) { polygonProvider.apiKey = key; },
+  get summaryApiKey() { return alphaVantageProvider.apiKey; },
+  set summaryApiKey(key) { alphaVantageProvider.apiKey = key; },
   cache: new Map(),
   optionsCache: new Map(),
   decompressedSummariesCache: new Map(), // In-memory cache for decompressed summaries
@@ -30,6 +41,7 @@ export const priceTracker = {
     // Load API key from IndexedDB
     this.apiKey = (await storage.getItem('finnhubApiKey')) || '';
     this.optionsApiKey = (await storage.getItem('optionsPriceApiKey')) || '';
+    this.summaryApiKey = (await storage.getItem('alphaVantageApiKey')) || '';
 
     // Load price cache from IndexedDB
     await this.loadCache();
@@ -101,37 +113,34 @@ export const priceTracker = {
     }
   },
 
+  /**
+   * Whether the selected quote provider can serve requests
+   */
+  canFetchQuotes() {
+    return marketData.isAvailable('quote');
+  },
+
+  /**
+   * Whether the selected option price provider can serve requests
+   */
+  canFetchOptionPrices() {
+    return marketData.isAvailable('optionPrice');
+  },
+
   async fetchPrice(ticker) {
-    if (!this.apiKey) {
-      throw new Error('Finnhub API key not configured');
+    const provider = marketData.getProvider('quote');
+    if (!provider?.isConfigured()) {
+      throw new Error(`${provider?.label || 'Quote provider'} not configured`);
     }
 
     try {
-      const response = await fetch(
-        `https://finnhub.io/api/v1/quote?symbol=${ticker.toUpperCase()}&token=${this.apiKey}`
-      );
+      const quote = await provider.getQuote(ticker);
 
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.error) {
-        throw new Error(data.error);
-      }
-
-      // Check if ticker is invalid (Finnhub returns 0 for all values when ticker doesn't exist)
-      if (data.c === 0 && data.pc === 0) {
-        throw new Error(`Invalid ticker symbol: ${ticker.toUpperCase()}`);
-      }
-
-      // Finnhub returns: c (current), h (high), l (low), o (open), pc (previous close)
       return {
         ticker: ticker.toUpperCase(),
-        price: data.c,
-        change: data.d,
-        changePercent: data.dp,
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -197,11 +206,12 @@ export const priceTracker = {
   },
 
   async fetchCompanyProfile(ticker) {
-    if (!this.apiKey) {
-      return null; // Silently return null if no API key
+    const provider = marketData.getProvider('profile');
+    if (!provider?.isConfigured()) {
+      return null; // Silently return null if no profile source
     }
 
-    // Check cache first - but only use it if it has industry data (full Finnhub profile)
+    // Check cache first - but only use it if it has industry data (full profile)
     // Cached data might only have summary (from Alpha Vantage) without industry
     const cached = await this.getCachedCompanyData(ticker);
     if (cached && cached.industry) {
@@ -209,33 +219,16 @@ export const priceTracker = {
     }
 
     try {
-      const response = await fetch(
-        `https://finnhub.io/api/v1/stock/profile2?symbol=${ticker.toUpperCase()}&token=${this.apiKey}`
-      );
-
-      if (!response.ok) {
+      const data = await provider.getProfile(ticker);
+      if (!data) {
         return null;
       }
 
-      const data = await response.json();
-
-      // Finnhub returns empty object if ticker not found
-      if (!data || Object.keys(data).length === 0 || !data.name) {
-        return null;
-      }
-
-      // Finnhub returns: name, finnhubIndustry, country, weburl, logo, etc.
-      // Check if there's a description field (not documented but might exist)
       // Normalize industry to title case
       const profile = {
+        ...data,
         ticker: ticker.toUpperCase(),
-        name: data.name || '',
-        industry: this.toTitleCase(data.finnhubIndustry || ''),
-        country: data.country || '',
-        weburl: data.weburl || '',
-        logo: data.logo || '',
-        // Check for any description-like fields
-        description: data.description || data.longBusinessSummary || ''
+        industry: this.toTitleCase(data.industry || '')
       };
 
       // Cache the data
@@ -338,7 +331,7 @@ export const priceTracker = {
   },
 
   /**
-   * Fetch company summary/description from Alpha Vantage
+   * Fetch company summary/description from the selected summary provider (Alpha Vantage by default)
    * Returns: { summary: string, name: string, sector: string, industry: string }
    */
   async fetchCompanySummary(ticker) {
@@ -348,13 +341,12 @@ export const priceTracker = {
       return cached;
     }
 
-    const alphaVantageKey = await storage.getItem('alphaVantageApiKey');
-
-    if (!alphaVantageKey) {
-      throw new Error('Alpha Vantage API key not configured. Add it in Settings to fetch company summaries.');
+    const provider = marketData.getProvider('companySummary');
+    if (!provider?.isConfigured()) {
+      throw new Error(`${provider?.label || 'Company summary provider'} not configured. ${provider?.setupHint || ''}`.trim());
     }
 
-    const summary = await this.fetchCompanySummaryFromAlphaVantage(ticker, alphaVantageKey);
+    const summary = await provider.getCompanySummary(ticker);
 
     // Cache the result
     await this.saveSummaryToCache(ticker, summary);
@@ -362,43 +354,10 @@ export const priceTracker = {
     return summary;
   },
 
-  async fetchCompanySummaryFromAlphaVantage(ticker, apiKey) {
-    const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${ticker.toUpperCase()}&apikey=${apiKey}`;
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch company overview from Alpha Vantage (${response.status})`);
-    }
-
-    const data = await response.json();
-
-    // Check for API errors
-    if (data.Note) {
-      throw new Error('Alpha Vantage API rate limit reached. Free tier: 25 calls/day, 5 calls/minute.');
-    }
-
-    if (data['Error Message']) {
-      throw new Error('Invalid ticker or no data available from Alpha Vantage');
-    }
-
-    if (!data.Name) {
-      throw new Error('No company overview data available from Alpha Vantage');
-    }
-
-    // Alpha Vantage returns: Name, Description, Sector, Industry, etc.
-    return {
-      ticker: ticker.toUpperCase(),
-      name: data.Name || '',
-      sector: data.Sector || '',
-      industry: data.Industry || '',
-      summary: data.Description || ''
-    };
-  },
-
   async fetchPrices(tickers) {
-    if (!this.apiKey) {
-      throw new Error('Finnhub API key not configured. Add it in Settings.');
+    const provider = marketData.getProvider('quote');
+    if (!provider?.isConfigured()) {
+      throw new Error(`${provider?.label || 'Quote provider'} not configured. ${provider?.setupHint || ''}`.trim());
     }
 
     const results = {
@@ -480,8 +439,10 @@ export const priceTracker = {
     const shares = trade.remainingShares || trade.shares;
     const entry = trade.entry;
 
-    const unrealizedPnL = (currentPrice - entry) * shares;
-    const unrealizedPercent = ((currentPrice - entry) / entry) * 100;
+    const pnlPerShare = getPnLPerShare(entry, currentPrice, trade);
+    // Net of entry fees not yet realized by trims
+    const unrealizedPnL = (pnlPerShare * shares) - getUnrealizedEntryFees(trade);
+    const unrealizedPercent = (pnlPerShare / entry) * 100;
 
     return {
       currentPrice,
@@ -512,54 +473,31 @@ export const priceTracker = {
    * @returns {Promise<Array>} Array of candle data {time, open, high, low, close}
    */
   async fetchHistoricalCandles(ticker, entryDate, daysBack = 365, daysForward = 90) {
-    const twelveDataKey = await storage.getItem('twelveDataApiKey');
-    if (!twelveDataKey) {
-      throw new Error('Twelve Data API key not configured. Add it in Settings to view charts.');
+    const provider = marketData.getProvider('dailyCandles');
+    if (!provider?.isConfigured()) {
+      throw new Error(`${provider?.label || 'Daily candle provider'} not configured. ${provider?.setupHint || ''}`.trim());
     }
 
-    return await this.fetchHistoricalCandlesFromTwelveData(ticker, entryDate, daysBack, twelveDataKey);
-  },
-
-  async fetchHistoricalCandlesFromTwelveData(ticker, entryDate, daysBack, apiKey) {
-    const entryDateObj = new Date(entryDate);
-    const fromDate = new Date(entryDateObj);
-    fromDate.setDate(fromDate.getDate() - daysBack);
-
-    // Twelve Data uses outputsize parameter (max 5000 for free tier)
-    // We'll request enough days to cover our range
+    // Request enough days to cover our range (max 5000 for Twelve Data free tier)
     const outputsize = Math.min(daysBack + 90, 5000);
+    const results = await provider.getDailyCandles([ticker], outputsize);
+    const prices = results[ticker] || results[ticker.toUpperCase()];
 
-    const url = `https://api.twelvedata.com/time_series?symbol=${ticker.toUpperCase()}&interval=1day&outputsize=${outputsize}&apikey=${apiKey}&format=JSON`;
-
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch data (${response.status})`);
-    }
-
-    const data = await response.json();
-
-    // Check for errors
-    if (data.status === 'error') {
-      throw new Error(data.message || 'Twelve Data API error');
-    }
-
-    if (!data.values || data.values.length === 0) {
-      throw new Error('No data available for this ticker from Twelve Data');
+    if (!prices || Object.keys(prices).length === 0) {
+      throw new Error(`No data available for this ticker from ${provider.label}`);
     }
 
-    // Convert Twelve Data format to our candle format
-    // Twelve Data returns: {datetime, open, high, low, close, volume}
-    const candles = data.values
-      .map(item => {
-        const date = new Date(item.datetime);
+    // Convert { 'YYYY-MM-DD': { open, high, low, close, volume } } to our candle format
+    const candles = Object.entries(prices)
+      .map(([datetime, item]) => {
+        const date = new Date(datetime);
         return {
           time: Math.floor(date.getTime() / 1000),
-          open: parseFloat(item.open),
-          high: parseFloat(item.high),
-          low: parseFloat(item.low),
-          close: parseFloat(item.close),
-          volume: parseFloat(item.volume || 0)
+          open: item.open,
+          high: item.high,
+          low: item.low,
+          close: item.close,
+          volume: item.volume || 0
         };
       })
       .sort((a, b) => a.time - b.time); // Sort oldest to newest
@@ -568,64 +506,26 @@ export const priceTracker = {
   },
 
   /**
-   * Format option contract for Polygon.io API
-   * Format: O:TICKER{YYMMDD}{C/P}{STRIKE*1000}
+   * Format option contract as an OCC symbol
    * Example: O:AAPL250117C00150000 (AAPL $150 Call expiring Jan 17, 2025)
    */
   formatOptionSymbol(ticker, expirationDate, optionType, strike) {
-    // Parse expiration date (YYYY-MM-DD format)
-    const date = new Date(expirationDate + 'T00:00:00');
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-
-    // Format: YYMMDD
-    const dateStr = `${year}${month}${day}`;
-
-    // Option type: C or P
-    const typeStr = optionType === 'call' ? 'C' : 'P';
-
-    // Strike price: multiply by 1000 and pad to 8 digits
-    const strikeStr = Math.round(strike * 1000).toString().padStart(8, '0');
-
-    return `O:${ticker.toUpperCase()}${dateStr}${typeStr}${strikeStr}`;
+    return formatOptionSymbol(ticker, expirationDate, optionType, strike);
   },
 
   /**
-   * Fetch current price for an options contract from Polygon.io
-   * Uses previous day's close (free tier) or snapshot (paid tier)
+   * Fetch current price for an options contract from the selected option price provider
    */
   async fetchOptionPrice(ticker, expirationDate, optionType, strike) {
-    if (!this.optionsApiKey) {
+    const provider = marketData.getProvider('optionPrice');
+    if (!provider?.isConfigured()) {
       return null;
     }
 
-    const symbol = this.formatOptionSymbol(ticker, expirationDate, optionType, strike);
-
     try {
-      // Try previous day's aggregate first (available on free tier)
-      const response = await fetch(
-        `https://api.polygon.io/v2/aggs/ticker/${symbol}/prev?adjusted=true&apiKey=${this.optionsApiKey}`
-      );
-
-      if (!response.ok) {
-        console.error(`Polygon API error for ${symbol}: ${response.status}`);
-        return null;
-      }
-
-      const data = await response.json();
-
-      if (data.status === 'OK' && data.results && data.results.length > 0) {
-        const result = data.results[0];
-        return {
-          price: result.c, // Close price from previous day
-          timestamp: result.t
-        };
-      }
-
-      return null;
+      return await provider.getOptionPrice({ ticker, expirationDate, optionType, strike });
     } catch (error) {
-      console.error(`Error fetching option price for ${symbol}:`, error);
+      console.error(`Error fetching option price for ${this.formatOptionSymbol(ticker, expirationDate, optionType, strike)}:`, error);
       return null;
     }
   },
@@ -635,7 +535,7 @@ export const priceTracker = {
    * Fetches up to 5 options per call to respect Polygon's 5 calls/min limit
    */
   async refreshOptionsPrices(optionsTrades) {
-    if (!this.optionsApiKey || !optionsTrades || optionsTrades.length === 0) {
+    if (!this.canFetchOptionPrices() || !optionsTrades || optionsTrades.length === 0) {
       return { success: [], failed: [] };
     }
 
@@ -683,9 +583,7 @@ export const priceTracker = {
         } else {
           results.failed.push(trade.ticker);
         }
-
-        // Small delay between requests to be respectful
-        await sleep(200);
+        // Pacing between requests is handled by the Polygon rate limiter in fetchJson
       } catch (error) {
         console.error(`Error fetching price for ${trade.ticker} option:`, error);
         results.failed.push(trade.ticker);
@@ -732,7 +630,7 @@ export const priceTracker = {
     const shares = trade.remainingShares ?? trade.shares;
     const multiplier = 100; // 1 contract = 100 shares
 
-    const unrealizedPnL = (currentPrice - trade.entry) * shares * multiplier;
+    const unrealizedPnL = ((currentPrice - trade.entry) * shares * multiplier) - getUnrealizedEntryFees(trade);
     const unrealizedPercent = trade.entry !== 0 ? ((currentPrice - trade.entry) / trade.entry) * 100 : 0;
 
     return {
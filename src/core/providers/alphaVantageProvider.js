@@ -0,0 +1,54 @@
+/**
+ * Alpha Vantage provider - Company summaries (OVERVIEW endpoint)
+ * Free tier: 25 calls/day, 5 calls/minute
+ */
+
+import { fetchJson } from '../apiClient.js';
+
+export const alphaVantageProvider = {
+  id: 'alphaVantage',
+  label: 'Alpha Vantage',
+  capabilities: ['companySummary'],
+  setupHint: 'Add your Alpha Vantage API key in Settings to fetch company summaries.',
+  apiKey: null,
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  /**
+   * @returns {Promise<{ ticker, name, sector, industry, summary }>}
+   * @throws {Error} On rate limits, unknown tickers or missing data
+   */
+  async getCompanySummary(ticker) {
+    const symbol = ticker.toUpperCase();
+    const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${this.apiKey}`;
+
+    const { ok, status, data } = await fetchJson('alphaVantage', url, { errorContext: { ticker } });
+
+    if (!ok || !data) {
+      throw new Error(`Failed to fetch company overview from Alpha Vantage (${status})`);
+    }
+
+    // Check for API errors
+    if (data.Note) {
+      throw new Error('Alpha Vantage API rate limit reached. Free tier: 25 calls/day, 5 calls/minute.');
+    }
+
+    if (data['Error Message']) {
+      throw new Error('Invalid ticker or no data available from Alpha Vantage');
+    }
+
+    if (!data.Name) {
+      throw new Error('No company overview data available from Alpha Vantage');
+    }
+
+    return {
+      ticker: symbol,
+      name: data.Name || '',
+      sector: data.Sector || '',
+      industry: data.Industry || '',
+      summary: data.Description || ''
+    };
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Finnhub provider - Real-time quotes and company profiles
+ * Free tier: 60 calls/minute
+ */
+
+import { fetchJson } from '../apiClient.js';
+
+export const finnhubProvider = {
+  id: 'finnhub',
+  label: 'Finnhub',
+  capabilities: ['quote', 'profile'],
+  setupHint: 'Add your Finnhub API key in Settings.',
+  apiKey: null,
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  async getQuote(ticker) {
+    const symbol = ticker.toUpperCase();
+    const { ok, status, data } = await fetchJson(
+      'finnhub',
+      `https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${this.apiKey}`,
+      { errorContext: { ticker } }
+    );
+
+    if (!ok || !data) {
+      throw new Error(`API request failed: ${status}`);
+    }
+
+    if (data.error) {
+      throw new Error(data.error);
+    }
+
+    // Check if ticker is invalid (Finnhub returns 0 for all values when ticker doesn't exist)
+    if (data.c === 0 && data.pc === 0) {
+      throw new Error(`Invalid ticker symbol: ${symbol}`);
+    }
+
+    // Finnhub returns: c (current), h (high), l (low), o (open), pc (previous close)
+    return {
+      price: data.c,
+      change: data.d,
+      changePercent: data.dp
+    };
+  },
+
+  async getProfile(ticker) {
+    const { ok, data } = await fetchJson(
+      'finnhub',
+      `https://finnhub.io/api/v1/stock/profile2?symbol=${ticker.toUpperCase()}&token=${this.apiKey}`,
+      { errorContext: { ticker } }
+    );
+
+    // Finnhub returns empty object if ticker not found
+    if (!ok || !data || Object.keys(data).length === 0 || !data.name) {
+      return null;
+    }
+
+    // Finnhub returns: name, finnhubIndustry, country, weburl, logo, etc.
+    // Check if there's a description field (not documented but might exist)
+    return {
+      name: data.name || '',
+      industry: data.finnhubIndustry || '',
+      country: data.country || '',
+      weburl: data.weburl || '',
+      logo: data.logo || '',
+      description: data.description || data.longBusinessSummary || ''
+    };
+  }
+};
@@ -0,0 +1,259 @@
+/**
+ * Fixture provider - Serves recorded market data from a local file, no keys or network
+ *
+ * Load a JSON or CSV file from Settings; it's kept in IndexedDB and merged with
+ * anything loaded before.
+ *
+ * JSON format (every section optional):
+ * {
+ *   quotes:   { "AAPL": { price: 190.12, change: 1.05, changePercent: 0.55 } },
+ *   profiles: { "AAPL": { name: "Apple Inc", industry: "Technology", country: "US", sector, description } },
+ *   candles:  { "AAPL": [{ date: "2026-01-09", open, high, low, close, volume }] },
+ *   options:  { "O:AAPL260116C00200000": { price: 3.25 } }   // OCC symbols
+ * }
+ *
+ * CSV format (daily candles): symbol,date,open,high,low,close[,volume]
+ *
+ * Tickers without an explicit quote are quoted at their latest fixture close.
+ */
+
+import { storage } from '../../utils/storage.js';
+import { parseCSV } from '../../utils/csvImport.js';
+import { formatOptionSymbol } from '../../utils/tradeUtils.js';
+
+const STORAGE_KEY = 'marketDataFixtures';
+
+function emptyFixtures() {
+  return { quotes: {}, profiles: {}, candles: {}, options: {} };
+}
+
+/**
+ * Convert candle rows to { 'YYYY-MM-DD': { open, high, low, close, volume } }
+ */
+function candlesToPrices(rows) {
+  const prices = {};
+  for (const row of rows) {
+    const date = String(row.date || row.datetime || '').slice(0, 10);
+    const close = parseFloat(row.close);
+    if (!date || isNaN(close)) continue;
+
+    prices[date] = {
+      open: parseFloat(row.open) || close,
+      high: parseFloat(row.high) || close,
+      low: parseFloat(row.low) || close,
+      close,
+      volume: parseInt(row.volume) || 0
+    };
+  }
+  return prices;
+}
+
+/**
+ * Parse a daily candle CSV into { ticker: prices }
+ * @throws {Error} If required columns are missing
+ */
+function parseCandleCSV(text) {
+  const [headerRow, ...rows] = parseCSV(text);
+  const headers = (headerRow || []).map(h => h.trim().toLowerCase());
+  const column = (...names) => headers.findIndex(h => names.includes(h));
+
+  const columns = {
+    symbol: column('symbol', 'ticker'),
+    date: column('date', 'datetime'),
+    open: column('open'),
+    high: column('high'),
+    low: column('low'),
+    close: column('close', 'price'),
+    volume: column('volume')
+  };
+
+  if (columns.symbol === -1 || columns.date === -1 || columns.close === -1) {
+    throw new Error('CSV needs symbol, date and close columns');
+  }
+
+  const byTicker = {};
+  for (const cells of rows) {
+    const ticker = cells[columns.symbol]?.trim().toUpperCase();
+    if (!ticker) continue;
+
+    const row = {};
+    for (const [key, index] of Object.entries(columns)) {
+      if (index > -1) row[key] = cells[index];
+    }
+    if (!byTicker[ticker]) byTicker[ticker] = [];
+    byTicker[ticker].push(row);
+  }
+
+  return Object.fromEntries(
+    Object.entries(byTicker).map(([ticker, tickerRows]) => [ticker, candlesToPrices(tickerRows)])
+  );
+}
+
+export const fixtureProvider = {
+  id: 'fixtures',
+  label: 'Local Fixtures',
+  capabilities: ['quote', 'profile', 'dailyCandles', 'optionPrice', 'companySummary'],
+  setupHint: 'Load a fixture file in Settings.',
+  fixtures: emptyFixtures(),
+
+  async load() {
+    try {
+      this.fixtures = { ...emptyFixtures(), ...((await storage.getItem(STORAGE_KEY)) || {}) };
+    } catch (e) {
+      console.error('Failed to load market data fixtures:', e);
+      this.fixtures = emptyFixtures();
+    }
+  },
+
+  async save() {
+    try {
+      await storage.setItem(STORAGE_KEY, this.fixtures);
+    } catch (e) {
+      console.error('Failed to save market data fixtures:', e);
+    }
+  },
+
+  /**
+   * Merge a fixture file into the stored fixtures
+   * @param {string} text - File contents
+   * @param {string} fileName - Used to tell CSV from JSON
+   * @returns {Promise<Object>} Summary counts after merging
+   * @throws {Error} If the file can't be parsed
+   */
+  async importFile(text, fileName) {
+    const incoming = emptyFixtures();
+
+    if (fileName.toLowerCase().endsWith('.csv')) {
+      incoming.candles = parseCandleCSV(text);
+    } else {
+      const data = JSON.parse(text);
+      const upperKeys = (obj) => Object.fromEntries(
+        Object.entries(obj || {}).map(([key, value]) => [key.toUpperCase(), value])
+      );
+
+      incoming.quotes = upperKeys(data.quotes);
+      incoming.profiles = upperKeys(data.profiles);
+      incoming.options = upperKeys(data.options);
+      incoming.candles = Object.fromEntries(
+        Object.entries(upperKeys(data.candles)).map(([ticker, rows]) => [
+          ticker,
+          Array.isArray(rows) ? candlesToPrices(rows) : rows
+        ])
+      );
+    }
+
+    for (const section of Object.keys(incoming)) {
+      if (section === 'candles') {
+        for (const [ticker, prices] of Object.entries(incoming.candles)) {
+          this.fixtures.candles[ticker] = { ...(this.fixtures.candles[ticker] || {}), ...prices };
+        }
+      } else {
+        Object.assign(this.fixtures[section], incoming[section]);
+      }
+    }
+
+    await this.save();
+    return this.getSummary();
+  },
+
+  async clear() {
+    this.fixtures = emptyFixtures();
+    await storage.removeItem(STORAGE_KEY);
+  },
+
+  getSummary() {
+    const tickers = new Set([
+      ...Object.keys(this.fixtures.quotes),
+      ...Object.keys(this.fixtures.profiles),
+      ...Object.keys(this.fixtures.candles)
+    ]);
+    return {
+      tickers: tickers.size,
+      quotes: Object.keys(this.fixtures.quotes).length,
+      profiles: Object.keys(this.fixtures.profiles).length,
+      candles: Object.keys(this.fixtures.candles).length,
+      options: Object.keys(this.fixtures.options).length
+    };
+  },
+
+  isConfigured() {
+    const summary = this.getSummary();
+    return summary.tickers > 0 || summary.options > 0;
+  },
+
+  async getQuote(ticker) {
+    const symbol = ticker.toUpperCase();
+    const quote = this.fixtures.quotes[symbol];
+    if (quote && typeof quote.price === 'number') {
+      return {
+        price: quote.price,
+        change: quote.change ?? 0,
+        changePercent: quote.changePercent ?? 0
+      };
+    }
+
+    // Fall back to the two most recent closes
+    const dates = Object.keys(this.fixtures.candles[symbol] || {}).sort();
+    if (dates.length === 0) {
+      throw new Error(`Invalid ticker symbol: ${symbol} (not in fixtures)`);
+    }
+
+    const last = this.fixtures.candles[symbol][dates[dates.length - 1]].close;
+    const previous = dates.length > 1 ? this.fixtures.candles[symbol][dates[dates.length - 2]].close : last;
+    return {
+      price: last,
+      change: last - previous,
+      changePercent: previous ? ((last - previous) / previous) * 100 : 0
+    };
+  },
+
+  async getProfile(ticker) {
+    const profile = this.fixtures.profiles[ticker.toUpperCase()];
+    if (!profile) return null;
+
+    return {
+      name: profile.name || '',
+      industry: profile.industry || '',
+      country: profile.country || '',
+      weburl: profile.weburl || '',
+      logo: profile.logo || '',
+      description: profile.description || ''
+    };
+  },
+
+  async getCompanySummary(ticker) {
+    const profile = this.fixtures.profiles[ticker.toUpperCase()];
+    if (!profile?.description) {
+      throw new Error(`No company summary for ${ticker.toUpperCase()} in the fixture file`);
+    }
+
+    return {
+      ticker: ticker.toUpperCase(),
+      name: profile.name || '',
+      sector: profile.sector || '',
+      industry: profile.industry || '',
+      summary: profile.description
+    };
+  },
+
+  async getDailyCandles(tickers, outputSize) {
+    const results = {};
+    for (const ticker of tickers) {
+      const prices = this.fixtures.candles[ticker.toUpperCase()];
+      if (!prices) continue;
+
+      // Most recent outputSize days, like the live providers
+      const dates = Object.keys(prices).sort().slice(-outputSize);
+      results[ticker] = Object.fromEntries(dates.map(date => [date, prices[date]]));
+    }
+    return results;
+  },
+
+  async getOptionPrice({ ticker, expirationDate, optionType, strike }) {
+    const symbol = formatOptionSymbol(ticker, expirationDate, optionType, strike);
+    const option = this.fixtures.options[symbol];
+    if (!option || typeof option.price !== 'number') return null;
+
+    return { price: option.price, timestamp: Date.now() };
+  }
+};
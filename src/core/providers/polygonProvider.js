@@ -0,0 +1,49 @@
+/**
+ * Polygon.io provider - Option contract prices
+ * Uses previous day's close (free tier: 5 calls/minute)
+ */
+
+import { fetchJson } from '../apiClient.js';
+import { formatOptionSymbol } from '../../utils/tradeUtils.js';
+
+export const polygonProvider = {
+  id: 'polygon',
+  label: 'Polygon.io',
+  capabilities: ['optionPrice'],
+  setupHint: 'Add your options API key in Settings.',
+  apiKey: null,
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  /**
+   * @param {Object} contract - { ticker, expirationDate, optionType, strike }
+   * @returns {Promise<{ price: number, timestamp: number }|null>}
+   */
+  async getOptionPrice({ ticker, expirationDate, optionType, strike }) {
+    const symbol = formatOptionSymbol(ticker, expirationDate, optionType, strike);
+
+    // Previous day's aggregate is available on the free tier
+    const { ok, status, data } = await fetchJson(
+      'polygon',
+      `https://api.polygon.io/v2/aggs/ticker/${symbol}/prev?adjusted=true&apiKey=${this.apiKey}`,
+      { errorContext: { symbol } }
+    );
+
+    if (!ok) {
+      console.error(`Polygon API error for ${symbol}: ${status}`);
+      return null;
+    }
+
+    if (data?.status === 'OK' && data.results && data.results.length > 0) {
+      const result = data.results[0];
+      return {
+        price: result.c, // Close price from previous day
+        timestamp: result.t
+      };
+    }
+
+    return null;
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Twelve Data provider - Daily candles, batched up to N symbols per request
+ * Free tier: 8 credits/minute, 800/day (one credit per symbol)
+ */
+
+import { fetchJson } from '../apiClient.js';
+
+/**
+ * Convert a Twelve Data values array to { 'YYYY-MM-DD': { open, high, low, close, volume } }
+ */
+function parseValues(values) {
+  const prices = {};
+  for (const item of values) {
+    prices[item.datetime] = {
+      open: parseFloat(item.open),
+      high: parseFloat(item.high),
+      low: parseFloat(item.low),
+      close: parseFloat(item.close),
+      volume: parseInt(item.volume) || 0
+    };
+  }
+  return prices;
+}
+
+export const twelveDataProvider = {
+  id: 'twelveData',
+  label: 'Twelve Data',
+  capabilities: ['dailyCandles'],
+  setupHint: 'Add your Twelve Data API key in Settings.',
+  apiKey: null,
+
+  isConfigured() {
+    return !!this.apiKey;
+  },
+
+  /**
+   * Fetch daily candles for several tickers in one request
+   * Tickers missing from the response are logged and left out of the result
+   * @param {Array<string>} tickers
+   * @param {number} outputSize - Number of trading days
+   * @returns {Promise<Object>} { ticker: { 'YYYY-MM-DD': { open, high, low, close, volume } } }
+   */
+  async getDailyCandles(tickers, outputSize) {
+    const symbols = tickers.join(',');
+    const url = `https://api.twelvedata.com/time_series?symbol=${symbols}&interval=1day&outputsize=${outputSize}&apikey=${this.apiKey}`;
+
+    // Twelve Data charges one credit per symbol in a batch
+    const { ok, status, data } = await fetchJson('twelveData', url, {
+      tokens: tickers.length,
+      errorContext: { symbols }
+    });
+
+    // Check HTTP status
+    if (!ok || !data) {
+      console.error(`[Prices] HTTP ${status} - API request failed`);
+      return {};
+    }
+
+    // Check for API-level errors (rate limiting, authentication, etc.)
+    if (data.code && data.message) {
+      console.error(`[Prices] Twelve Data API error (${data.code}): ${data.message}`);
+      return {};
+    }
+
+    const results = {};
+
+    if (tickers.length === 1) {
+      // Single ticker response format
+      if (data.status === 'error') {
+        console.error(`[Prices] Twelve Data error: ${data.message}`, data.code ? `(${data.code})` : '');
+        return results;
+      }
+
+      if (data.values && Array.isArray(data.values)) {
+        results[tickers[0]] = parseValues(data.values);
+      }
+      return results;
+    }
+
+    // Multiple tickers response format (object with ticker keys)
+    for (const ticker of tickers) {
+      const tickerData = data[ticker];
+
+      if (!tickerData) {
+        // Ticker not in response - determine why
+        const allKeys = Object.keys(data);
+        if (allKeys.length === 0) {
+          console.error(`[Prices] ${ticker}: API returned empty response (possible rate limit or API issue)`);
+        } else if (data.status === 'error') {
+          console.error(`[Prices] ${ticker}: ${data.message}${data.code ? ` (${data.code})` : ''}`);
+        } else {
+          console.error(`[Prices] ${ticker}: Not returned by API (invalid symbol, unsupported exchange, or not included in your API plan)`);
+        }
+        continue;
+      }
+
+      if (tickerData.status === 'error') {
+        console.error(`[Prices] ${ticker}: ${tickerData.message}${tickerData.code ? ` (${tickerData.code})` : ''}`);
+        continue;
+      }
+
+      if (tickerData.values && Array.isArray(tickerData.values)) {
+        results[ticker] = parseValues(tickerData.values);
+      }
+    }
+
+    return results;
+  }
+};
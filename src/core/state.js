@@ -7,17 +7,58 @@ import { calculateRealizedPnL, getTradeRealizedPnL } from './utils/tradeCalculat
 import { compressTradeNotes, decompressTradeNotes } from '../utils/compression.js';
 import { storage } from '../utils/storage.js';
 
+// Settings defaults - used for new installs, for keys missing from saved settings and by Clear All Data
+const DEFAULT_SETTINGS = {
+  startingAccountSize: 10000,
+  defaultRiskPercent: 1,
+  defaultMaxPositionPercent: 100,
+  dynamicAccountEnabled: true,
+  theme: 'dark',
+  twelveDataBatchSize: 8, // Twelve Data API batch size (8 for free tier, higher for paid)
+  // Default commission schedule (applied to new entries, adds and trims)
+  commissionPerShare: 0,
+  commissionPerContract: 0,
+  commissionPerOrder: 0,
+  // Automatic local backups (see backupScheduler)
+  autoBackupEnabled: true,
+  autoBackupDailyCount: 7,
+  autoBackupWeeklyCount: 4,
+  // Benchmark ticker for the Stats equity curve ('' = none)
+  benchmarkTicker: 'SPY',
+  // Warn when one industry's position value exceeds this % of the account (Positions exposure)
+  sectorExposureWarningPercent: 25,
+  // Risk guardrails checked when logging a trade (see RiskGuardrails, 0 = off)
+  maxOpenRiskPercent: 0,
+  maxOpenPositions: 0,
+  maxIndustryPercent: 0,
+  maxSinglePositionPercent: 0,
+  maxDailyLossPercent: 0,
+  maxWeeklyLossPercent: 0,
+  riskLimitMode: 'warn', // 'warn' | 'block'
+  // Market data provider per capability (see marketData)
+  marketDataProviders: {
+    quote: 'finnhub',
+    profile: 'finnhub',
+    dailyCandles: 'twelveData',
+    optionPrice: 'polygon',
+    companySummary: 'alphaVantage'
+  }
+};
+
+/**
+ * Fresh copy of the default settings (nested objects are not shared)
+ */
+export function getDefaultSettings() {
+  return {
+    ...DEFAULT_SETTINGS,
+    marketDataProviders: { ...DEFAULT_SETTINGS.marketDataProviders }
+  };
+}
+
 class AppState {
   constructor() {
     this.state = {
-      settings: {
-        startingAccountSize: 10000,
-        defaultRiskPercent: 1,
-        defaultMaxPositionPercent: 100,
-        dynamicAccountEnabled: true,
-        theme: 'dark',
-        twelveDataBatchSize: 8 // Twelve Data API batch size (8 for free tier, higher for paid)
-      },
+      settings: getDefaultSettings(),
 
       account: {
         // currentSize and realizedPnL are now computed properties (see getters below)
@@ -33,6 +74,7 @@ class AppState {
 
       trade: {
         ticker: '',
+        direction: 'long',
         entry: null,
         stop: null,
         target: null,
@@ -368,13 +410,14 @@ class AppState {
     try {
       const parsed = await storage.getItem('riskCalcSettings');
       if (parsed) {
-        // Replace settings object entirely to ensure all properties are reset
-        this.state.settings = {
-          startingAccountSize: parsed.startingAccountSize ?? 10000,
-          defaultRiskPercent: parsed.defaultRiskPercent ?? 1,
-          defaultMaxPositionPercent: parsed.defaultMaxPositionPercent ?? 100,
-          dynamicAccountEnabled: parsed.dynamicAccountEnabled ?? true,
-          theme: parsed.theme ?? 'dark'
+        // Replace settings object entirely: known keys only, defaults for anything missing
+        const defaults = getDefaultSettings();
+        this.state.settings = Object.fromEntries(
+          Object.keys(defaults).map(key => [key, parsed[key] ?? defaults[key]])
+        );
+        this.state.settings.marketDataProviders = {
+          ...defaults.marketDataProviders,
+          ...(parsed.marketDataProviders || {})
         };
         // currentSize is now a computed property - no manual assignment needed
         this.state.account.riskPercent = this.state.settings.defaultRiskPercent;
@@ -417,12 +460,13 @@ class AppState {
   }
 
   /**
-   * Migrate existing trades to include options fields
-   * Adds assetType, strike, expirationDate, optionType, premium with default values
+   * Migrate existing trades to include options and direction fields
+   * Adds assetType, strike, expirationDate, optionType, premium, direction with default values
    */
   _migrateTradesForOptions() {
     let migrated = 0;
     this.state.journal.entries.forEach(trade => {
+      const needsMigration = !trade.assetType || !trade.direction;
       if (!trade.assetType) {
         // Default to 'stock' for existing trades
         trade.assetType = 'stock';
@@ -430,12 +474,16 @@ class AppState {
         trade.expirationDate = null;
         trade.optionType = null;
         trade.premium = null;
-        migrated++;
       }
+      if (!trade.direction) {
+        // Trades logged before short support are all long
+        trade.direction = 'long';
+      }
+      if (needsMigration) migrated++;
     });
 
     if (migrated > 0) {
-      console.log(`[State] Migrated ${migrated} trades to include options fields`);
+      console.log(`[State] Migrated ${migrated} trades to include options/direction fields`);
       this.saveJournal(); // Save migrated data
     }
   }
@@ -2,6 +2,8 @@
  * Utility Functions - Formatting and parsing helpers
  */
 
+import { isBusinessDay, adjustToPreviousWeekday, formatDate as toDateKey } from '../utils/marketHours.js';
+
 // Currency formatting
 export function formatCurrency(value) {
   return new Intl.NumberFormat('en-US', {
@@ -25,6 +27,18 @@ export function formatPercent(value, decimals = 2) {
   return `${formatNumber(value, decimals)}%`;
 }
 
+// Signed currency for P&L (e.g. +$1,234.56, -$56.78); '—' when there is no value
+export function formatSignedCurrency(value, decimals = 2) {
+  if (value === null || value === undefined) return '—';
+  return `${value >= 0 ? '+' : '-'}$${formatNumber(Math.abs(value), decimals)}`;
+}
+
+// Signed percentage for returns (e.g. +12.34%, -5.67%); '—' when there is no value
+export function formatSignedPercent(value, decimals = 2) {
+  if (value === null || value === undefined) return '—';
+  return `${value >= 0 ? '+' : ''}${formatPercent(value, decimals)}`;
+}
+
 // Format with commas (no currency symbol)
 export function formatWithCommas(value) {
   if (value === null || value === undefined) return '';
@@ -116,7 +130,7 @@ export function createTimestampFromDateInput(dateInputValue) {
   return new Date(dateInputValue + 'T12:00:00').toISOString();
 }
 
-// Initialize Flatpickr date picker with weekend disabling and custom options
+// Initialize Flatpickr date picker with weekend/holiday disabling and custom options
 export function initFlatpickr(dateInput, options = {}) {
   if (!dateInput) return null;
   if (!window.flatpickr) {
@@ -130,11 +144,11 @@ export function initFlatpickr(dateInput, options = {}) {
     altInput: true,
     altFormat: 'M j, Y', // e.g., "Jan 10, 2026"
     animate: true,
-    // Disable weekends
+    // Disable weekends and NYSE holidays
     disable: [
       function(date) {
         // Return true to disable the date
-        return (date.getDay() === 0 || date.getDay() === 6); // Sunday = 0, Saturday = 6
+        return !isBusinessDay(toDateKey(date));
       }
     ],
     // Prevent future dates
@@ -217,38 +231,18 @@ export function initFlatpickr(dateInput, options = {}) {
   return fp;
 }
 
-// Get previous business day (skip weekends)
+// Get previous business day (skip weekends and holidays)
 export function getPreviousBusinessDay(date) {
   const result = new Date(date);
   result.setDate(result.getDate() - 1);
 
-  // If it's Sunday (0), go back to Friday
-  if (result.getDay() === 0) {
-    result.setDate(result.getDate() - 2);
-  }
-  // If it's Saturday (6), go back to Friday
-  else if (result.getDay() === 6) {
-    result.setDate(result.getDate() - 1);
-  }
-
-  return result;
+  // Skip back over weekends and holidays
+  return adjustToPreviousWeekday(result);
 }
 
-// Get current weekday (or last Friday if today is weekend)
+// Get current trading day (or the last one if today is a weekend or holiday)
 export function getCurrentWeekday() {
-  const today = new Date();
-  const dayOfWeek = today.getDay();
-
-  // If Saturday (6), go back to Friday
-  if (dayOfWeek === 6) {
-    today.setDate(today.getDate() - 1);
-  }
-  // If Sunday (0), go back to Friday
-  else if (dayOfWeek === 0) {
-    today.setDate(today.getDate() - 2);
-  }
-
-  return today;
+  return adjustToPreviousWeekday(new Date());
 }
 
 /**
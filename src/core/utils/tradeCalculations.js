@@ -7,6 +7,7 @@
  * Get realized P&L for a single trade
  * For trimmed trades, returns totalRealizedPnL (accumulated from all trims)
  * For closed trades, returns pnl (final P&L)
+ * Both are stored net of fees (see TrimModal.confirm)
  * @param {Object} trade - Trade object
  * @returns {number} Realized P&L (0 if not available)
  */
@@ -26,3 +27,265 @@ export function calculateRealizedPnL(trades) {
     .filter(t => t.status === 'closed' || t.status === 'trimmed')
     .reduce((sum, t) => sum + getTradeRealizedPnL(t), 0);
 }
+
+/**
+ * Get realized P&L a trade booked between two dates (inclusive), from its trims or its close
+ * @param {Object} trade - Trade object
+ * @param {string} startDateStr - YYYY-MM-DD
+ * @param {string} endDateStr - YYYY-MM-DD
+ * @returns {number} Realized P&L in the range
+ */
+export function getRealizedPnLBetween(trade, startDateStr, endDateStr) {
+  const inRange = (value) => {
+    const dateStr = value ? String(value).slice(0, 10) : null;
+    return !!dateStr && dateStr >= startDateStr && dateStr <= endDateStr;
+  };
+
+  const trims = trade.trimHistory || [];
+  if (trims.length > 0) {
+    return trims.filter(trim => inRange(trim.date)).reduce((sum, trim) => sum + (trim.pnl || 0), 0);
+  }
+  // Trades closed without trim events carry their P&L on the trade itself
+  return trade.status === 'closed' && inRange(trade.exitDate) ? getTradeRealizedPnL(trade) : 0;
+}
+
+/**
+ * Check whether a trade is a short position
+ * Trades without a direction predate short support and are treated as long
+ * @param {Object} trade - Trade object
+ * @returns {boolean} True if the trade is short
+ */
+export function isShortTrade(trade) {
+  return trade?.direction === 'short';
+}
+
+/**
+ * Get the P&L sign for a trade direction
+ * @param {Object|string} tradeOrDirection - Trade object or 'long'/'short'
+ * @returns {number} 1 for long, -1 for short
+ */
+export function getDirectionMultiplier(tradeOrDirection) {
+  const direction = typeof tradeOrDirection === 'string'
+    ? tradeOrDirection
+    : tradeOrDirection?.direction;
+  return direction === 'short' ? -1 : 1;
+}
+
+/**
+ * Get per-share risk between entry and stop
+ * Long: entry - stop, Short: stop - entry (negative when stop is on the wrong side)
+ * @param {number} entry - Entry price
+ * @param {number} stop - Stop price
+ * @param {Object|string} tradeOrDirection - Trade object or 'long'/'short'
+ * @returns {number} Risk per share
+ */
+export function getRiskPerShare(entry, stop, tradeOrDirection) {
+  return (entry - stop) * getDirectionMultiplier(tradeOrDirection);
+}
+
+/**
+ * Get per-share P&L for moving from entry to exit
+ * Long: exit - entry, Short: entry - exit
+ * @param {number} entry - Entry price
+ * @param {number} exitPrice - Exit (or current) price
+ * @param {Object|string} tradeOrDirection - Trade object or 'long'/'short'
+ * @returns {number} P&L per share
+ */
+export function getPnLPerShare(entry, exitPrice, tradeOrDirection) {
+  return (exitPrice - entry) * getDirectionMultiplier(tradeOrDirection);
+}
+
+/**
+ * Get the price that is `rMultiple` R away from entry in the profitable direction
+ * @param {number} entry - Entry price
+ * @param {number} riskPerShare - Positive per-share risk
+ * @param {number} rMultiple - R multiple (negative values move toward the stop)
+ * @param {Object|string} tradeOrDirection - Trade object or 'long'/'short'
+ * @returns {number} Price at the given R multiple
+ */
+export function getPriceAtR(entry, riskPerShare, rMultiple, tradeOrDirection) {
+  return entry + (rMultiple * riskPerShare * getDirectionMultiplier(tradeOrDirection));
+}
+
+/**
+ * Get the weighted-average entry after adding to a position
+ * @param {number} currentShares - Shares currently held
+ * @param {number} currentEntry - Current cost basis per share
+ * @param {number} addShares - Shares being added
+ * @param {number} addPrice - Fill price of the add
+ * @returns {number} New cost basis per share
+ */
+export function getWeightedAverageEntry(currentShares, currentEntry, addShares, addPrice) {
+  const totalShares = currentShares + addShares;
+  if (totalShares <= 0) return currentEntry;
+  return ((currentShares * currentEntry) + (addShares * addPrice)) / totalShares;
+}
+
+/**
+ * Calculate commission for an order using the default schedule from Settings
+ * Stocks pay per share, options pay per contract; the flat fee applies to every order
+ * @param {number} quantity - Shares or contracts in the order
+ * @param {string} assetType - 'stock' or 'options'
+ * @param {Object} schedule - Settings object with commissionPerShare, commissionPerContract, commissionPerOrder
+ * @returns {number} Commission in dollars (0 for empty orders)
+ */
+export function calculateCommission(quantity, assetType, schedule = {}) {
+  if (!quantity || quantity <= 0) return 0;
+
+  const perUnit = assetType === 'options'
+    ? (schedule.commissionPerContract || 0)
+    : (schedule.commissionPerShare || 0);
+
+  return (perUnit * quantity) + (schedule.commissionPerOrder || 0);
+}
+
+/**
+ * Get entry fees not yet charged against realized P&L
+ * Entry fees (trade.fees) are realized pro rata as the position is trimmed
+ * @param {Object} trade - Trade object
+ * @returns {number} Entry fees still attached to the open shares
+ */
+export function getUnrealizedEntryFees(trade) {
+  const allocated = (trade.trimHistory || []).reduce((sum, trim) => sum + (trim.entryFees || 0), 0);
+  return Math.max(0, (trade.fees || 0) - allocated);
+}
+
+/**
+ * Get total fees paid on a trade (entry, adds and every exit)
+ * @param {Object} trade - Trade object
+ * @returns {number} Total fees in dollars
+ */
+export function getTradeTotalFees(trade) {
+  const exitFees = (trade.trimHistory || []).reduce((sum, trim) => sum + (trim.fees || 0), 0);
+  return (trade.fees || 0) + exitFees;
+}
+
+/**
+ * Get the share of unrealized entry fees charged to a trim
+ * A full close picks up whatever entry fees are left
+ * @param {Object} trade - Trade object (before the trim)
+ * @param {number} sharesToClose - Shares being trimmed
+ * @returns {number} Entry fees allocated to this trim
+ */
+export function getEntryFeesForTrim(trade, sharesToClose) {
+  const remainingShares = trade.remainingShares ?? trade.shares;
+  const unrealizedFees = getUnrealizedEntryFees(trade);
+  if (!remainingShares || remainingShares <= 0) return unrealizedFees;
+  return unrealizedFees * Math.min(1, sharesToClose / remainingShares);
+}
+
+/**
+ * Build a scale-out plan: shares, price and profit for each exit tranche
+ * Tranches without an R multiple are runners, valued at runnerPrice when one is given.
+ * Each tranche's shares are rounded down; the last tranche takes what is left over.
+ * @param {Array} tranches - [{ rMultiple, percent }] in exit order (percents should add up to 100)
+ * @param {Object} setup - { entry, stop, shares, direction, runnerPrice, multiplier }
+ * @returns {Object|null} { tranches: [{ rMultiple, percent, price, shares, profit }], blendedR, expectedProfit, unpricedShares }
+ */
+export function buildExitPlan(tranches, { entry, stop, shares, direction, runnerPrice = null, multiplier = 1 }) {
+  const riskPerShare = getRiskPerShare(entry, stop, direction);
+  if (!tranches?.length || !shares || shares <= 0 || riskPerShare <= 0) return null;
+
+  const planned = tranches.map(tranche => ({
+    rMultiple: tranche.rMultiple ?? null,
+    percent: tranche.percent,
+    shares: Math.floor(shares * tranche.percent / 100)
+  }));
+  planned[planned.length - 1].shares += shares - planned.reduce((sum, t) => sum + t.shares, 0);
+
+  let pricedShares = 0;
+  let weightedR = 0;
+  let expectedProfit = 0;
+  const result = planned.map(tranche => {
+    const price = tranche.rMultiple !== null
+      ? getPriceAtR(entry, riskPerShare, tranche.rMultiple, direction)
+      : (runnerPrice || null);
+    if (price === null) return { ...tranche, price: null, profit: null };
+
+    const pnlPerShare = getPnLPerShare(entry, price, direction);
+    const profit = pnlPerShare * tranche.shares * multiplier;
+    pricedShares += tranche.shares;
+    weightedR += (pnlPerShare / riskPerShare) * tranche.shares;
+    expectedProfit += profit;
+    return { ...tranche, price, profit };
+  });
+
+  return {
+    tranches: result,
+    // Share-weighted R of the priced tranches (an open-ended runner is left out)
+    blendedR: pricedShares > 0 ? weightedR / pricedShares : null,
+    expectedProfit,
+    unpricedShares: shares - pricedShares
+  };
+}
+
+/**
+ * Get the next tranche of a trade's scale-out plan still to be sold
+ * Prices and shares come from the trade as it is now (average entry, original stop and
+ * share count after any adds), not from when it was logged.
+ * Shares already trimmed fill the plan in order; the last tranche takes everything left.
+ * @param {Object} trade - Trade with exitPlan ([{ rMultiple, percent }])
+ * @returns {Object|null} { index, count, rMultiple, price, shares } or null if there is no plan left
+ * (price is null for a runner or when the trade has no risk to measure R from)
+ */
+export function getNextExitTranche(trade) {
+  const plan = trade.exitPlan;
+  const remainingShares = trade.remainingShares ?? trade.shares;
+  if (!plan?.length || !remainingShares || remainingShares <= 0) return null;
+
+  const riskPerShare = getRiskPerShare(trade.entry, trade.originalStop ?? trade.stop, trade);
+  const soldShares = (trade.trimHistory || []).reduce((sum, trim) => sum + (trim.shares || 0), 0);
+  let plannedShares = 0;
+  for (let i = 0; i < plan.length; i++) {
+    plannedShares += Math.floor(trade.shares * plan[i].percent / 100);
+    const isLast = i === plan.length - 1;
+    if (plannedShares > soldShares || isLast) {
+      const rMultiple = plan[i].rMultiple ?? null;
+      return {
+        index: i,
+        count: plan.length,
+        rMultiple,
+        price: rMultiple !== null && riskPerShare > 0
+          ? getPriceAtR(trade.entry, riskPerShare, rMultiple, trade)
+          : null,
+        shares: isLast ? remainingShares : Math.min(plannedShares - soldShares, remainingShares)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the blended entry of a laddered entry plan (allocation-weighted average price)
+ * Sizing from this price gives the same total risk as sizing each level separately.
+ * @param {Array} levels - [{ price, percent }]
+ * @returns {number} Blended entry price (0 without levels)
+ */
+export function getLadderAverageEntry(levels) {
+  const totalPercent = (levels || []).reduce((sum, l) => sum + l.percent, 0);
+  if (totalPercent <= 0) return 0;
+  return levels.reduce((sum, l) => sum + l.price * l.percent, 0) / totalPercent;
+}
+
+/**
+ * Split a share count across laddered entry levels
+ * Each level is rounded down; the last level takes what is left over.
+ * @param {Array} levels - [{ price, percent }] (percents should add up to 100)
+ * @param {number} totalShares - Shares for the whole position
+ * @returns {Object} { levels: [{ price, percent, shares }], averageEntry } - averageEntry is share-weighted
+ */
+export function buildEntryLadder(levels, totalShares) {
+  const planned = levels.map(level => ({
+    price: level.price,
+    percent: level.percent,
+    shares: Math.floor(totalShares * level.percent / 100)
+  }));
+  planned[planned.length - 1].shares += totalShares - planned.reduce((sum, l) => sum + l.shares, 0);
+
+  return {
+    levels: planned,
+    averageEntry: totalShares > 0
+      ? planned.reduce((sum, l) => sum + l.price * l.shares, 0) / totalShares
+      : getLadderAverageEntry(levels)
+  };
+}
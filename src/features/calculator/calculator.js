@@ -5,10 +5,12 @@
 import { state } from '../../core/state.js';
 import { parseNumber, formatCurrency, formatPercent, formatNumber, formatWithCommas } from '../../core/utils.js';
 import { showToast } from '../../components/ui/ui.js';
+import { getRiskPerShare, getPnLPerShare, getPriceAtR } from '../../core/utils/tradeCalculations.js';
 
 class Calculator {
   constructor() {
     this.elements = {};
+    this.direction = 'long';
   }
 
   init() {
@@ -67,6 +69,7 @@ class Calculator {
       customRisk: document.getElementById('customRisk'),
       maxPositionPercent: document.getElementById('maxPositionPercent'),
       ticker: document.getElementById('ticker'),
+      directionToggle: document.getElementById('tradeDirectionToggle'),
       entryPrice: document.getElementById('entryPrice'),
       stopLoss: document.getElementById('stopLoss'),
       targetPrice: document.getElementById('targetPrice'),
@@ -128,6 +131,14 @@ class Calculator {
       if (el) el.addEventListener('input', () => this.calculate());
     });
 
+    // Long/Short toggle
+    if (this.elements.directionToggle) {
+      this.elements.directionToggle.addEventListener('click', (e) => {
+        const btn = e.target.closest('.toggle-switch__option');
+        if (btn) this.setDirection(btn.dataset.tradeDirection);
+      });
+    }
+
     // Risk button handlers
     document.querySelectorAll('.risk-btn').forEach(btn => {
       btn.addEventListener('click', (e) => this.handleRiskButton(e));
@@ -202,6 +213,22 @@ class Calculator {
     });
   }
 
+  setDirection(direction) {
+    this.direction = direction === 'short' ? 'short' : 'long';
+
+    const toggle = this.elements.directionToggle;
+    if (toggle) {
+      const options = toggle.querySelectorAll('.toggle-switch__option');
+      options.forEach((opt, index) => {
+        const isActive = opt.dataset.tradeDirection === this.direction;
+        opt.classList.toggle('active', isActive);
+        if (isActive) toggle.dataset.active = index;
+      });
+    }
+
+    this.calculate();
+  }
+
   handleStepper(e) {
     const btn = e.target.closest('.input-stepper__btn');
     if (!btn) return;
@@ -265,7 +292,12 @@ class Calculator {
     document.querySelectorAll('.risk-btn').forEach(b => b.classList.remove('risk-btn--active'));
 
     // Calculate risk % from shares bought
-    const riskPerShare = entry - stop;
+    const riskPerShare = getRiskPerShare(entry, stop, this.direction);
+    if (riskPerShare <= 0) {
+      this.hideCalculatedIndicator();
+      this.calculate();
+      return;
+    }
     const totalRisk = sharesBought * riskPerShare;
     const riskPercent = (totalRisk / accountSize) * 100;
 
@@ -373,15 +405,20 @@ class Calculator {
       riskPercent: riskPercent || state.settings.defaultRiskPercent
     });
 
+    const direction = this.direction;
+    const isShort = direction === 'short';
+    const sideLabel = isShort ? 'short' : 'long';
+
     state.updateTrade({
       ticker: this.elements.ticker?.value.toUpperCase() || '',
+      direction,
       entry,
       stop,
       target
     });
 
     // Check target vs entry early (even before full validation)
-    const hasTargetWarning = target && entry && target <= entry;
+    const hasTargetWarning = target && entry && getPnLPerShare(entry, target, direction) <= 0;
 
     // Validate minimum inputs
     if (!accountSize || !riskPercent || !entry || !stop) {
@@ -389,16 +426,16 @@ class Calculator {
       this.renderEmptyResults();
       // Show target warning even with incomplete form
       if (hasTargetWarning) {
-        this.updateInsights([{ type: 'warning', text: 'Target should be above entry for long trades' }]);
+        this.updateInsights([{ type: 'warning', text: `Target should be ${isShort ? 'below' : 'above'} entry for ${sideLabel} trades` }]);
       }
       return;
     }
 
-    // Validate trade setup - stop must be below entry for long trades
-    if (stop >= entry) {
+    // Validate trade setup - stop must be below entry for longs, above entry for shorts
+    if (getRiskPerShare(entry, stop, direction) <= 0) {
       this.setStopError(true);
       this.renderEmptyResults();
-      this.updateInsights([{ type: 'danger', text: 'Stop must be below entry for long trades' }]);
+      this.updateInsights([{ type: 'danger', text: `Stop must be ${isShort ? 'above' : 'below'} entry for ${sideLabel} trades` }]);
       return;
     }
 
@@ -406,7 +443,7 @@ class Calculator {
     this.setStopError(false);
 
     // Core calculations
-    const riskPerShare = entry - stop;
+    const riskPerShare = getRiskPerShare(entry, stop, direction);
     const riskDollars = accountSize * (riskPercent / 100);
 
     // Check if user manually entered shares bought
@@ -452,17 +489,18 @@ class Calculator {
     let targetProfitPerShare = null;
 
     if (target && target !== entry) {
-      targetProfitPerShare = target - entry;
+      targetProfitPerShare = getPnLPerShare(entry, target, direction);
       rMultiple = targetProfitPerShare / riskPerShare;
       profit = shares * targetProfitPerShare;
       roi = (targetProfitPerShare / entry) * 100;
     }
 
     // 5R Target
-    const target5R = entry + (5 * riskPerShare);
+    const target5R = getPriceAtR(entry, riskPerShare, 5, direction);
 
     // Update state results
     const results = {
+      direction,
       shares,
       positionSize,
       riskDollars: actualRiskDollars,
@@ -488,9 +526,9 @@ class Calculator {
 
     // Render
     this.renderResults(results);
-    this.renderInsights(entry, stop, target, stopDistance, isLimited);
+    this.renderInsights(entry, stop, target, stopDistance, isLimited, direction);
     this.renderScenarios(accountSize, entry, riskPerShare, maxPositionPercent);
-    this.renderRProgressBar(entry, stop, shares, riskPerShare);
+    this.renderRProgressBar(entry, stop, shares, riskPerShare, direction);
   }
 
   renderResults(r) {
@@ -605,27 +643,30 @@ class Calculator {
     }
   }
 
-  renderInsights(entry, stop, target, stopDistance, isLimited) {
+  renderInsights(entry, stop, target, stopDistance, isLimited, direction = 'long') {
     const insights = [];
+    const isShort = direction === 'short';
+    const profitSide = isShort ? 'below' : 'above';
+    const lossSide = isShort ? 'above' : 'below';
 
     if (entry && stop) {
       insights.push({
         type: 'neutral',
-        text: `Stop is ${formatPercent(stopDistance)} below entry`
+        text: `Stop is ${formatPercent(stopDistance)} ${lossSide} entry`
       });
     }
 
     if (target && entry) {
-      const targetDistance = ((target - entry) / entry) * 100;
-      if (target <= entry) {
+      const targetDistance = (Math.abs(target - entry) / entry) * 100;
+      if (getPnLPerShare(entry, target, direction) <= 0) {
         insights.push({
           type: 'warning',
-          text: 'Target should be above entry for long trades'
+          text: `Target should be ${profitSide} entry for ${isShort ? 'short' : 'long'} trades`
         });
       } else {
         insights.push({
           type: 'success',
-          text: `Target is ${formatPercent(targetDistance)} above entry`
+          text: `Target is ${formatPercent(targetDistance)} ${profitSide} entry`
         });
       }
     }
@@ -693,12 +734,12 @@ class Calculator {
   }
 
   // R-Progress Bar rendering
-  renderRProgressBar(entry, stop, shares, riskPerShare) {
+  renderRProgressBar(entry, stop, shares, riskPerShare, direction = 'long') {
     const bar = this.elements.rProgressBar;
     if (!bar) return;
 
-    // Only show for valid long positions (entry > stop)
-    if (!entry || !stop || stop >= entry || shares <= 0) {
+    // Only show when the stop is on the losing side of entry
+    if (!entry || !stop || getRiskPerShare(entry, stop, direction) <= 0 || shares <= 0) {
       bar.classList.remove('visible');
       return;
     }
@@ -707,11 +748,11 @@ class Calculator {
     const levels = {
       stop: { price: stop, profit: -(riskPerShare * shares) },
       entry: { price: entry, profit: 0 },
-      r1: { price: entry + (1 * riskPerShare), profit: 1 * riskPerShare * shares },
-      r2: { price: entry + (2 * riskPerShare), profit: 2 * riskPerShare * shares },
-      r3: { price: entry + (3 * riskPerShare), profit: 3 * riskPerShare * shares },
-      r4: { price: entry + (4 * riskPerShare), profit: 4 * riskPerShare * shares },
-      r5: { price: entry + (5 * riskPerShare), profit: 5 * riskPerShare * shares }
+      r1: { price: getPriceAtR(entry, riskPerShare, 1, direction), profit: 1 * riskPerShare * shares },
+      r2: { price: getPriceAtR(entry, riskPerShare, 2, direction), profit: 2 * riskPerShare * shares },
+      r3: { price: getPriceAtR(entry, riskPerShare, 3, direction), profit: 3 * riskPerShare * shares },
+      r4: { price: getPriceAtR(entry, riskPerShare, 4, direction), profit: 4 * riskPerShare * shares },
+      r5: { price: getPriceAtR(entry, riskPerShare, 5, direction), profit: 5 * riskPerShare * shares }
     };
 
     // Update DOM elements
@@ -4,7 +4,7 @@
 
 import { state } from '../../core/state.js';
 import { formatCurrency, formatPercent, formatDate, createTimestampFromDateInput } from '../../core/utils.js';
-import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import { getTradeRealizedPnL, getRiskPerShare, getPriceAtR, calculateCommission } from '../../core/utils/tradeCalculations.js';
 import { showToast } from '../../components/ui/ui.js';
 import { trimModal } from '../../components/modals/trimModal.js';
 import { dataManager } from '../../core/dataManager.js';
@@ -12,6 +12,7 @@ import { wizard } from '../../components/modals/wizard.js';
 import { confetti } from '../../components/ui/confetti.js';
 import { viewManager } from '../../components/ui/viewManager.js';
 import { priceTracker } from '../../core/priceTracker.js';
+import { riskGuardrails } from '../../shared/RiskGuardrails.js';
 
 class Journal {
   constructor() {
@@ -212,7 +213,7 @@ class Journal {
 
     // Validate ticker and fetch company data if API key is configured
     let companyData = null;
-    if (priceTracker.apiKey && trade.ticker) {
+    if (priceTracker.canFetchQuotes() && trade.ticker) {
       try {
         // Show loading toast
         showToast('🔍 Validating ticker...', 'info');
@@ -256,6 +257,7 @@ class Journal {
     const entry = {
       timestamp, // Custom timestamp based on trade date
       ticker: trade.ticker || 'UNKNOWN',
+      direction: trade.direction || 'long',
       entry: trade.entry,
       stop: trade.stop,
       originalStop: trade.stop,
@@ -266,6 +268,7 @@ class Journal {
       riskDollars: results.riskDollars,
       riskPercent: state.account.riskPercent,
       stopDistance: results.stopDistance,
+      fees: calculateCommission(results.shares, 'stock', state.settings),
       notes: this.elements.tradeNotes?.innerHTML.trim() || '',
       status: 'open',
       exitPrice: null,
@@ -277,6 +280,11 @@ class Journal {
       // Note: Company data is cached separately and looked up by ticker
     };
 
+    // Portfolio risk limits (warns or blocks depending on Settings)
+    if (!(await riskGuardrails.approveTrade(entry, companyData))) {
+      return;
+    }
+
     const newEntry = state.addJournalEntry(entry);
 
     // Trigger confetti if celebrations enabled
@@ -357,11 +365,11 @@ class Journal {
 
     this.elements.activeTrades.innerHTML = activeTrades.slice(0, 5).map(trade => {
       const shares = trade.remainingShares ?? trade.shares;
-      const riskPerShare = trade.entry - trade.stop;
+      const riskPerShare = getRiskPerShare(trade.entry, trade.stop, trade);
       const currentRisk = shares * riskPerShare;
       const isTrimmed = trade.status === 'trimmed';
       const realizedPnL = trade.totalRealizedPnL || 0;
-      const target5R = trade.entry + (5 * riskPerShare);
+      const target5R = getPriceAtR(trade.entry, riskPerShare, 5, trade);
 
       // For trimmed trades, calculate NET risk (remaining risk - realized profit)
       // For all trades, clamp to 0 minimum (stop above entry = no risk)
@@ -448,7 +456,7 @@ class Journal {
     // Calculate NET risk (remaining risk minus realized profit for trimmed trades)
     const totalRisk = activeTrades.reduce((sum, t) => {
       const shares = t.remainingShares ?? t.shares;
-      const riskPerShare = t.entry - t.stop;
+      const riskPerShare = getRiskPerShare(t.entry, t.stop, t);
       const grossRisk = shares * riskPerShare;
 
       // For trimmed trades, subtract realized profit (net risk can't go below 0)
@@ -5,7 +5,7 @@
 import { state } from '../../core/state.js';
 import { formatCurrency, formatPercent, formatDate, initFlatpickr, getCurrentWeekday } from '../../core/utils.js';
 import { formatDate as formatDateYMD } from '../../utils/marketHours.js';
-import { getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import { getTradeRealizedPnL, getRiskPerShare, getPnLPerShare, isShortTrade } from '../../core/utils/tradeCalculations.js';
 import { trimModal } from '../../components/modals/trimModal.js';
 import { viewManager } from '../../components/ui/viewManager.js';
 import { dataManager } from '../../core/dataManager.js';
@@ -23,6 +23,7 @@ class JournalView {
     this.filters = {
       status: 'all',
       types: ['ep', 'long-term', 'base', 'breakout', 'bounce', 'other'], // Default to all types selected
+      ticker: null // Set from the Stats ticker leaderboard
     };
     this.filterPopup = null; // Shared filter popup component
     this.sortColumn = 'date';
@@ -129,6 +130,9 @@ class JournalView {
       journalCount: document.getElementById('journalCount'),
       journalStatusFilter: document.getElementById('journalStatusFilter'),
       journalTypeFilter: document.getElementById('journalTypeFilter'),
+      journalTickerFilter: document.getElementById('journalTickerFilter'),
+      journalTickerFilterLabel: document.getElementById('journalTickerFilterLabel'),
+      journalTickerFilterClear: document.getElementById('journalTickerFilterClear'),
 
       // Summary bar
       dateRange: document.getElementById('journalDateRange'),
@@ -247,6 +251,11 @@ class JournalView {
       });
     }
 
+    // Clear ticker filter
+    this.elements.journalTickerFilterClear?.addEventListener('click', () => {
+      this.setTickerFilter(null);
+    });
+
     // Table header click for sorting (delegated)
     const table = document.getElementById('journalTable');
     if (table) {
@@ -373,6 +382,28 @@ class JournalView {
     this.render();
   }
 
+  /**
+   * Show only one ticker's trades (or all trades with null)
+   * Other filters go back to defaults so the ticker's full history is visible
+   */
+  setTickerFilter(ticker) {
+    if (ticker) {
+      this.selectAllTypes();
+      this.filters.status = 'all';
+      this.filters.types = Array.from(this.elements.typeCheckboxes || []).map(checkbox => checkbox.value);
+      this.dateRangeFilter.setFilter(
+        this.dateFromPicker?.input?.value || null,
+        this.dateToPicker?.input?.value || null
+      );
+    }
+
+    this.filters.ticker = ticker ? ticker.toUpperCase() : null;
+    this.updateFilterCount();
+    this.expandedRows.clear();
+    this.hasAnimated = false;
+    this.render();
+  }
+
   selectAllTypes() {
     // Reset status to "all"
     this.elements.statusBtns?.forEach(btn => {
@@ -391,6 +422,9 @@ class JournalView {
 
     // Reset date range to "Max" preset
     this.handleDatePreset('max');
+
+    // Reset also drops the ticker filter
+    this.filters.ticker = null;
   }
 
   updateFilterCount() {
@@ -401,6 +435,10 @@ class JournalView {
       count++;
     }
 
+    if (this.filters.ticker) {
+      count++;
+    }
+
     // Count type filters (only if not all types are selected)
     // Get total number of available types
     const totalTypes = this.elements.typeCheckboxes?.length || 0;
@@ -439,6 +477,10 @@ class JournalView {
   getFilteredTrades() {
     let filtered = state.journal.entries;
 
+    if (this.filters.ticker) {
+      filtered = filtered.filter(t => t.ticker?.toUpperCase() === this.filters.ticker);
+    }
+
     // Filter by status
     switch (this.filters.status) {
       case 'open':
@@ -540,6 +582,14 @@ class JournalView {
   }
 
   updateFilterDisplays() {
+    // Ticker chip (only shown while filtering by ticker)
+    if (this.elements.journalTickerFilter) {
+      this.elements.journalTickerFilter.style.display = this.filters.ticker ? '' : 'none';
+    }
+    if (this.elements.journalTickerFilterLabel) {
+      this.elements.journalTickerFilterLabel.textContent = `Ticker: ${this.filters.ticker || ''}`;
+    }
+
     // Update status display
     if (this.elements.journalStatusFilter) {
       const statusText = this.filters.status === 'all'
@@ -752,7 +802,7 @@ class JournalView {
       // Check if trade is "free rolled" - realized profit covers remaining risk
       const isTrimmed = trade.status === 'trimmed';
       const realizedPnL = trade.totalRealizedPnL || 0;
-      const currentRisk = shares * (trade.entry - trade.stop);
+      const currentRisk = shares * getRiskPerShare(trade.entry, trade.stop, trade);
 
       // Determine display status
       let statusClass = trade.status;
@@ -775,7 +825,7 @@ class JournalView {
       // Determine exit price class
       let exitPriceClass = '';
       if (trade.exitPrice) {
-        const priceDiff = trade.exitPrice - trade.entry;
+        const priceDiff = getPnLPerShare(trade.entry, trade.exitPrice, trade);
         if (Math.abs(priceDiff) < 0.01) {
           exitPriceClass = ''; // Breakeven - default white
         } else if (priceDiff > 0) {
@@ -817,7 +867,7 @@ class JournalView {
       return `
         <tr class="journal-table__row ${shouldAnimate ? 'journal-row--animate' : ''} ${rowBgClass}" data-id="${trade.id}" style="${animationDelay}">
           <td>${formatDate(trade.timestamp)}</td>
-          <td><strong>${trade.ticker}</strong></td>
+          <td><strong>${trade.ticker}</strong>${isShortTrade(trade) ? ' <span class="journal-table__short">Short</span>' : ''}</td>
           <td>${optionDisplay}</td>
           <td style="color: var(--primary);">${formatCurrency(trade.entry)}</td>
           <td class="${exitPriceClass}">${trade.exitPrice ? formatCurrency(trade.exitPrice) : '—'}</td>
@@ -899,17 +949,11 @@ class JournalView {
             </div>
           </div>
         </div>
-        ${trade.trimHistory && trade.trimHistory.length > 0 ? `
+        ${(trade.trimHistory?.length > 0 || trade.addHistory?.length > 0) ? `
         <div class="journal-row-details__section">
           <div class="journal-row-details__label">Trade Log</div>
           <div class="journal-row-details__value journal-row-details__trade-log">
-            ${trade.trimHistory.map((trim, index) => {
-              const isLastEntry = index === trade.trimHistory.length - 1;
-              const isClose = isLastEntry && trade.status === 'closed';
-              const actionText = isClose ? 'Closed' : 'Trimmed';
-              const statusClass = isClose ? 'closed' : 'trimmed';
-              return `<div class="trade-log-entry"><span class="journal-table__status journal-table__status--${statusClass}">${actionText}</span> ${formatDate(trim.date)}: ${trim.shares} shares @ ${formatCurrency(trim.exitPrice)} = <span class="${trim.pnl >= 0 ? 'text-success' : 'text-danger'}">${trim.pnl >= 0 ? '+' : ''}${formatCurrency(trim.pnl)}</span> (${trim.rMultiple >= 0 ? '+' : ''}${trim.rMultiple.toFixed(1)}R)</div>`;
-            }).join('')}
+            ${this.renderTradeLogEntries(trade)}
           </div>
         </div>
         ` : ''}
@@ -923,6 +967,33 @@ class JournalView {
     `;
   }
 
+  renderTradeLogEntries(trade) {
+    const trims = trade.trimHistory || [];
+    const events = [
+      ...trims.map((trim, index) => ({ type: 'trim', event: trim, isLastTrim: index === trims.length - 1 })),
+      ...(trade.addHistory || []).map(add => ({ type: 'add', event: add }))
+    ];
+
+    // Chronological order; on the same day adds come before trims
+    events.sort((a, b) => {
+      const dateDiff = new Date(a.event.date) - new Date(b.event.date);
+      if (dateDiff !== 0) return dateDiff;
+      return a.type === b.type ? 0 : (a.type === 'add' ? -1 : 1);
+    });
+
+    return events.map(({ type, event, isLastTrim }) => {
+      const fees = (event.fees || 0) + (event.entryFees || 0);
+      const feesText = fees > 0 ? ` <span style="color: var(--text-muted);">(fees ${formatCurrency(fees)})</span>` : '';
+      if (type === 'add') {
+        return `<div class="trade-log-entry"><span class="journal-table__status journal-table__status--open">Added</span> ${formatDate(event.date)}: ${event.shares} shares @ ${formatCurrency(event.price)} (avg ${formatCurrency(event.previousEntry)} → ${formatCurrency(event.newEntry)})${feesText}</div>`;
+      }
+      const isClose = isLastTrim && trade.status === 'closed';
+      const actionText = isClose ? 'Closed' : 'Trimmed';
+      const statusClass = isClose ? 'closed' : 'trimmed';
+      return `<div class="trade-log-entry"><span class="journal-table__status journal-table__status--${statusClass}">${actionText}</span> ${formatDate(event.date)}: ${event.shares} shares @ ${formatCurrency(event.exitPrice)} = <span class="${event.pnl >= 0 ? 'text-success' : 'text-danger'}">${event.pnl >= 0 ? '+' : ''}${formatCurrency(event.pnl)}</span> ${Number.isFinite(event.rMultiple) ? ` (${event.rMultiple >= 0 ? '+' : ''}${event.rMultiple.toFixed(1)}R)` : ''}${feesText}</div>`;
+    }).join('');
+  }
+
   bindRowActions() {
     // Make rows clickable to expand
     this.elements.tableBody.querySelectorAll('.journal-table__row').forEach(row => {
@@ -0,0 +1,186 @@
+/**
+ * Correlation Panel - Rolling correlation matrix of open tickers on the Positions view
+ * Reads daily closes from HistoricalPricesBatcher.cache; correlated tickers are clustered
+ * and their open risk combined, since a shared move can stop them all out at once
+ */
+
+import { state } from '../../core/state.js';
+import { formatCurrency, formatPercent } from '../../core/utils.js';
+import { showToast } from '../../components/ui/ui.js';
+import { historicalPricesBatcher } from '../stats/HistoricalPricesBatcher.js';
+import { correlationCalculator } from '../../shared/CorrelationCalculator.js';
+import { exposureCalculator } from '../../shared/ExposureCalculator.js';
+
+const HIGH_CORRELATION = 0.7;
+// Calendar days of closes to request when loading prices (covers the 90-day window)
+const LOAD_DAYS = 140;
+
+class CorrelationPanel {
+  constructor() {
+    this.elements = {};
+    this.positions = [];
+    this.lookback = 60;
+    this.isLoading = false;
+  }
+
+  init() {
+    this.elements = {
+      panel: document.getElementById('positionsCorrelation'),
+      matrix: document.getElementById('positionsCorrelationMatrix'),
+      clusters: document.getElementById('positionsCorrelationClusters'),
+      note: document.getElementById('positionsCorrelationNote'),
+      correlatedRisk: document.getElementById('positionsCorrelatedRisk'),
+      windowToggle: document.getElementById('positionsCorrelationWindow'),
+      loadBtn: document.getElementById('positionsCorrelationLoadBtn')
+    };
+
+    this.elements.windowToggle?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-correlation-window]');
+      if (!btn) return;
+      this.lookback = parseInt(btn.dataset.correlationWindow, 10);
+      this.elements.windowToggle.querySelectorAll('[data-correlation-window]').forEach(b => {
+        b.classList.toggle('period-selector__btn--active', b === btn);
+      });
+      this.render();
+    });
+
+    this.elements.loadBtn?.addEventListener('click', () => this.loadPrices());
+  }
+
+  /**
+   * Set the positions to correlate and re-render (called on every Positions render)
+   * @param {Array} positions - Open/trimmed trades
+   */
+  async setPositions(positions) {
+    this.positions = positions;
+    await historicalPricesBatcher.init();
+    this.render();
+  }
+
+  getTickers() {
+    return [...new Set(this.positions.map(t => t.ticker))].sort();
+  }
+
+  /**
+   * Fetch enough daily closes for every open ticker (skips tickers already cached that far back)
+   */
+  async loadPrices() {
+    if (this.isLoading) return;
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - LOAD_DAYS);
+    const startDateStr = startDate.toISOString().slice(0, 10);
+
+    const tickers = this.getTickers();
+    const tickerDates = Object.fromEntries(tickers.map(ticker => [ticker, startDateStr]));
+
+    this.isLoading = true;
+    if (this.elements.loadBtn) this.elements.loadBtn.disabled = true;
+    try {
+      await historicalPricesBatcher.batchFetchPrices(tickers, null, tickerDates);
+    } catch (error) {
+      console.error('Failed to load prices for correlation:', error);
+      showToast('Failed to load historical prices', 'error');
+    } finally {
+      this.isLoading = false;
+      if (this.elements.loadBtn) this.elements.loadBtn.disabled = false;
+    }
+
+    this.render();
+  }
+
+  render() {
+    if (!this.elements.panel) return;
+
+    const tickers = this.getTickers();
+    // Nothing to correlate with a single ticker
+    if (tickers.length < 2) {
+      this.elements.panel.style.display = 'none';
+      return;
+    }
+    this.elements.panel.style.display = '';
+
+    const result = correlationCalculator.calculateMatrix(tickers, historicalPricesBatcher.cache, this.lookback);
+
+    const signs = {};
+    const riskByTicker = {};
+    for (const trade of this.positions) {
+      signs[trade.ticker] = correlationCalculator.getPositionSign(trade);
+      riskByTicker[trade.ticker] = (riskByTicker[trade.ticker] || 0) + exposureCalculator.getPositionNetRisk(trade);
+    }
+
+    const clusters = correlationCalculator.findClusters(result, signs, HIGH_CORRELATION);
+    const risk = correlationCalculator.calculateCorrelatedRisk(clusters, riskByTicker);
+    const clusterIndex = new Map();
+    clusters.forEach((cluster, i) => cluster.forEach(ticker => clusterIndex.set(ticker, i)));
+
+    this.renderSummary(risk);
+    this.renderMatrix(result, clusterIndex);
+    this.renderClusters(risk);
+
+    if (this.elements.note) {
+      this.elements.note.textContent = result.missingTickers.length > 0
+        ? `Not enough cached closes for ${result.missingTickers.join(', ')} — load prices to include them`
+        : `Daily returns, last ${this.lookback} trading days. Clusters link positions whose P&L correlation is ${HIGH_CORRELATION} or higher.`;
+    }
+  }
+
+  renderSummary(risk) {
+    if (!this.elements.correlatedRisk) return;
+
+    const accountSize = state.account.currentSize;
+    const percent = accountSize > 0 ? (risk.correlatedRisk / accountSize) * 100 : 0;
+    this.elements.correlatedRisk.textContent = `${formatCurrency(risk.correlatedRisk)} (${formatPercent(percent)})`;
+    this.elements.correlatedRisk.title = `Largest single position risk: ${formatCurrency(risk.largestSingleRisk)}`;
+    this.elements.correlatedRisk.classList.toggle('text-danger', risk.correlatedRisk > risk.largestSingleRisk);
+  }
+
+  renderMatrix({ tickers, matrix }, clusterIndex) {
+    if (!this.elements.matrix) return;
+
+    const header = `<tr><th></th>${tickers.map(ticker => `<th>${ticker}</th>`).join('')}</tr>`;
+
+    const rows = tickers.map((rowTicker, i) => {
+      const cells = tickers.map((colTicker, j) => {
+        const value = matrix[i][j];
+        if (i === j) return '<td class="correlation-matrix__cell correlation-matrix__cell--self">—</td>';
+        if (value === null) return '<td class="correlation-matrix__cell correlation-matrix__cell--none">n/a</td>';
+
+        // Blue for positive, red for negative, stronger with |ρ|
+        const color = value >= 0 ? '59, 130, 246' : '239, 68, 68';
+        const sameCluster = clusterIndex.has(rowTicker) && clusterIndex.get(rowTicker) === clusterIndex.get(colTicker);
+        return `
+          <td class="correlation-matrix__cell ${sameCluster ? 'correlation-matrix__cell--cluster' : ''}"
+              style="background: rgba(${color}, ${(Math.abs(value) * 0.6).toFixed(2)});"
+              title="${rowTicker} / ${colTicker}: ${value.toFixed(2)}">${value.toFixed(2)}</td>
+        `;
+      }).join('');
+      return `<tr><th>${rowTicker}</th>${cells}</tr>`;
+    }).join('');
+
+    this.elements.matrix.innerHTML = `<table class="correlation-matrix">${header}${rows}</table>`;
+  }
+
+  renderClusters(risk) {
+    if (!this.elements.clusters) return;
+
+    if (risk.clusters.length === 0) {
+      this.elements.clusters.innerHTML = '<div class="positions-correlation__empty">No highly correlated positions</div>';
+      return;
+    }
+
+    const accountSize = state.account.currentSize;
+    this.elements.clusters.innerHTML = risk.clusters.map(cluster => {
+      const percent = accountSize > 0 ? (cluster.openRisk / accountSize) * 100 : 0;
+      return `
+        <div class="positions-correlation__cluster">
+          <span class="positions-correlation__tickers">${cluster.tickers.join(' · ')}</span>
+          <span class="positions-correlation__risk">${formatCurrency(cluster.openRisk)} <span class="positions-exposure__muted">(${formatPercent(percent)})</span></span>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+export const correlationPanel = new CorrelationPanel();
+export { CorrelationPanel };
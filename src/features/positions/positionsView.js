@@ -12,6 +12,10 @@ import { showToast } from '../../components/ui/ui.js';
 import { sharedMetrics } from '../../shared/SharedMetrics.js';
 import { FilterPopup } from '../../shared/FilterPopup.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
+import { exposureCalculator } from '../../shared/ExposureCalculator.js';
+import { correlationPanel } from './CorrelationPanel.js';
+import { riskGuardrails } from '../../shared/RiskGuardrails.js';
+import { getRiskPerShare, getPnLPerShare, getPriceAtR, isShortTrade } from '../../core/utils/tradeCalculations.js';
 
 class PositionsView {
   constructor() {
@@ -23,6 +27,9 @@ class PositionsView {
     this.filterPopup = null; // Shared filter popup component
     this.autoRefreshInterval = null;
     this.hasAnimated = false;
+    this.exposure = null;
+    this.exposureDimension = 'industry';
+    this.companyDataMap = new Map(); // Profiles for all open positions, for the industry limit
   }
 
   init() {
@@ -45,6 +52,7 @@ class PositionsView {
     });
 
     this.bindEvents();
+    correlationPanel.init();
 
     // Initialize all type checkboxes to be checked (matching "All Types" default state)
     if (this.elements.typeCheckboxes) {
@@ -74,6 +82,12 @@ class PositionsView {
     // Listen for price updates
     state.on('pricesUpdated', () => this.render());
 
+    // Exposure warning threshold and risk limits live in Settings
+    state.on('settingsChanged', () => {
+      this.renderExposurePanel();
+      this.renderLimits();
+    });
+
     // Start auto-refresh if we're on positions page
     if (state.ui.currentView === 'positions') {
       this.startAutoRefresh();
@@ -93,9 +107,16 @@ class PositionsView {
       openPnL: document.getElementById('positionsOpenPnL'),
       riskLevel: document.getElementById('positionsRiskLevel'),
       riskLevelTooltip: document.getElementById('riskLevelTooltip'),
+      limits: document.getElementById('positionsLimits'),
       refreshPricesBtn: document.getElementById('refreshPositionsPricesBtn'),
       newPositionBtn: document.getElementById('positionsNewBtn'),
 
+      // Exposure breakdown
+      exposure: document.getElementById('positionsExposure'),
+      exposureToggle: document.getElementById('positionsExposureToggle'),
+      exposureList: document.getElementById('positionsExposureList'),
+      exposureWarning: document.getElementById('positionsExposureWarning'),
+
       // Grid
       grid: document.getElementById('positionsGrid'),
 
@@ -141,6 +162,17 @@ class PositionsView {
       });
     }
 
+    // Exposure dimension toggle (industry / country)
+    this.elements.exposureToggle?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-exposure-dimension]');
+      if (!btn) return;
+      this.exposureDimension = btn.dataset.exposureDimension;
+      this.elements.exposureToggle.querySelectorAll('[data-exposure-dimension]').forEach(b => {
+        b.classList.toggle('period-selector__btn--active', b === btn);
+      });
+      this.renderExposurePanel();
+    });
+
     // Note: Filter popup open/close/apply/reset now handled by shared FilterPopup component
 
     // Status buttons
@@ -316,12 +348,20 @@ class PositionsView {
     // Render risk bar with filtered positions
     this.renderRiskBar(positions);
 
+    // Correlation only needs cached closes, so it doesn't wait on company profiles
+    correlationPanel.setPositions(positions);
+
     // Show empty state or grid
     if (positions.length === 0) {
+      this.renderExposure(positions, new Map());
       this.showEmptyState();
     } else {
       this.hideEmptyState();
-      await this.renderGrid(positions);
+      // Profiles for every open position (not just filtered) so the industry limit sees them all
+      this.companyDataMap = await this.getCompanyDataMap(riskGuardrails.getOpenTrades());
+      this.renderLimits();
+      this.renderExposure(positions, this.companyDataMap);
+      await this.renderGrid(positions, this.companyDataMap);
     }
   }
 
@@ -382,6 +422,7 @@ class PositionsView {
       if (this.elements.riskLevelTooltip) {
         this.elements.riskLevelTooltip.textContent = 'No open positions - 100% cash';
       }
+      this.renderLimits();
       return;
     }
 
@@ -434,15 +475,49 @@ class PositionsView {
     if (this.elements.riskLevelTooltip) {
       this.elements.riskLevelTooltip.textContent = tooltip;
     }
+
+    this.renderLimits();
   }
 
-  async renderGrid(positions) {
-    if (!this.elements.grid) return;
+  /**
+   * Room left under each enabled risk limit (Settings → Risk Limits), across all open positions
+   */
+  renderLimits() {
+    if (!this.elements.limits) return;
 
-    const shouldAnimate = !this.hasAnimated;
-    this.hasAnimated = true;
+    const status = riskGuardrails.getStatus(this.companyDataMap);
+    if (status.length === 0) {
+      this.elements.limits.style.display = 'none';
+      return;
+    }
+    this.elements.limits.style.display = '';
+
+    const format = (value, type) => {
+      if (type === 'count') return String(Math.max(0, value));
+      if (type === 'currency') return formatCurrency(Math.max(0, value));
+      return formatPercent(Math.max(0, value));
+    };
+
+    this.elements.limits.innerHTML = status.map(item => {
+      const ratio = item.limit > 0 ? item.used / item.limit : 0;
+      const levelClass = item.remaining <= 0
+        ? 'positions-limits__item--breached'
+        : (ratio >= 0.8 ? 'positions-limits__item--near' : '');
+      const label = item.detail ? `${item.label} (${item.detail})` : item.label;
+      return `
+        <div class="positions-limits__item ${levelClass}" title="${format(item.used, item.format)} of ${format(item.limit, item.format)}">
+          <span class="positions-limits__label">${label}</span>
+          <span class="positions-limits__value">${format(item.remaining, item.format)} left</span>
+        </div>
+      `;
+    }).join('');
+  }
 
-    // Fetch all company data upfront with rate limiting
+  /**
+   * Company profiles (industry, country) for the positions' tickers, keyed by ticker
+   * Uses the cache first and fetches missing profiles with rate limiting
+   */
+  async getCompanyDataMap(positions) {
     const companyDataMap = new Map();
 
     // Get unique tickers to avoid duplicate fetches
@@ -474,10 +549,78 @@ class PositionsView {
       }
     }
 
+    return companyDataMap;
+  }
+
+  renderExposure(positions, companyDataMap) {
+    this.exposure = positions.length > 0
+      ? exposureCalculator.calculateExposure(positions, {
+          companyData: companyDataMap,
+          accountSize: state.account.currentSize,
+          getCurrentPrice: (trade) => riskGuardrails.getCurrentPrice(trade)
+        })
+      : null;
+
+    this.renderExposurePanel();
+  }
+
+  renderExposurePanel() {
+    if (!this.elements.exposure) return;
+
+    if (!this.exposure) {
+      this.elements.exposure.style.display = 'none';
+      return;
+    }
+    this.elements.exposure.style.display = '';
+
+    const limit = state.settings.sectorExposureWarningPercent;
+    const isOverLimit = (group) => limit > 0 && group.name !== 'Unknown' && group.percentOfAccount > limit;
+
+    // Warning is about industries, whichever dimension is shown
+    const overLimit = this.exposure.industries.filter(isOverLimit);
+    if (this.elements.exposureWarning) {
+      this.elements.exposureWarning.style.display = overLimit.length > 0 ? '' : 'none';
+      this.elements.exposureWarning.textContent = overLimit.length > 0
+        ? `⚠ ${overLimit.map(g => `${g.name} ${formatPercent(g.percentOfAccount)}`).join(', ')} above ${limit}% of account`
+        : '';
+    }
+
+    if (!this.elements.exposureList) return;
+
+    const groups = this.exposureDimension === 'country' ? this.exposure.countries : this.exposure.industries;
+    // Bars are scaled to the account, or to the largest group if leveraged past 100%
+    const scale = Math.max(100, ...groups.map(g => g.percentOfAccount));
+
+    this.elements.exposureList.innerHTML = groups.map(group => {
+      const warn = this.exposureDimension === 'industry' && isOverLimit(group);
+      return `
+        <div class="positions-exposure__row ${warn ? 'positions-exposure__row--warning' : ''}">
+          <div class="positions-exposure__name">
+            <span>${group.name}</span>
+            <span class="positions-exposure__tickers">${group.tickers.join(', ')}</span>
+          </div>
+          <div class="positions-exposure__bar">
+            <div class="positions-exposure__fill" style="width: ${(group.percentOfAccount / scale) * 100}%;"></div>
+          </div>
+          <span class="positions-exposure__value">${formatCurrency(group.value)}</span>
+          <span class="positions-exposure__risk" title="Open risk">${formatCurrency(group.openRisk)} <span class="positions-exposure__muted">(${formatPercent(group.riskPercentOfAccount)})</span></span>
+          <span class="positions-exposure__percent">${formatPercent(group.percentOfAccount)}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async renderGrid(positions, companyDataMap) {
+    if (!this.elements.grid) return;
+
+    const shouldAnimate = !this.hasAnimated;
+    this.hasAnimated = true;
+
     this.elements.grid.innerHTML = positions.map(trade => {
       const isOptions = trade.assetType === 'options';
       const shares = trade.remainingShares ?? trade.shares;
-      const riskPerShare = trade.entry - trade.stop;
+      const riskPerShare = getRiskPerShare(trade.entry, trade.stop, trade);
+      const isShort = isShortTrade(trade);
 
       // For options, multiply by 100 (contract multiplier)
       const multiplier = isOptions ? 100 : 1;
@@ -510,15 +653,15 @@ class PositionsView {
 
       // Determine target and label
       const originalStop = trade.originalStop ?? trade.stop;
-      const riskAmount = trade.entry - originalStop;
+      const riskAmount = getRiskPerShare(trade.entry, originalStop, trade);
 
       // Use trade.target if set, otherwise default to 5R
-      const targetPrice = trade.target || (trade.entry + (riskAmount * 5));
+      const targetPrice = trade.target || getPriceAtR(trade.entry, riskAmount, 5, trade);
 
       // Calculate which R-multiple this target represents (if any)
       let targetLabel = 'Target';
       for (let r = 1; r <= 5; r++) {
-        const rTarget = trade.entry + (riskAmount * r);
+        const rTarget = getPriceAtR(trade.entry, riskAmount, r, trade);
         if (Math.abs(targetPrice - rTarget) < 0.01) { // Within 1 cent
           targetLabel = `${r}R Target`;
           break;
@@ -601,6 +744,7 @@ class PositionsView {
             <span class="position-card__ticker" style="grid-column: 1; grid-row: 1;">${trade.ticker}</span>
             <div style="grid-column: 2; grid-row: 1 / span ${isOptions ? '3' : '2'}; display: flex; align-items: flex-start; align-content: flex-start; gap: var(--space-2); flex-wrap: wrap; justify-content: flex-end;">
               ${industry ? `<span class="position-card__badge position-card__badge--industry" style="white-space: nowrap;">${industry}</span>` : ''}
+              ${isShort ? `<span class="position-card__badge position-card__badge--short" style="white-space: nowrap;">Short</span>` : ''}
               ${formattedSetupType ? `<span class="position-card__badge position-card__badge--type" style="white-space: nowrap;">${formattedSetupType}</span>` : ''}
               <span class="position-card__badge position-card__badge--${statusClass}" style="white-space: nowrap;">
                 ${statusText}
@@ -629,7 +773,7 @@ class PositionsView {
               <span class="position-card__detail-label">Stop</span>
               <span class="position-card__detail-value" style="color: var(--danger);">${formatCurrency(trade.stop)}</span>
             </div>
-            ${pnlData && pnlData.currentPrice >= (targetPrice * 0.95) ? `
+            ${pnlData && getPnLPerShare(targetPrice, pnlData.currentPrice, trade) >= -(targetPrice * 0.05) ? `
             <div class="position-card__detail">
               <span class="position-card__detail-label">Current</span>
             </div>
@@ -637,7 +781,7 @@ class PositionsView {
               <span class="position-card__detail-label">${targetLabel}</span>
             </div>
             <div style="grid-column: 1 / -1; display: grid; grid-template-columns: 1fr 1fr; gap: var(--space-3); outline: 2px solid var(--warning); outline-offset: 2px; border-radius: 4px; padding: 2px 4px; margin-top: -6px;">
-              <span class="position-card__detail-value" style="color: var(--warning); white-space: nowrap;">${formatCurrency(pnlData.currentPrice)} <span style="font-size: var(--text-xs); color: var(--text-muted); font-weight: normal;">${pnlData.currentPrice >= targetPrice ? 'target reached' : 'nearing target'}</span></span>
+              <span class="position-card__detail-value" style="color: var(--warning); white-space: nowrap;">${formatCurrency(pnlData.currentPrice)} <span style="font-size: var(--text-xs); color: var(--text-muted); font-weight: normal;">${getPnLPerShare(targetPrice, pnlData.currentPrice, trade) >= 0 ? 'target reached' : 'nearing target'}</span></span>
               <span class="position-card__detail-value" style="color: var(--warning); text-align: right; white-space: nowrap;">${formatCurrency(targetPrice)}</span>
             </div>
             ` : pnlData ? `
@@ -753,9 +897,9 @@ class PositionsView {
   }
 
   async refreshPrices(isAutoRefresh = false) {
-    if (!priceTracker.apiKey) {
+    if (!priceTracker.canFetchQuotes()) {
       if (!isAutoRefresh) {
-        showToast('⚠️ Please add your Finnhub API key in Settings first', 'error');
+        showToast('⚠️ Please set up a quote source in Settings first', 'error');
       }
       return;
     }
@@ -778,7 +922,7 @@ class PositionsView {
 
       // Fetch options prices if API key is configured
       let optionsResults = { success: [], failed: [] };
-      if (priceTracker.optionsApiKey) {
+      if (priceTracker.canFetchOptionPrices()) {
         const activeTrades = state.journal.entries.filter(
           e => (e.status === 'open' || e.status === 'trimmed') && e.assetType === 'options'
         );
@@ -832,7 +976,7 @@ class PositionsView {
     this.stopAutoRefresh();
 
     // Refresh immediately on start (unless skipped for animation purposes)
-    if (!skipImmediate && (priceTracker.apiKey || priceTracker.optionsApiKey)) {
+    if (!skipImmediate && (priceTracker.canFetchQuotes() || priceTracker.canFetchOptionPrices())) {
       this.refreshPrices(true);
     }
 
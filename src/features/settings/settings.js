@@ -7,6 +7,13 @@ import { parseNumber, formatCurrency, formatWithCommas, initFlatpickr, getCurren
 import { showToast } from '../../components/ui/ui.js';
 import { dataManager } from '../../core/dataManager.js';
 import { clearDataModal } from '../../components/modals/clearDataModal.js';
+import { csvImportModal } from '../../components/modals/csvImportModal.js';
+import { backupMergeModal } from '../../components/modals/backupMergeModal.js';
+import { backupScheduler } from '../../core/backupScheduler.js';
+import { getApiStatus } from '../../core/apiClient.js';
+import { marketData, CAPABILITIES } from '../../core/marketData.js';
+import { fixtureProvider } from '../../core/providers/fixtureProvider.js';
+import { apiErrorHandler } from '../../core/ApiErrorHandler.js';
 import { priceTracker } from '../../core/priceTracker.js';
 import { historicalPricesBatcher } from '../stats/HistoricalPricesBatcher.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
@@ -24,6 +31,8 @@ class Settings {
     this.previousValidAccountSize = null;
     // Store event listener unsubscribe functions for cleanup
     this.eventUnsubscribers = [];
+    // Refreshes API status while the panel is open
+    this.apiStatusInterval = null;
   }
 
   async init() {
@@ -106,6 +115,9 @@ class Settings {
       this.withdrawDatePicker = null;
     }
 
+    clearInterval(this.apiStatusInterval);
+    this.apiStatusInterval = null;
+
     console.log('[Settings] Destroyed and cleaned up event listeners');
   }
 
@@ -131,9 +143,35 @@ class Settings {
       optionsPriceApiKey: document.getElementById('optionsPriceApiKey'),
       optionsPriceApiKeyBtn: document.getElementById('optionsPriceApiKeyBtn'),
 
+      // Commissions & fees
+      commissionInputs: document.querySelectorAll('[data-commission-setting]'),
+      riskLimitInputs: document.querySelectorAll('[data-risk-limit-setting]'),
+      riskLimitMode: document.getElementById('settingsRiskLimitMode'),
+
+      // Market data sources
+      benchmarkTicker: document.getElementById('benchmarkTicker'),
+      marketDataSources: document.getElementById('marketDataSources'),
+      marketDataFixtureFile: document.getElementById('marketDataFixtureFile'),
+      marketDataFixtureSummary: document.getElementById('marketDataFixtureSummary'),
+      marketDataFixtureClearBtn: document.getElementById('marketDataFixtureClearBtn'),
+
+      // API status
+      apiStatusList: document.getElementById('apiStatusList'),
+      apiStatusResetBtn: document.getElementById('apiStatusResetBtn'),
+
+      // Automatic backups
+      autoBackupEnabled: document.getElementById('autoBackupEnabled'),
+      autoBackupInputs: document.querySelectorAll('[data-auto-backup-setting]'),
+      autoBackupList: document.getElementById('autoBackupList'),
+      autoBackupNowBtn: document.getElementById('autoBackupNowBtn'),
+
       // Data management buttons
       exportDataBtn: document.getElementById('exportDataBtn'),
+      exportIncludeApiKeys: document.getElementById('exportIncludeApiKeys'),
+      exportEncrypt: document.getElementById('exportEncrypt'),
       importDataBtn: document.getElementById('importDataBtn'),
+      mergeDataBtn: document.getElementById('mergeDataBtn'),
+      importCsvBtn: document.getElementById('importCsvBtn'),
       clearDataBtn: document.getElementById('clearDataBtn'),
 
       // Cash Flow
@@ -329,6 +367,7 @@ class Settings {
     if (this.elements.alphaVantageApiKey && this.elements.alphaVantageApiKeyBtn) {
       const saveAlphaVantageKey = async (apiKey) => {
         await storage.setItem('alphaVantageApiKey', apiKey);
+        priceTracker.summaryApiKey = apiKey;
         if (apiKey) {
           // Update button to active state
           this.setApiKeyButtonActive(this.elements.alphaVantageApiKeyBtn);
@@ -424,13 +463,112 @@ class Settings {
       });
     }
 
+    // Commission schedule - save on blur/Enter
+    this.elements.commissionInputs?.forEach(input => {
+      input.addEventListener('blur', () => this.saveCommissionSetting(input));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.target.blur();
+        }
+      });
+    });
+
+    // Risk limits - save on blur/Enter
+    this.elements.riskLimitInputs?.forEach(input => {
+      input.addEventListener('blur', () => this.saveRiskLimitSetting(input));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.target.blur();
+        }
+      });
+    });
+
+    this.elements.riskLimitMode?.addEventListener('change', (e) => {
+      state.updateSettings({ riskLimitMode: e.target.value });
+    });
+
+    this.elements.benchmarkTicker?.addEventListener('change', (e) => {
+      state.updateSettings({ benchmarkTicker: e.target.value });
+    });
+
+    // Market data sources (selects are re-rendered, so delegate)
+    this.elements.marketDataSources?.addEventListener('change', (e) => {
+      const capability = e.target.dataset.marketDataCapability;
+      if (!capability) return;
+      state.updateSettings({
+        marketDataProviders: { ...state.settings.marketDataProviders, [capability]: e.target.value }
+      });
+      this.renderMarketDataSources();
+    });
+
+    this.elements.marketDataFixtureFile?.addEventListener('change', (e) => this.handleFixtureFile(e));
+
+    this.elements.marketDataFixtureClearBtn?.addEventListener('click', async () => {
+      if (!confirm('Remove all loaded market data fixtures?')) return;
+      await fixtureProvider.clear();
+      this.renderMarketDataSources();
+      showToast('Fixtures cleared', 'success');
+    });
+
+    this.elements.apiStatusResetBtn?.addEventListener('click', () => {
+      apiErrorHandler.resetAllCircuits();
+      this.renderApiStatus();
+    });
+
+    // Automatic backups
+    this.elements.autoBackupEnabled?.addEventListener('change', (e) => {
+      state.updateSettings({ autoBackupEnabled: e.target.checked });
+      if (e.target.checked) backupScheduler.runIfDue();
+    });
+
+    this.elements.autoBackupInputs?.forEach(input => {
+      input.addEventListener('blur', () => this.saveAutoBackupSetting(input));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          e.target.blur();
+        }
+      });
+    });
+
+    this.elements.autoBackupNowBtn?.addEventListener('click', async () => {
+      await backupScheduler.createSnapshot();
+      showToast('💾 Backup saved', 'success');
+    });
+
+    // Restore/download buttons are re-rendered with the list, so delegate
+    this.elements.autoBackupList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-backup-action]');
+      if (!btn) return;
+      if (btn.dataset.backupAction === 'restore') {
+        this.handleRestoreBackup(btn.dataset.tradingDay);
+      } else if (btn.dataset.backupAction === 'download') {
+        this.handleDownloadBackup(btn.dataset.tradingDay);
+      }
+    });
+
+    this.eventUnsubscribers.push(
+      state.on('autoBackupsChanged', () => this.renderAutoBackups())
+    );
+
     // Data management buttons
     if (this.elements.exportDataBtn) {
-      this.elements.exportDataBtn.addEventListener('click', () => dataManager.exportAllData());
+      this.elements.exportDataBtn.addEventListener('click', () => dataManager.exportAllData({
+        includeApiKeys: this.elements.exportIncludeApiKeys?.checked ?? false,
+        encrypt: this.elements.exportEncrypt?.checked ?? false
+      }));
     }
     if (this.elements.importDataBtn) {
       this.elements.importDataBtn.addEventListener('click', () => dataManager.importData());
     }
+    if (this.elements.mergeDataBtn) {
+      this.elements.mergeDataBtn.addEventListener('click', () => backupMergeModal.open());
+    }
+    if (this.elements.importCsvBtn) {
+      this.elements.importCsvBtn.addEventListener('click', () => csvImportModal.open());
+    }
     if (this.elements.clearDataBtn) {
       this.elements.clearDataBtn.addEventListener('click', () => clearDataModal.open());
     }
@@ -464,12 +602,18 @@ class Settings {
     restrictToNumberInput(this.elements.settingsAccountSize, true);
     restrictToNumberInput(this.elements.depositAmount, true);
     restrictToNumberInput(this.elements.withdrawAmount, true);
+    this.elements.commissionInputs?.forEach(input => restrictToNumberInput(input, true));
+    this.elements.riskLimitInputs?.forEach(input => {
+      restrictToNumberInput(input, input.dataset.riskLimitSetting !== 'maxOpenPositions');
+    });
+    this.elements.autoBackupInputs?.forEach(input => restrictToNumberInput(input, false));
   }
 
   async loadAndApply() {
     // Initialize async storage managers
     await eodCacheManager.init();
     await historicalPricesBatcher.init();
+    await marketData.init();
 
     // Load saved settings (async with IndexedDB)
     await state.loadSettings();
@@ -529,6 +673,21 @@ class Settings {
       this.setApiKeyButtonActive(this.elements.optionsPriceApiKeyBtn);
     }
 
+    // Apply commission schedule
+    this.updateCommissionInputs();
+
+    // Apply risk limits
+    this.updateRiskLimitInputs();
+
+    // Apply automatic backup settings
+    this.updateAutoBackupInputs();
+
+    // Apply market data sources
+    if (this.elements.benchmarkTicker) {
+      this.elements.benchmarkTicker.value = state.settings.benchmarkTicker;
+    }
+    this.renderMarketDataSources();
+
     // Update header
     this.updateAccountDisplay(state.account.currentSize);
 
@@ -536,6 +695,120 @@ class Settings {
     this.updateCashFlowDisplay();
   }
 
+  updateCommissionInputs() {
+    this.elements.commissionInputs?.forEach(input => {
+      const value = state.settings[input.dataset.commissionSetting] || 0;
+      input.value = value > 0 ? String(value) : '';
+    });
+  }
+
+  saveCommissionSetting(input) {
+    const key = input.dataset.commissionSetting;
+    const value = parseFloat(input.value);
+    const amount = isNaN(value) || value < 0 ? 0 : value;
+
+    input.value = amount > 0 ? String(amount) : '';
+    if (state.settings[key] === amount) return;
+
+    state.updateSettings({ [key]: amount });
+  }
+
+  updateRiskLimitInputs() {
+    if (this.elements.riskLimitMode) {
+      this.elements.riskLimitMode.value = state.settings.riskLimitMode;
+    }
+    this.elements.riskLimitInputs?.forEach(input => {
+      input.value = String(state.settings[input.dataset.riskLimitSetting] ?? '');
+    });
+  }
+
+  saveRiskLimitSetting(input) {
+    const key = input.dataset.riskLimitSetting;
+    // Position count is whole; the rest are percentages
+    const value = key === 'maxOpenPositions' ? parseInt(input.value, 10) : parseFloat(input.value);
+    const limit = isNaN(value) || value < 0 ? state.settings[key] : value;
+
+    input.value = String(limit);
+    if (state.settings[key] === limit) return;
+
+    state.updateSettings({ [key]: limit });
+  }
+
+  updateAutoBackupInputs() {
+    if (this.elements.autoBackupEnabled) {
+      this.elements.autoBackupEnabled.checked = state.settings.autoBackupEnabled;
+    }
+    this.elements.autoBackupInputs?.forEach(input => {
+      input.value = String(state.settings[input.dataset.autoBackupSetting]);
+    });
+    this.renderAutoBackups();
+  }
+
+  async saveAutoBackupSetting(input) {
+    const key = input.dataset.autoBackupSetting;
+    const value = parseInt(input.value, 10);
+    // Always keep at least the latest daily snapshot, or it'd be pruned as soon as it's taken
+    const min = key === 'autoBackupDailyCount' ? 1 : 0;
+    const count = isNaN(value) || value < min ? state.settings[key] : value;
+
+    input.value = String(count);
+    if (state.settings[key] === count) return;
+
+    state.updateSettings({ [key]: count });
+    await backupScheduler.prune();
+  }
+
+  renderAutoBackups() {
+    if (!this.elements.autoBackupList) return;
+
+    const snapshots = backupScheduler.getSnapshots();
+    if (snapshots.length === 0) {
+      this.elements.autoBackupList.innerHTML = '<div class="auto-backup__empty">No backups yet</div>';
+      return;
+    }
+
+    this.elements.autoBackupList.innerHTML = snapshots.map(s => `
+      <div class="auto-backup__item">
+        <div class="auto-backup__info">
+          <span>${formatDate(s.tradingDay + 'T12:00:00', { year: 'numeric' })}</span>
+          <span class="auto-backup__meta">${s.tradeCount} trade${s.tradeCount !== 1 ? 's' : ''} · saved ${new Date(s.createdAt).toLocaleString()}</span>
+        </div>
+        <div class="auto-backup__actions">
+          <button class="btn btn--ghost btn--sm" data-backup-action="restore" data-trading-day="${s.tradingDay}">Restore</button>
+          <button class="btn btn--ghost btn--sm" data-backup-action="download" data-trading-day="${s.tradingDay}">Download</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async handleRestoreBackup(tradingDay) {
+    const snapshot = backupScheduler.getSnapshot(tradingDay);
+    if (!snapshot) return;
+
+    if (!confirm(`Restore the backup from ${tradingDay}? Trades, cash flow and settings changed since then will be replaced.`)) {
+      return;
+    }
+
+    try {
+      await dataManager.restoreSnapshot(snapshot.data);
+      showToast(`📤 Restored backup from ${tradingDay}`, 'success');
+    } catch (err) {
+      console.error('Restore error:', err);
+      showToast('❌ Failed to restore backup', 'error');
+    }
+  }
+
+  handleDownloadBackup(tradingDay) {
+    const snapshot = backupScheduler.getSnapshot(tradingDay);
+    if (!snapshot) return;
+
+    dataManager.downloadFile(
+      JSON.stringify(snapshot.data, null, 2),
+      `trade-manager-autobackup-${tradingDay}.json`,
+      'application/json'
+    );
+  }
+
   open() {
     this.elements.settingsPanel?.classList.add('open');
     this.elements.settingsOverlay?.classList.add('open');
@@ -548,6 +821,13 @@ class Settings {
 
     // Clear any existing errors
     this.clearInputError(this.elements.settingsAccountSize, this.elements.settingsAccountSizeError);
+
+    // Keys may have changed since the last render
+    this.renderMarketDataSources();
+
+    this.renderApiStatus();
+    clearInterval(this.apiStatusInterval);
+    this.apiStatusInterval = setInterval(() => this.renderApiStatus(), 1000);
   }
 
   close() {
@@ -566,6 +846,70 @@ class Settings {
     this.elements.settingsOverlay?.classList.remove('open');
     document.body.style.overflow = '';
     state.setUI('settingsOpen', false);
+
+    clearInterval(this.apiStatusInterval);
+    this.apiStatusInterval = null;
+  }
+
+  renderMarketDataSources() {
+    if (this.elements.marketDataSources) {
+      this.elements.marketDataSources.innerHTML = Object.entries(CAPABILITIES).map(([capability, label]) => {
+        const selectedId = marketData.getProvider(capability)?.id;
+        const options = marketData.getProvidersFor(capability).map(provider => `
+          <option value="${provider.id}" ${provider.id === selectedId ? 'selected' : ''}>
+            ${provider.label}${provider.isConfigured() ? '' : ' (not set up)'}
+          </option>
+        `).join('');
+
+        return `
+          <label for="marketData-${capability}">${label}</label>
+          <select class="input market-data__select" id="marketData-${capability}" data-market-data-capability="${capability}">${options}</select>
+        `;
+      }).join('');
+    }
+
+    if (this.elements.marketDataFixtureSummary) {
+      const summary = fixtureProvider.getSummary();
+      this.elements.marketDataFixtureSummary.textContent = fixtureProvider.isConfigured()
+        ? `${summary.tickers} ticker${summary.tickers !== 1 ? 's' : ''} (${summary.candles} with candles), ${summary.options} option${summary.options !== 1 ? 's' : ''}`
+        : 'No fixtures loaded';
+    }
+  }
+
+  async handleFixtureFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const summary = await fixtureProvider.importFile(await file.text(), file.name);
+      this.renderMarketDataSources();
+      showToast(`📁 Fixtures loaded: ${summary.tickers} ticker${summary.tickers !== 1 ? 's' : ''}`, 'success');
+    } catch (error) {
+      console.error('Failed to load fixture file:', error);
+      showToast(`❌ Could not load fixtures: ${error.message}`, 'error');
+    }
+  }
+
+  renderApiStatus() {
+    if (!this.elements.apiStatusList) return;
+
+    const circuitLabels = { closed: 'OK', half_open: 'Testing', open: 'Paused' };
+
+    this.elements.apiStatusList.innerHTML = getApiStatus().map(api => {
+      const { state: circuitState, nextAttemptTime } = api.circuit;
+      const title = circuitState === 'open' && nextAttemptTime
+        ? `Requests paused after repeated failures until ${new Date(nextAttemptTime).toLocaleTimeString()}`
+        : `${api.circuit.failureCount} recent failure${api.circuit.failureCount !== 1 ? 's' : ''}`;
+
+      return `
+        <div class="api-status__row">
+          <span>${api.label}</span>
+          <span class="api-status__tokens">${api.tokens ?? '—'}/${api.capacity ?? '—'} tokens</span>
+          <span class="api-status__circuit api-status__circuit--${circuitState}" title="${title}">${circuitLabels[circuitState] || circuitState}</span>
+        </div>
+      `;
+    }).join('');
   }
 
   updateSummary(cachedUnrealizedPnL = null) {
@@ -675,6 +675,12 @@ class EquityCurveManager {
       }
     }
 
+    if (trade.addHistory && trade.addHistory.length > 0) {
+      for (const add of trade.addHistory) {
+        dates.push(add.date);
+      }
+    }
+
     return dates.sort()[0]; // Return earliest date
   }
 
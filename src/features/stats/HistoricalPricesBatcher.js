@@ -5,16 +5,29 @@
 
 import { formatDate } from '../../utils/marketHours.js';
 import { sleep } from '../../core/utils.js';
+import { marketData } from '../../core/marketData.js';
+import { twelveDataProvider } from '../../core/providers/twelveDataProvider.js';
 import { storage } from '../../utils/storage.js';
 import { state } from '../../core/state.js';
 import { validateAndMigrate, addSchemaVersion } from '../../utils/migrations.js';
 
+const MAX_OUTPUT_SIZE = 500; // Most days a single batch fetch will request
+const OUTPUT_SIZE_BUFFER = 10; // Extra days requested beyond the oldest needed date
+
 class HistoricalPricesBatcher {
   constructor() {
     this.cache = {}; // { ticker: { 'YYYY-MM-DD': { open, high, low, close } } }
     this.metadata = {}; // { ticker: { fetchedAt: timestamp } }
     this.initialized = false;
-    this.apiKey = null;
+  }
+
+  // Key lives on the Twelve Data provider so the provider layer can use it directly
+  get apiKey() {
+    return twelveDataProvider.apiKey;
+  }
+
+  set apiKey(key) {
+    twelveDataProvider.apiKey = key;
   }
 
   /**
@@ -61,188 +74,43 @@ class HistoricalPricesBatcher {
    * @param {number} outputSize - Number of days to fetch (default 90)
    */
   async fetchHistoricalPrices(ticker, outputSize = 90) {
-    if (!this.apiKey) {
-      console.warn('No Twelve Data API key set for historical prices');
-      return null;
-    }
-
-    try {
-      const url = `https://api.twelvedata.com/time_series?symbol=${ticker}&interval=1day&outputsize=${outputSize}&apikey=${this.apiKey}`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      // Check for API errors
-      if (data.status === 'error') {
-        console.error('Twelve Data error:', data.message);
-        return null;
-      }
-
-      if (!data.values || !Array.isArray(data.values)) {
-        console.warn('No time series data for', ticker);
-        return null;
-      }
-
-      // Parse and cache
-      const prices = {};
-      for (const item of data.values) {
-        const date = item.datetime;
-        prices[date] = {
-          open: parseFloat(item.open),
-          high: parseFloat(item.high),
-          low: parseFloat(item.low),
-          close: parseFloat(item.close)
-        };
-      }
-
-      // Update cache
-      if (!this.cache[ticker]) {
-        this.cache[ticker] = {};
-      }
-      Object.assign(this.cache[ticker], prices);
-
-      // Update metadata with fetchedAt timestamp
-      if (!this.metadata[ticker]) {
-        this.metadata[ticker] = {};
-      }
-      this.metadata[ticker].fetchedAt = Date.now();
-
-      this.saveCache();
-
-      return prices;
-    } catch (error) {
-      console.error('Failed to fetch historical prices for', ticker, error);
-      return null;
-    }
+    const results = await this.fetchBatchHistoricalPrices([ticker], outputSize);
+    return results?.[ticker] || null;
   }
 
   /**
    * Fetch historical prices for multiple tickers in a single batch request
-   * Twelve Data supports comma-separated symbols
+   * through the selected daily candle provider
    * @param {Array<string>} tickers - Tickers to fetch
    * @param {number} outputSize - Number of days to fetch (default 90)
    */
   async fetchBatchHistoricalPrices(tickers, outputSize = 90) {
-    if (!this.apiKey) {
-      console.warn('No Twelve Data API key set for historical prices');
+    const provider = marketData.getProvider('dailyCandles');
+    if (!provider?.isConfigured()) {
+      console.warn(`${provider?.label || 'Daily candle provider'} not configured for historical prices`);
       return null;
     }
 
     if (tickers.length === 0) return {};
 
     try {
-      // Join tickers with commas (max 8 for free tier)
-      const symbols = tickers.slice(0, this.batchSize).join(',');
-      const url = `https://api.twelvedata.com/time_series?symbol=${symbols}&interval=1day&outputsize=${outputSize}&apikey=${this.apiKey}`;
+      // Max 8 per request for the Twelve Data free tier
+      const batch = tickers.slice(0, this.batchSize);
+      const results = await provider.getDailyCandles(batch, outputSize);
 
-      const response = await fetch(url);
-
-      // Check HTTP status
-      if (!response.ok) {
-        console.error(`[Prices] HTTP ${response.status} ${response.statusText} - API request failed`);
-        return {};
-      }
-
-      const data = await response.json();
-
-      // Check for API-level errors (rate limiting, authentication, etc.)
-      if (data.code && data.message) {
-        console.error(`[Prices] Twelve Data API error (${data.code}): ${data.message}`);
-        return {};
-      }
-
-      // Handle batch response
-      const results = {};
-
-      if (tickers.length === 1) {
-        // Single ticker response format
-        if (data.status === 'error') {
-          console.error(`[Prices] Twelve Data error: ${data.message}`, data.code ? `(${data.code})` : '');
-          return results;
+      for (const [ticker, prices] of Object.entries(results)) {
+        if (!this.cache[ticker]) {
+          this.cache[ticker] = {};
         }
+        Object.assign(this.cache[ticker], prices);
 
-        if (data.values && Array.isArray(data.values)) {
-          const ticker = tickers[0];
-          const prices = {};
-
-          for (const item of data.values) {
-            const date = item.datetime;
-            prices[date] = {
-              open: parseFloat(item.open),
-              high: parseFloat(item.high),
-              low: parseFloat(item.low),
-              close: parseFloat(item.close),
-              volume: parseInt(item.volume) || 0
-            };
-          }
-
-          if (!this.cache[ticker]) {
-            this.cache[ticker] = {};
-          }
-          Object.assign(this.cache[ticker], prices);
-
-          // Update metadata with fetchedAt timestamp
-          if (!this.metadata[ticker]) {
-            this.metadata[ticker] = {};
-          }
-          this.metadata[ticker].fetchedAt = Date.now();
-
-          results[ticker] = prices;
-        }
-      } else {
-        // Multiple tickers response format (object with ticker keys)
-        for (const ticker of tickers) {
-          const tickerData = data[ticker];
-
-          if (!tickerData) {
-            // Ticker not in response - determine why
-            const allKeys = Object.keys(data);
-            if (allKeys.length === 0) {
-              console.error(`[Prices] ${ticker}: API returned empty response (possible rate limit or API issue)`);
-            } else if (data.status === 'error') {
-              console.error(`[Prices] ${ticker}: ${data.message}${data.code ? ` (${data.code})` : ''}`);
-            } else {
-              console.error(`[Prices] ${ticker}: Not returned by API (invalid symbol, unsupported exchange, or not included in your API plan)`);
-            }
-            continue;
-          }
-
-          if (tickerData.status === 'error') {
-            console.error(`[Prices] ${ticker}: ${tickerData.message}${tickerData.code ? ` (${tickerData.code})` : ''}`);
-            continue;
-          }
-
-          if (tickerData.values && Array.isArray(tickerData.values)) {
-            const prices = {};
-
-            for (const item of tickerData.values) {
-              const date = item.datetime;
-              prices[date] = {
-                open: parseFloat(item.open),
-                high: parseFloat(item.high),
-                low: parseFloat(item.low),
-                close: parseFloat(item.close),
-                volume: parseInt(item.volume) || 0
-              };
-            }
-
-            if (!this.cache[ticker]) {
-              this.cache[ticker] = {};
-            }
-            Object.assign(this.cache[ticker], prices);
-
-            // Update metadata with fetchedAt timestamp
-            if (!this.metadata[ticker]) {
-              this.metadata[ticker] = {};
-            }
-            this.metadata[ticker].fetchedAt = Date.now();
-
-            results[ticker] = prices;
-          }
+        // Update metadata with fetchedAt timestamp
+        if (!this.metadata[ticker]) {
+          this.metadata[ticker] = {};
         }
+        this.metadata[ticker].fetchedAt = Date.now();
       }
 
-      // Log summary of what was fetched
       this.saveCache();
       return results;
     } catch (error) {
@@ -294,11 +162,11 @@ class HistoricalPricesBatcher {
         if (tickerDates[ticker]) {
           const tradeDate = new Date(tickerDates[ticker]);
           const daysAgo = Math.ceil((today - tradeDate) / (1000 * 60 * 60 * 24));
-          outputSize = Math.max(outputSize, daysAgo + 10); // +10 day buffer
+          outputSize = Math.max(outputSize, daysAgo + OUTPUT_SIZE_BUFFER);
         }
       }
     }
-    outputSize = Math.min(outputSize, 500); // Cap at 500 days max
+    outputSize = Math.min(outputSize, MAX_OUTPUT_SIZE);
 
     // Group into batches of batchSize
     const batches = [];
@@ -355,6 +223,19 @@ class HistoricalPricesBatcher {
     return daysSinceUpdate <= 7;
   }
 
+  /**
+   * Clamp a start date to the oldest date a single batch fetch can cover
+   * Older dates would never be satisfied by the cache and would trigger a refetch every time
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @returns {string} startDate, or the oldest fetchable date if startDate is earlier
+   */
+  clampToFetchableRange(startDate) {
+    const earliest = new Date();
+    earliest.setDate(earliest.getDate() - (MAX_OUTPUT_SIZE - OUTPUT_SIZE_BUFFER));
+    const earliestStr = formatDate(earliest);
+    return startDate < earliestStr ? earliestStr : startDate;
+  }
+
   /**
    * Check if we have sufficient historical data for a ticker starting from a specific date
    * @param {string} ticker - Stock ticker
@@ -409,6 +290,58 @@ class HistoricalPricesBatcher {
     return null;
   }
 
+  /**
+   * Most recent cached daily candles for a ticker, oldest first
+   * @returns {Array<Object>} [{ date, open, high, low, close }]
+   */
+  getRecentCandles(ticker, count) {
+    const prices = this.cache[ticker];
+    if (!prices) return [];
+
+    return Object.keys(prices).sort().slice(-count).map(date => ({ date, ...prices[date] }));
+  }
+
+  /**
+   * Average True Range (Wilder's smoothing) from cached daily candles
+   * @param {string} ticker
+   * @param {number} [period=14]
+   * @returns {number|null} Latest ATR, or null if fewer than period + 1 candles are cached
+   */
+  getATR(ticker, period = 14) {
+    // Extra history lets the smoothing settle
+    const candles = this.getRecentCandles(ticker, period * 5);
+    if (candles.length < period + 1) return null;
+
+    const trueRanges = [];
+    for (let i = 1; i < candles.length; i++) {
+      const { high, low } = candles[i];
+      const previousClose = candles[i - 1].close;
+      trueRanges.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+    }
+
+    let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+    for (let i = period; i < trueRanges.length; i++) {
+      atr = (atr * (period - 1) + trueRanges[i]) / period;
+    }
+    return atr;
+  }
+
+  /**
+   * Standard deviation of daily close-to-close returns
+   * @param {string} ticker
+   * @param {number} [period=20] - Number of returns
+   * @returns {number|null} Daily volatility as a fraction (0.02 = 2%), or null without enough candles
+   */
+  getDailyVolatility(ticker, period = 20) {
+    const candles = this.getRecentCandles(ticker, period + 1);
+    if (candles.length < period + 1) return null;
+
+    const returns = candles.slice(1).map((candle, i) => candle.close / candles[i].close - 1);
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    return Math.sqrt(variance);
+  }
+
 
   /**
    * Load cache from IndexedDB with schema migration support
@@ -557,6 +490,7 @@ class HistoricalPricesBatcher {
    * Keeps prices for:
    * 1. All dates within the hot window (last 30 days)
    * 2. Any ticker with open/trimmed positions (regardless of age)
+   * 3. The benchmark ticker (Stats compares against its full history)
    * Deletes everything else to save storage
    * @param {string} cutoffDate - Date in 'YYYY-MM-DD' format (30 days ago)
    * @param {Array} allTrades - All trades from journal
@@ -569,13 +503,14 @@ class HistoricalPricesBatcher {
         .filter(t => t.status === 'open' || t.status === 'trimmed')
         .map(t => t.ticker)
     );
+    const benchmarkTicker = state.settings.benchmarkTicker;
 
     let removedCount = 0;
 
     // For each ticker in cache
     for (const ticker in this.cache) {
       // If ticker has active positions, skip cleanup for this ticker
-      if (activeTickers.has(ticker)) {
+      if (activeTickers.has(ticker) || ticker === benchmarkTicker) {
         continue;
       }
 
@@ -0,0 +1,165 @@
+/**
+ * Monte Carlo Panel - Projects equity by resampling realized R-multiples
+ * Runs StatsCalculator.runMonteCarlo at the default risk % and draws percentile bands as SVG
+ */
+
+import { state } from '../../core/state.js';
+import { formatNumber } from '../../core/utils.js';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const MIN_SAMPLES = 5;
+
+class MonteCarloPanel {
+  constructor(calculator) {
+    this.calculator = calculator;
+    this.elements = {};
+    this.rMultiples = [];
+    this.startBalance = 0;
+    this.result = null;
+  }
+
+  init() {
+    this.elements = {
+      chart: document.getElementById('monteCarloChart'),
+      empty: document.getElementById('monteCarloEmpty'),
+      content: document.getElementById('monteCarloContent'),
+      summary: document.getElementById('monteCarloSummary'),
+      tradesInput: document.getElementById('monteCarloTrades'),
+      drawdownInput: document.getElementById('monteCarloDrawdown'),
+      ruinInput: document.getElementById('monteCarloRuin'),
+      runBtn: document.getElementById('monteCarloRunBtn'),
+      medianEnd: document.getElementById('statMonteCarloMedian'),
+      medianEndSub: document.getElementById('statMonteCarloMedianSub'),
+      worstEnd: document.getElementById('statMonteCarloWorst'),
+      drawdownProbability: document.getElementById('statMonteCarloDrawdown'),
+      drawdownProbabilityLabel: document.getElementById('statMonteCarloDrawdownLabel'),
+      drawdownProbabilitySub: document.getElementById('statMonteCarloDrawdownSub'),
+      riskOfRuin: document.getElementById('statMonteCarloRuin'),
+      riskOfRuinCard: document.getElementById('statMonteCarloRuinCard'),
+      riskOfRuinSub: document.getElementById('statMonteCarloRuinSub')
+    };
+
+    this.elements.runBtn?.addEventListener('click', () => this.run());
+    [this.elements.tradesInput, this.elements.drawdownInput, this.elements.ruinInput].forEach(input => {
+      input?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.run();
+      });
+    });
+  }
+
+  /**
+   * Set the sample and starting equity, then re-run (called on every Stats refresh)
+   * @param {Array<number>} rMultiples - Realized R per trade in the active range
+   * @param {number} startBalance - Current account balance
+   */
+  setData(rMultiples, startBalance) {
+    this.rMultiples = rMultiples;
+    this.startBalance = startBalance;
+    this.run();
+  }
+
+  /**
+   * Read a positive number from an input, clamped to a range
+   */
+  readInput(input, fallback, min, max) {
+    const value = parseFloat(input?.value);
+    if (isNaN(value)) return fallback;
+    return Math.min(max, Math.max(min, value));
+  }
+
+  run() {
+    const hasSamples = this.rMultiples.length >= MIN_SAMPLES;
+    if (this.elements.content) this.elements.content.style.display = hasSamples ? '' : 'none';
+    if (this.elements.empty) this.elements.empty.style.display = hasSamples ? 'none' : 'flex';
+    if (!hasSamples) {
+      this.result = null;
+      return;
+    }
+
+    this.result = this.calculator.runMonteCarlo(this.rMultiples, {
+      startBalance: this.startBalance,
+      riskPercent: state.settings.defaultRiskPercent,
+      trades: Math.round(this.readInput(this.elements.tradesInput, 100, 10, 1000)),
+      drawdownThreshold: this.readInput(this.elements.drawdownInput, 20, 1, 99),
+      ruinThreshold: this.readInput(this.elements.ruinInput, 50, 1, 99)
+    });
+
+    this.render();
+  }
+
+  render() {
+    const r = this.result;
+    if (!r) return;
+
+    const formatDollars = (value) => `$${formatNumber(value, 0)}`;
+    const formatChange = (value) => {
+      const change = ((value - r.startBalance) / r.startBalance) * 100;
+      return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+    };
+
+    if (this.elements.summary) {
+      this.elements.summary.textContent = `${formatNumber(r.runs)} runs × ${r.trades} trades · ${r.riskPercent}% risk · ${r.sampleSize} R samples`;
+    }
+
+    if (this.elements.medianEnd) {
+      this.elements.medianEnd.textContent = formatDollars(r.final.p50);
+    }
+    if (this.elements.medianEndSub) {
+      this.elements.medianEndSub.innerHTML = `<span class="stat-card__sub--highlight">${formatChange(r.final.p50)}</span> after ${r.trades} trades`;
+    }
+    if (this.elements.worstEnd) {
+      this.elements.worstEnd.textContent = formatDollars(r.final.p5);
+    }
+
+    if (this.elements.drawdownProbabilityLabel) {
+      this.elements.drawdownProbabilityLabel.textContent = `P(Drawdown ≥ ${r.drawdownThreshold}%)`;
+    }
+    if (this.elements.drawdownProbability) {
+      this.elements.drawdownProbability.textContent = `${r.drawdownProbability.toFixed(1)}%`;
+    }
+    if (this.elements.drawdownProbabilitySub) {
+      this.elements.drawdownProbabilitySub.innerHTML = `Median max drawdown <span class="stat-card__sub--highlight">${r.medianMaxDrawdown.toFixed(1)}%</span>`;
+    }
+
+    if (this.elements.riskOfRuin) {
+      this.elements.riskOfRuin.textContent = `${r.riskOfRuin.toFixed(1)}%`;
+    }
+    this.elements.riskOfRuinCard?.classList.toggle('stat-card--danger', r.riskOfRuin >= 1);
+    this.elements.riskOfRuinCard?.classList.toggle('stat-card--success', r.riskOfRuin < 1);
+    if (this.elements.riskOfRuinSub) {
+      this.elements.riskOfRuinSub.textContent = `Runs losing ${r.ruinThreshold}% of starting equity`;
+    }
+
+    this.renderChart();
+  }
+
+  renderChart() {
+    if (!this.elements.chart) return;
+
+    const bands = this.result.bands;
+    const maxValue = Math.max(...bands.map(b => b.p95));
+    const minValue = Math.min(...bands.map(b => b.p5));
+    const range = maxValue - minValue || 1;
+
+    const x = (step) => (step / (bands.length - 1)) * CHART_WIDTH;
+    const y = (value) => CHART_HEIGHT - ((value - minValue) / range) * CHART_HEIGHT;
+    const line = (key) => bands.map(b => `${x(b.trade).toFixed(1)},${y(b[key]).toFixed(1)}`);
+    const area = (lowKey, highKey) => [...line(highKey), ...line(lowKey).reverse()].join(' ');
+
+    const startY = y(this.result.startBalance).toFixed(1);
+
+    this.elements.chart.innerHTML = `
+      <svg class="monte-carlo__svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none">
+        <line class="monte-carlo__baseline" x1="0" y1="${startY}" x2="${CHART_WIDTH}" y2="${startY}"></line>
+        <polygon class="monte-carlo__band monte-carlo__band--outer" points="${area('p5', 'p95')}"></polygon>
+        <polygon class="monte-carlo__band monte-carlo__band--inner" points="${area('p25', 'p75')}"></polygon>
+        <polyline class="monte-carlo__median" points="${line('p50').join(' ')}"></polyline>
+      </svg>
+      <span class="monte-carlo__axis monte-carlo__axis--top">$${formatNumber(maxValue, 0)}</span>
+      <span class="monte-carlo__axis monte-carlo__axis--bottom">$${formatNumber(minValue, 0)}</span>
+    `;
+  }
+}
+
+export { MonteCarloPanel };
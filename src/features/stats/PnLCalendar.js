@@ -0,0 +1,245 @@
+/**
+ * P&L Calendar - Month grid of daily P&L with weekly and monthly totals
+ * Days come from StatsCalculator.calculateDailyPnL (EOD cache); clicking a day lists its trades
+ */
+
+import { state } from '../../core/state.js';
+import { formatSignedCurrency, getCurrentWeekday } from '../../core/utils.js';
+import * as marketHours from '../../utils/marketHours.js';
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+const ACTION_BADGES = {
+  entered: { label: 'Entered', className: 'status-badge--open' },
+  trimmed: { label: 'Trimmed', className: 'status-badge--trimmed' },
+  closed: { label: 'Closed', className: 'status-badge--closed' }
+};
+
+function toMonthStr(dateStr) {
+  return dateStr.slice(0, 7);
+}
+
+class PnLCalendar {
+  constructor(calculator) {
+    this.calculator = calculator;
+    this.elements = {};
+    this.month = toMonthStr(marketHours.formatDate(getCurrentWeekday()));
+    this.days = [];
+    this.selectedDate = null;
+  }
+
+  init() {
+    this.elements = {
+      grid: document.getElementById('pnlCalendarGrid'),
+      monthLabel: document.getElementById('pnlCalendarMonth'),
+      monthTotal: document.getElementById('pnlCalendarTotal'),
+      prevBtn: document.getElementById('pnlCalendarPrev'),
+      nextBtn: document.getElementById('pnlCalendarNext'),
+      detail: document.getElementById('pnlCalendarDetail')
+    };
+
+    this.elements.prevBtn?.addEventListener('click', () => this.shiftMonth(-1));
+    this.elements.nextBtn?.addEventListener('click', () => this.shiftMonth(1));
+
+    this.elements.grid?.addEventListener('click', (e) => {
+      const cell = e.target.closest('[data-date]');
+      if (!cell) return;
+      this.selectedDate = this.selectedDate === cell.dataset.date ? null : cell.dataset.date;
+      this.render();
+    });
+  }
+
+  /**
+   * Jump to the month containing a date (used when the Stats date filter changes)
+   */
+  showMonth(dateStr) {
+    this.month = toMonthStr(dateStr);
+    this.selectedDate = null;
+    this.render();
+  }
+
+  shiftMonth(offset) {
+    const [year, month] = this.month.split('-').map(Number);
+    const target = new Date(year, month - 1 + offset, 1);
+    const todayMonth = toMonthStr(marketHours.formatDate(getCurrentWeekday()));
+
+    // Nothing to show past the current month
+    const targetMonth = toMonthStr(marketHours.formatDate(target));
+    if (targetMonth > todayMonth) return;
+
+    this.month = targetMonth;
+    this.selectedDate = null;
+    this.render();
+  }
+
+  render() {
+    if (!this.elements.grid) return;
+
+    const [year, month] = this.month.split('-').map(Number);
+    const firstDate = `${this.month}-01`;
+    const lastDate = marketHours.formatDate(new Date(year, month, 0));
+    this.days = this.calculator.calculateDailyPnL(firstDate, lastDate);
+
+    const daysByDate = new Map(this.days.map(day => [day.date, day]));
+    const maxAbsPnL = Math.max(...this.days.map(day => Math.abs(day.pnl ?? 0)), 1);
+    const todayStr = marketHours.formatDate(getCurrentWeekday());
+
+    if (this.elements.monthLabel) {
+      this.elements.monthLabel.textContent = new Date(year, month - 1, 1)
+        .toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+    if (this.elements.nextBtn) {
+      this.elements.nextBtn.disabled = this.month >= toMonthStr(todayStr);
+    }
+
+    const monthTotal = this.days.reduce((sum, day) => sum + (day.pnl ?? 0), 0);
+    if (this.elements.monthTotal) {
+      this.elements.monthTotal.textContent = formatSignedCurrency(monthTotal);
+      this.elements.monthTotal.classList.toggle('pnl-calendar__total--profit', monthTotal > 0);
+      this.elements.monthTotal.classList.toggle('pnl-calendar__total--loss', monthTotal < 0);
+    }
+
+    const header = [...WEEKDAY_LABELS, 'Week']
+      .map(label => `<div class="pnl-calendar__heading">${label}</div>`)
+      .join('');
+
+    const rows = this.getWeeks(year, month).map(week => {
+      const cells = week.map(dateStr => {
+        if (!dateStr) return '<div class="pnl-calendar__day pnl-calendar__day--empty"></div>';
+        return this.renderDay(dateStr, daysByDate.get(dateStr), maxAbsPnL, todayStr);
+      }).join('');
+
+      const weekDays = week.map(dateStr => daysByDate.get(dateStr)).filter(day => day && day.pnl !== null);
+      const weekTotal = weekDays.reduce((sum, day) => sum + day.pnl, 0);
+      const weekClass = weekTotal > 0 ? 'pnl-calendar__week--profit' : (weekTotal < 0 ? 'pnl-calendar__week--loss' : '');
+
+      return `${cells}<div class="pnl-calendar__week ${weekClass}">${weekDays.length > 0 ? formatSignedCurrency(weekTotal, 0) : '—'}</div>`;
+    }).join('');
+
+    this.elements.grid.innerHTML = header + rows;
+    this.renderDetail(daysByDate.get(this.selectedDate));
+  }
+
+  /**
+   * Mon-Fri rows for the month; dates outside the month are null
+   */
+  getWeeks(year, month) {
+    const weeks = [];
+    const date = new Date(year, month - 1, 1);
+    let week = null;
+
+    while (date.getMonth() === month - 1) {
+      const weekday = date.getDay();
+      if (weekday >= 1 && weekday <= 5) {
+        if (!week || weekday === 1) {
+          week = [null, null, null, null, null];
+          weeks.push(week);
+        }
+        week[weekday - 1] = marketHours.formatDate(date);
+      }
+      date.setDate(date.getDate() + 1);
+    }
+
+    return weeks;
+  }
+
+  renderDay(dateStr, day, maxAbsPnL, todayStr) {
+    const dayNumber = parseInt(dateStr.slice(8), 10);
+    const selectedClass = dateStr === this.selectedDate ? 'pnl-calendar__day--selected' : '';
+
+    if (dateStr > todayStr) {
+      return `<div class="pnl-calendar__day pnl-calendar__day--future"><span class="pnl-calendar__date">${dayNumber}</span></div>`;
+    }
+
+    const holiday = marketHours.getMarketHoliday(dateStr);
+    if (holiday) {
+      return `
+        <div class="pnl-calendar__day pnl-calendar__day--closed" title="${holiday}">
+          <span class="pnl-calendar__date">${dayNumber}</span>
+          <span class="pnl-calendar__amount">Closed</span>
+        </div>
+      `;
+    }
+
+    let stateClass = '';
+    let style = '';
+    let amount = '—';
+    let title = 'No EOD data';
+
+    if (day?.pnl !== null && day?.pnl !== undefined) {
+      // Stronger color for bigger days, relative to the month's largest move
+      const intensity = 0.12 + 0.5 * (Math.abs(day.pnl) / maxAbsPnL);
+      if (day.pnl > 0) {
+        stateClass = 'pnl-calendar__day--profit';
+        style = `background: rgba(34, 197, 94, ${intensity.toFixed(2)});`;
+      } else if (day.pnl < 0) {
+        stateClass = 'pnl-calendar__day--loss';
+        style = `background: rgba(239, 68, 68, ${intensity.toFixed(2)});`;
+      }
+      amount = formatSignedCurrency(day.pnl, 0);
+      title = `${formatSignedCurrency(day.pnl)}${day.cashFlow !== 0 ? ` (excludes ${formatSignedCurrency(day.cashFlow)} cash flow)` : ''}`;
+    }
+
+    const flag = day?.incomplete
+      ? '<span class="pnl-calendar__flag" title="Incomplete EOD data">!</span>'
+      : '';
+    if (day?.incomplete) {
+      title = `Incomplete EOD data${day.missingTickers.length > 0 ? ` (missing ${day.missingTickers.join(', ')})` : ''}`;
+    }
+
+    return `
+      <div class="pnl-calendar__day ${stateClass} ${selectedClass}" data-date="${dateStr}" style="${style}" title="${title}">
+        <span class="pnl-calendar__date">${dayNumber}${flag}</span>
+        <span class="pnl-calendar__amount">${amount}</span>
+      </div>
+    `;
+  }
+
+  renderDetail(day) {
+    if (!this.elements.detail) return;
+
+    if (!this.selectedDate) {
+      this.elements.detail.style.display = 'none';
+      return;
+    }
+
+    const trades = this.calculator.getTradesForDay(state.journal.entries, this.selectedDate);
+    const dateLabel = marketHours.parseDate(this.selectedDate)
+      .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+    const notes = [];
+    if (day?.pnl !== null && day?.pnl !== undefined) {
+      notes.push(`Day P&L <span class="stat-card__sub--highlight">${formatSignedCurrency(day.pnl)}</span>`);
+    }
+    if (day?.cashFlow) {
+      notes.push(`Cash flow ${formatSignedCurrency(day.cashFlow)}`);
+    }
+    if (day?.incomplete) {
+      notes.push(`<span class="stat-card__sub--danger">Incomplete EOD data${day.missingTickers.length > 0 ? ` — missing ${day.missingTickers.join(', ')}` : ''}</span>`);
+    }
+
+    const tradeRows = trades.length > 0
+      ? trades.map(({ trade, actions, realizedPnL }) => `
+          <div class="pnl-calendar__trade">
+            <strong class="pnl-calendar__ticker">${trade.ticker}</strong>
+            <span class="pnl-calendar__actions">
+              ${actions.map(action => `<span class="status-badge ${ACTION_BADGES[action].className}">${ACTION_BADGES[action].label}</span>`).join('')}
+            </span>
+            <span class="pnl-calendar__trade-pnl ${realizedPnL > 0 ? 'pnl-calendar__trade-pnl--profit' : (realizedPnL < 0 ? 'pnl-calendar__trade-pnl--loss' : '')}">
+              ${realizedPnL !== 0 ? formatSignedCurrency(realizedPnL) : ''}
+            </span>
+          </div>
+        `).join('')
+      : '<div class="pnl-calendar__no-trades">No trades entered, trimmed or closed this day</div>';
+
+    this.elements.detail.style.display = '';
+    this.elements.detail.innerHTML = `
+      <div class="pnl-calendar__detail-header">
+        <span class="pnl-calendar__detail-date">${dateLabel}</span>
+        <span class="pnl-calendar__detail-notes">${notes.join(' · ')}</span>
+      </div>
+      ${tradeRows}
+    `;
+  }
+}
+
+export { PnLCalendar };
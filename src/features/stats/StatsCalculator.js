@@ -6,10 +6,12 @@
 import { state } from '../../core/state.js';
 import { priceTracker } from '../../core/priceTracker.js';
 import { equityCurveManager } from './EquityCurveManager.js';
+import eodCacheManager from '../../core/eodCacheManager.js';
 import { getPreviousBusinessDay, getCurrentWeekday } from '../../core/utils.js';
-import { formatDate } from '../../utils/marketHours.js';
+import { formatDate, getBusinessDaysBetween, getPreviousTradingDay } from '../../utils/marketHours.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
-import { calculateRealizedPnL, getTradeRealizedPnL } from '../../core/utils/tradeCalculations.js';
+import { calculateRealizedPnL, getTradeRealizedPnL, getRealizedPnLBetween, getRiskPerShare } from '../../core/utils/tradeCalculations.js';
+import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
 
 export class StatsCalculator {
   /**
@@ -98,6 +100,664 @@ export class StatsCalculator {
     return mean / stdDev;
   }
 
+  /**
+   * Get realized R-multiple for a trade
+   * Share-weighted average of trimHistory exits, falling back to realized P&L / initial risk
+   * for trades without exit history
+   * Returns null if the trade's risk is unknown
+   */
+  getTradeRMultiple(trade) {
+    // No stop recorded (broker imports) or a stop at entry: there is no risk to measure R against
+    const originalStop = trade.originalStop ?? trade.stop;
+    if (trade.riskDollars === null || getRiskPerShare(trade.entry, originalStop, trade) <= 0) {
+      return null;
+    }
+
+    const exits = (trade.trimHistory || []).filter(t => Number.isFinite(t.rMultiple) && t.shares > 0);
+
+    if (exits.length > 0) {
+      const exitedShares = exits.reduce((sum, t) => sum + t.shares, 0);
+      return exits.reduce((sum, t) => sum + t.rMultiple * t.shares, 0) / exitedShares;
+    }
+
+    if (trade.riskDollars > 0) {
+      return getTradeRealizedPnL(trade) / trade.riskDollars;
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculate per-trade quality metrics from closed/trimmed trades
+   * Breakeven trades count as losses, matching calculateWinsLosses
+   * @returns {Object} avgWin/avgLoss ($ and R), expectancy ($ and R), profitFactor,
+   *   payoffRatio, largestWin, largestLoss - each null when there isn't enough data
+   */
+  calculateTradeQuality(trades) {
+    const closedTrades = trades.filter(e => e.status === 'closed' || e.status === 'trimmed');
+    const pnls = closedTrades.map(t => getTradeRealizedPnL(t));
+    const wins = pnls.filter(p => p > 0);
+    const losses = pnls.filter(p => p <= 0);
+
+    const average = (values) => values.length > 0
+      ? values.reduce((sum, v) => sum + v, 0) / values.length
+      : null;
+
+    const rMultiples = closedTrades.map(t => this.getTradeRMultiple(t)).filter(r => r !== null);
+    const grossProfit = wins.reduce((sum, p) => sum + p, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, p) => sum + p, 0));
+
+    const avgWin = average(wins);
+    const avgLoss = average(losses);
+
+    return {
+      avgWin,
+      avgLoss,
+      avgWinR: average(rMultiples.filter(r => r > 0)),
+      avgLossR: average(rMultiples.filter(r => r <= 0)),
+      expectancy: average(pnls),
+      expectancyR: average(rMultiples),
+      // Infinity when there are wins but no losing dollars
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+      payoffRatio: avgWin !== null && avgLoss !== null && avgLoss !== 0 ? avgWin / Math.abs(avgLoss) : null,
+      largestWin: wins.length > 0 ? Math.max(...wins) : null,
+      largestLoss: losses.length > 0 ? Math.min(...losses) : null
+    };
+  }
+
+  /**
+   * Simulate future trade sequences by resampling historical R-multiples
+   * Each trade risks riskPercent of current equity (fixed fractional), so results compound
+   * @param {Array<number>} rMultiples - Realized R per trade to sample from
+   * @param {Object} options
+   * @param {number} options.startBalance - Equity at the start of every run
+   * @param {number} options.riskPercent - Percent of equity risked per trade
+   * @param {number} [options.trades=100] - Trades per run
+   * @param {number} [options.runs=2000] - Number of runs
+   * @param {number} [options.drawdownThreshold=20] - Peak-to-trough % that counts as "hit"
+   * @param {number} [options.ruinThreshold=50] - % loss from the start balance that counts as ruin
+   * @param {Function} [options.random=Math.random] - RNG returning [0, 1)
+   * @returns {Object|null} Percentile bands per trade, probabilities in %, or null without samples
+   */
+  runMonteCarlo(rMultiples, {
+    startBalance,
+    riskPercent,
+    trades = 100,
+    runs = 2000,
+    drawdownThreshold = 20,
+    ruinThreshold = 50,
+    random = Math.random
+  }) {
+    if (!rMultiples || rMultiples.length === 0 || !(startBalance > 0) || !(riskPercent > 0)) {
+      return null;
+    }
+
+    const risk = riskPercent / 100;
+    const ruinBalance = startBalance * (1 - ruinThreshold / 100);
+    // equities[step][run] so each step's distribution can be sorted for percentiles
+    const equities = Array.from({ length: trades + 1 }, () => new Float64Array(runs));
+    const maxDrawdowns = new Float64Array(runs);
+    let drawdownHits = 0;
+    let ruinHits = 0;
+
+    for (let run = 0; run < runs; run++) {
+      let equity = startBalance;
+      let peak = startBalance;
+      let maxDrawdown = 0;
+      let ruined = false;
+      equities[0][run] = equity;
+
+      for (let step = 1; step <= trades; step++) {
+        // A ruined account stops trading
+        if (!ruined) {
+          const r = rMultiples[Math.floor(random() * rMultiples.length)];
+          equity = Math.max(0, equity + equity * risk * r);
+          peak = Math.max(peak, equity);
+          maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+          ruined = equity <= ruinBalance;
+        }
+        equities[step][run] = equity;
+      }
+
+      maxDrawdowns[run] = maxDrawdown;
+      if (maxDrawdown >= drawdownThreshold) drawdownHits++;
+      if (ruined) ruinHits++;
+    }
+
+    const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+
+    const bands = equities.map((values, step) => {
+      const sorted = values.slice().sort();
+      return {
+        trade: step,
+        p5: percentile(sorted, 5),
+        p25: percentile(sorted, 25),
+        p50: percentile(sorted, 50),
+        p75: percentile(sorted, 75),
+        p95: percentile(sorted, 95)
+      };
+    });
+
+    const sortedDrawdowns = maxDrawdowns.slice().sort();
+
+    return {
+      bands,
+      runs,
+      trades,
+      sampleSize: rMultiples.length,
+      startBalance,
+      riskPercent,
+      drawdownThreshold,
+      ruinThreshold,
+      drawdownProbability: (drawdownHits / runs) * 100,
+      riskOfRuin: (ruinHits / runs) * 100,
+      medianMaxDrawdown: percentile(sortedDrawdowns, 50),
+      final: bands[bands.length - 1]
+    };
+  }
+
+  /**
+   * Calendar days held, weighted by shares across trims (entry to final exit when there are none)
+   * @returns {number|null} Null for trades without an entry or any exit
+   */
+  getTradeHoldDays(trade) {
+    const entryDateStr = getTradeEntryDateString(trade);
+    if (!entryDateStr) return null;
+
+    // Closes from the trim modal store a full ISO timestamp
+    const entryDate = this._parseDate(entryDateStr);
+    const daysTo = (value) => Math.max(0, Math.round(
+      (this._parseDate(String(value).slice(0, 10)) - entryDate) / (1000 * 60 * 60 * 24)
+    ));
+
+    const trims = (trade.trimHistory || []).filter(trim => trim.date && trim.shares > 0);
+    if (trims.length > 0) {
+      const totalShares = trims.reduce((sum, trim) => sum + trim.shares, 0);
+      return trims.reduce((sum, trim) => sum + daysTo(trim.date) * trim.shares, 0) / totalShares;
+    }
+
+    return trade.exitDate ? daysTo(trade.exitDate) : null;
+  }
+
+  /**
+   * Group closed trades by a thesis field and summarize each group
+   * Trades without a value are grouped under key null; themes are matched case-insensitively
+   * @param {Array} trades
+   * @param {'setupType'|'theme'|'conviction'} dimension - Field of trade.thesis
+   * @returns {Array<{key, count, winRate, expectancyR, totalPnL, avgHoldDays}>} Sorted by total P&L, best first
+   */
+  calculateThesisBreakdown(trades, dimension) {
+    const groups = new Map();
+
+    for (const trade of trades.filter(t => t.status === 'closed')) {
+      let key = trade.thesis?.[dimension] ?? null;
+      if (typeof key === 'string') {
+        key = key.trim() || null;
+      }
+      const groupId = typeof key === 'string' ? key.toLowerCase() : key;
+
+      if (!groups.has(groupId)) {
+        groups.set(groupId, { key, trades: [] });
+      }
+      groups.get(groupId).trades.push(trade);
+    }
+
+    return [...groups.values()]
+      .map(({ key, trades: groupTrades }) => this._summarizeTradeGroup(key, groupTrades))
+      .sort((a, b) => b.totalPnL - a.totalPnL);
+  }
+
+  /**
+   * Per-ticker results across every trade of that symbol
+   * Win rate, P&L and R use realized (closed/trimmed) trades; count and last traded use all trades
+   * @returns {Array<{ticker, trades, realizedTrades, winRate, totalPnL, avgPnL, avgR, lastTraded}>} Unsorted
+   */
+  calculateTickerLeaderboard(trades) {
+    const byTicker = new Map();
+    for (const trade of trades) {
+      const ticker = trade.ticker?.toUpperCase();
+      if (!ticker) continue;
+      if (!byTicker.has(ticker)) byTicker.set(ticker, []);
+      byTicker.get(ticker).push(trade);
+    }
+
+    return [...byTicker.entries()].map(([ticker, tickerTrades]) => {
+      const realized = tickerTrades.filter(t => t.status === 'closed' || t.status === 'trimmed');
+      const pnls = realized.map(t => getTradeRealizedPnL(t));
+      const totalPnL = pnls.reduce((sum, p) => sum + p, 0);
+
+      // Latest entry, trim or exit across the ticker's trades
+      const activityDates = tickerTrades.flatMap(t => [
+        getTradeEntryDateString(t),
+        ...(t.trimHistory || []).map(trim => trim.date),
+        t.exitDate
+      ]).filter(Boolean).map(date => String(date).slice(0, 10));
+
+      return {
+        ticker,
+        trades: tickerTrades.length,
+        realizedTrades: realized.length,
+        winRate: realized.length > 0 ? (pnls.filter(p => p > 0).length / realized.length) * 100 : null,
+        totalPnL,
+        avgPnL: realized.length > 0 ? totalPnL / realized.length : null,
+        avgR: this._average(realized.map(t => this.getTradeRMultiple(t)).filter(r => r !== null)),
+        lastTraded: activityDates.sort().pop() || null
+      };
+    });
+  }
+
+  /**
+   * Summarize closed trades by the weekday they were entered
+   * @returns {Array<{key: number, count, winRate, expectancyR, totalPnL, avgHoldDays}>} key is 0 (Sun) - 6 (Sat), Monday first
+   */
+  calculatePerformanceByWeekday(trades) {
+    return this._groupByEntryDate(trades, date => date.getDay())
+      .sort((a, b) => ((a.key + 6) % 7) - ((b.key + 6) % 7));
+  }
+
+  /**
+   * Summarize closed trades by the calendar month they were entered
+   * @returns {Array<{key: number, count, winRate, expectancyR, totalPnL, avgHoldDays}>} key is 0 (Jan) - 11 (Dec)
+   */
+  calculatePerformanceByMonth(trades) {
+    return this._groupByEntryDate(trades, date => date.getMonth())
+      .sort((a, b) => a.key - b.key);
+  }
+
+  /**
+   * Holding-period stats for closed trades, plus P&L-vs-days points for a scatter plot
+   * @returns {{avgDays, medianDays, longestDays, avgWinnerDays, avgLoserDays, points: Array<{id, ticker, days, pnl}>}}
+   */
+  calculateHoldingPeriods(trades) {
+    const points = trades
+      .filter(t => t.status === 'closed')
+      .map(t => ({ id: t.id, ticker: t.ticker, days: this.getTradeHoldDays(t), pnl: getTradeRealizedPnL(t) }))
+      .filter(point => point.days !== null);
+
+    const days = points.map(p => p.days).sort((a, b) => a - b);
+    const middle = Math.floor(days.length / 2);
+
+    return {
+      avgDays: this._average(days),
+      medianDays: days.length === 0 ? null : (days.length % 2 ? days[middle] : (days[middle - 1] + days[middle]) / 2),
+      longestDays: days.length > 0 ? days[days.length - 1] : null,
+      avgWinnerDays: this._average(points.filter(p => p.pnl > 0).map(p => p.days)),
+      avgLoserDays: this._average(points.filter(p => p.pnl <= 0).map(p => p.days)),
+      points
+    };
+  }
+
+  /**
+   * Group closed trades by a key derived from their entry date and summarize each group
+   */
+  _groupByEntryDate(trades, getKey) {
+    const groups = new Map();
+    for (const trade of trades.filter(t => t.status === 'closed')) {
+      const entryDateStr = getTradeEntryDateString(trade);
+      if (!entryDateStr) continue;
+
+      const key = getKey(this._parseDate(entryDateStr));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(trade);
+    }
+
+    return [...groups.entries()].map(([key, groupTrades]) => this._summarizeTradeGroup(key, groupTrades));
+  }
+
+  /**
+   * Count, win rate, expectancy (R), total P&L and average hold for a group of closed trades
+   */
+  _summarizeTradeGroup(key, trades) {
+    const pnls = trades.map(t => getTradeRealizedPnL(t));
+    const rMultiples = trades.map(t => this.getTradeRMultiple(t)).filter(r => r !== null);
+    const holdDays = trades.map(t => this.getTradeHoldDays(t)).filter(d => d !== null);
+
+    return {
+      key,
+      count: trades.length,
+      winRate: (pnls.filter(p => p > 0).length / trades.length) * 100,
+      expectancyR: this._average(rMultiples),
+      totalPnL: pnls.reduce((sum, p) => sum + p, 0),
+      avgHoldDays: this._average(holdDays)
+    };
+  }
+
+  _average(values) {
+    return values.length > 0
+      ? values.reduce((sum, v) => sum + v, 0) / values.length
+      : null;
+  }
+
+  /**
+   * Bucket realized R-multiples of closed/trimmed trades into 1R-wide bins
+   * Outliers are folded into the open-ended end bins
+   * @returns {Array<{label: string, min: number, max: number, count: number}>}
+   */
+  calculateRDistribution(trades) {
+    const minR = -3;
+    const maxR = 5;
+
+    const buckets = [{ label: `< ${minR}R`, min: -Infinity, max: minR, count: 0 }];
+    for (let r = minR; r < maxR; r++) {
+      buckets.push({ label: `${r} to ${r + 1}R`, min: r, max: r + 1, count: 0 });
+    }
+    buckets.push({ label: `${maxR}R+`, min: maxR, max: Infinity, count: 0 });
+
+    trades
+      .filter(e => e.status === 'closed' || e.status === 'trimmed')
+      .map(t => this.getTradeRMultiple(t))
+      .filter(r => r !== null)
+      .forEach(r => {
+        const bucket = buckets.find(b => r >= b.min && r < b.max);
+        if (bucket) bucket.count++;
+      });
+
+    return buckets;
+  }
+
+  /**
+   * Calculate drawdown analytics from the equity curve
+   * Deposits and withdrawals are backed out first so cash flow never shows up as a drawdown.
+   * Durations are counted in trading days.
+   * @param {Array<{date: string, balance: number}>} curveData - Equity curve sorted by date
+   * @returns {Object} maxDrawdown ($), maxDrawdownPercent, maxDrawdownPeakDate, maxDrawdownTroughDate,
+   *   currentDrawdown ($), currentDrawdownPercent, longestDrawdownDays, recoveryDays (null if the max
+   *   drawdown hasn't recovered), underwater [{date, drawdown, drawdownPercent}]
+   */
+  calculateDrawdown(curveData) {
+    const tradingDaysBetween = (from, to) => Math.max(getBusinessDaysBetween(from, to).length - 1, 0);
+
+    const result = {
+      maxDrawdown: 0,
+      maxDrawdownPercent: 0,
+      maxDrawdownPeakDate: null,
+      maxDrawdownTroughDate: null,
+      currentDrawdown: 0,
+      currentDrawdownPercent: 0,
+      longestDrawdownDays: 0,
+      recoveryDays: null,
+      underwater: []
+    };
+
+    if (!curveData || curveData.length === 0) return result;
+
+    const cumulativeCashFlows = this._getCumulativeCashFlows(curveData);
+    let peak = null; // { equity, balance, date } - equity is balance with cash flow backed out
+    let drawdownStart = null;
+    let maxDrawdownRecovered = true;
+
+    for (const [i, point] of curveData.entries()) {
+      const equity = point.balance - cumulativeCashFlows[i];
+
+      if (!peak || equity >= peak.equity) {
+        // New high: closes out any drawdown in progress
+        if (drawdownStart) {
+          result.longestDrawdownDays = Math.max(result.longestDrawdownDays, tradingDaysBetween(drawdownStart, point.date));
+          if (!maxDrawdownRecovered && result.maxDrawdownPeakDate === drawdownStart) {
+            result.recoveryDays = tradingDaysBetween(result.maxDrawdownTroughDate, point.date);
+            maxDrawdownRecovered = true;
+          }
+          drawdownStart = null;
+        }
+        peak = { equity, balance: point.balance, date: point.date };
+        result.underwater.push({ date: point.date, drawdown: 0, drawdownPercent: 0 });
+        continue;
+      }
+
+      if (!drawdownStart) drawdownStart = peak.date;
+
+      const drawdown = peak.equity - equity;
+      const drawdownPercent = peak.balance > 0 ? (drawdown / peak.balance) * 100 : 0;
+      result.underwater.push({ date: point.date, drawdown: -drawdown, drawdownPercent: -drawdownPercent });
+
+      if (drawdown > result.maxDrawdown) {
+        result.maxDrawdown = drawdown;
+        result.maxDrawdownPercent = drawdownPercent;
+        result.maxDrawdownPeakDate = peak.date;
+        result.maxDrawdownTroughDate = point.date;
+        result.recoveryDays = null;
+        maxDrawdownRecovered = false;
+      }
+    }
+
+    // Drawdown still open at the end of the range
+    const last = result.underwater[result.underwater.length - 1];
+    result.currentDrawdown = -last.drawdown;
+    result.currentDrawdownPercent = -last.drawdownPercent;
+    if (drawdownStart) {
+      result.longestDrawdownDays = Math.max(
+        result.longestDrawdownDays,
+        tradingDaysBetween(drawdownStart, curveData[curveData.length - 1].date)
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare the equity curve against a benchmark's daily closes
+   * Portfolio returns have deposits/withdrawals backed out and are compounded day to day.
+   * Alpha is annualized (252 trading days); beta is cov(portfolio, benchmark) / var(benchmark).
+   * @param {Array<{date: string, balance: number}>} curveData - Equity curve sorted by date
+   * @param {Function} getClose - (dateStr) => benchmark close on or before that date, or null
+   * @returns {Object|null} portfolioReturn, benchmarkReturn, relativeReturn (all %), alpha (%), beta,
+   *   series [{date, balance}] benchmark scaled to the curve's first balance; null without 2 aligned points
+   */
+  calculateBenchmarkComparison(curveData, getClose) {
+    const cumulativeCashFlows = this._getCumulativeCashFlows(curveData);
+    const points = curveData
+      .map((point, i) => ({ ...point, cashFlowToDate: cumulativeCashFlows[i], close: getClose(point.date) }))
+      .filter(point => point.close !== null && point.close !== undefined && point.balance > 0);
+
+    if (points.length < 2) return null;
+
+    const portfolioReturns = [];
+    const benchmarkReturns = [];
+    for (let i = 1; i < points.length; i++) {
+      const prev = points[i - 1];
+      const curr = points[i];
+      const cashFlow = curr.cashFlowToDate - prev.cashFlowToDate;
+      portfolioReturns.push((curr.balance - cashFlow - prev.balance) / prev.balance);
+      benchmarkReturns.push(curr.close / prev.close - 1);
+    }
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const portfolioMean = mean(portfolioReturns);
+    const benchmarkMean = mean(benchmarkReturns);
+
+    let covariance = 0;
+    let benchmarkVariance = 0;
+    for (let i = 0; i < portfolioReturns.length; i++) {
+      covariance += (portfolioReturns[i] - portfolioMean) * (benchmarkReturns[i] - benchmarkMean);
+      benchmarkVariance += Math.pow(benchmarkReturns[i] - benchmarkMean, 2);
+    }
+
+    const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : null;
+    const alpha = beta !== null ? (portfolioMean - beta * benchmarkMean) * 252 * 100 : null;
+
+    const portfolioReturn = (portfolioReturns.reduce((growth, r) => growth * (1 + r), 1) - 1) * 100;
+    const benchmarkReturn = (points[points.length - 1].close / points[0].close - 1) * 100;
+
+    const startBalance = points[0].balance;
+    const startClose = points[0].close;
+
+    return {
+      portfolioReturn,
+      benchmarkReturn,
+      relativeReturn: portfolioReturn - benchmarkReturn,
+      alpha,
+      beta,
+      series: points.map(point => ({ date: point.date, balance: startBalance * (point.close / startClose) }))
+    };
+  }
+
+  /**
+   * Calculate time-weighted return by chaining daily sub-period returns
+   * Each day's cash flow is backed out of its closing balance, so deposits and withdrawals
+   * don't count as performance
+   * @param {Array<{date: string, balance: number}>} curveData - Equity curve sorted by date
+   * @returns {number|null} Return in percent, or null without 2 points
+   */
+  calculateTimeWeightedReturn(curveData) {
+    if (!curveData || curveData.length < 2) return null;
+
+    const cumulativeCashFlows = this._getCumulativeCashFlows(curveData);
+    let growth = 1;
+
+    for (let i = 1; i < curveData.length; i++) {
+      const prevBalance = curveData[i - 1].balance;
+      if (prevBalance <= 0) continue;
+
+      const cashFlow = cumulativeCashFlows[i] - cumulativeCashFlows[i - 1];
+      growth *= (curveData[i].balance - cashFlow) / prevBalance;
+    }
+
+    return (growth - 1) * 100;
+  }
+
+  /**
+   * Calculate money-weighted return (IRR) for a period from its cash flows
+   * Solves sum(flow * (1 + g)^(-t/T)) = 0 for the period growth g by bisection,
+   * treating the start balance and deposits as money in and withdrawals and the end balance as money out
+   * @param {Object} params
+   * @param {string} params.startDate - Period start (YYYY-MM-DD)
+   * @param {number} params.startBalance - Balance at start
+   * @param {string} params.endDate - Period end (YYYY-MM-DD)
+   * @param {number} params.endBalance - Balance at end
+   * @returns {{periodReturn: number, annualizedReturn: number, days: number}|null} Percentages and calendar days, or null if undefined
+   */
+  calculateMoneyWeightedReturn({ startDate, startBalance, endDate, endBalance }) {
+    if (!startDate || !endDate) return null;
+
+    const start = this._parseDate(startDate);
+    const totalDays = (this._parseDate(endDate) - start) / (1000 * 60 * 60 * 24);
+    if (!(startBalance > 0) || totalDays <= 0) return null;
+
+    // Investor's view: money put in is negative, money taken out (or still held) is positive
+    const flows = [{ amount: -startBalance, t: 0 }];
+    for (const tx of state.cashFlow?.transactions || []) {
+      const txDateStr = formatDate(new Date(tx.timestamp));
+      if (txDateStr > endDate) continue;
+      // Cash flow on or before the start is already in the start balance
+      if (txDateStr <= startDate) continue;
+
+      const days = (this._parseDate(txDateStr) - start) / (1000 * 60 * 60 * 24);
+      flows.push({ amount: tx.type === 'deposit' ? -tx.amount : tx.amount, t: days / totalDays });
+    }
+    flows.push({ amount: endBalance, t: 1 });
+
+    const npv = (g) => flows.reduce((sum, f) => sum + f.amount * Math.pow(1 + g, -f.t), 0);
+
+    // NPV is positive near g = -100% and negative for large g whenever money went in
+    let low = -0.9999;
+    let high = 100;
+    if (npv(low) < 0 || npv(high) > 0) return null;
+
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if (npv(mid) > 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    const periodGrowth = (low + high) / 2;
+    return {
+      periodReturn: periodGrowth * 100,
+      annualizedReturn: (Math.pow(1 + periodGrowth, 365 / totalDays) - 1) * 100,
+      days: totalDays
+    };
+  }
+
+  /**
+   * Daily P&L for each trading day in a range, from EOD balances (today from the live curve)
+   * P&L is the change in balance net of that day's deposits and withdrawals
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Array<{date, pnl, cashFlow, incomplete, missingTickers}>} pnl is null when either day's balance is unknown
+   */
+  calculateDailyPnL(startDate, endDate) {
+    const todayStr = formatDate(getCurrentWeekday());
+    const transactions = state.cashFlow?.transactions || [];
+
+    const getDay = (dateStr) => {
+      if (dateStr === todayStr) {
+        const balance = equityCurveManager.getBalanceOnDate(todayStr);
+        return balance !== null ? { balance, incomplete: false } : null;
+      }
+      return eodCacheManager.getEODData(dateStr);
+    };
+
+    const lastDate = endDate < todayStr ? endDate : todayStr;
+    let previous = getDay(getPreviousTradingDay(startDate));
+
+    return getBusinessDaysBetween(startDate, lastDate).map(dateStr => {
+      const day = getDay(dateStr);
+      const cashFlow = accountBalanceCalculator.calculateDayCashFlow(transactions, dateStr);
+      const hasBalances = day && !day.incomplete && previous && !previous.incomplete;
+
+      const result = {
+        date: dateStr,
+        pnl: hasBalances ? day.balance - cashFlow - previous.balance : null,
+        cashFlow,
+        incomplete: !!day?.incomplete,
+        missingTickers: day?.missingTickers || []
+      };
+      previous = day;
+      return result;
+    });
+  }
+
+  /**
+   * Trades entered, trimmed or closed on a date, with the P&L realized that day
+   * @returns {Array<{trade, actions: Array<string>, realizedPnL: number}>}
+   */
+  getTradesForDay(trades, dateStr) {
+    const toDateStr = (value) => value ? String(value).slice(0, 10) : null;
+
+    return trades
+      .map(trade => {
+        const actions = [];
+        if (getTradeEntryDateString(trade) === dateStr) actions.push('entered');
+
+        const dayTrims = (trade.trimHistory || []).filter(trim => toDateStr(trim.date) === dateStr);
+        const closedToday = trade.status === 'closed' && toDateStr(trade.exitDate) === dateStr;
+        if (closedToday) {
+          actions.push('closed');
+        } else if (dayTrims.length > 0) {
+          actions.push('trimmed');
+        }
+
+        return { trade, actions, realizedPnL: getRealizedPnLBetween(trade, dateStr, dateStr) };
+      })
+      .filter(item => item.actions.length > 0);
+  }
+
+  /**
+   * Cumulative net cash flow (deposits - withdrawals) up to and including each curve date
+   * @param {Array<{date: string}>} curveData - Equity curve sorted by date
+   * @returns {Array<number>} One running total per curve point
+   */
+  _getCumulativeCashFlows(curveData) {
+    const transactions = (state.cashFlow?.transactions || [])
+      .map(tx => ({
+        dateStr: formatDate(new Date(tx.timestamp)),
+        amount: tx.type === 'deposit' ? tx.amount : -tx.amount
+      }))
+      .sort((a, b) => a.dateStr.localeCompare(b.dateStr));
+
+    let txIndex = 0;
+    let cumulative = 0;
+    return curveData.map(point => {
+      while (txIndex < transactions.length && transactions[txIndex].dateStr <= point.date) {
+        cumulative += transactions[txIndex].amount;
+        txIndex++;
+      }
+      return cumulative;
+    });
+  }
+
   /**
    * Calculate net cash flow within date range
    */
@@ -204,7 +864,8 @@ export class StatsCalculator {
       pnl: pnl,
       startingBalance: startBalance,
       endingBalance: endBalance,
-      startDateStr: startDateStr
+      startDateStr: startDateStr,
+      endDateStr: endDateStr
     };
   }
 
@@ -5,18 +5,24 @@
 
 import { state } from '../../core/state.js';
 import { showToast } from '../../components/ui/ui.js';
-import { initFlatpickr, getCurrentWeekday } from '../../core/utils.js';
+import { initFlatpickr, getCurrentWeekday, formatSignedCurrency, formatSignedPercent } from '../../core/utils.js';
 import { StatsCalculator } from './StatsCalculator.js';
 import { equityCurveManager } from './EquityCurveManager.js';
 import { DateRangeFilter } from '../../shared/DateRangeFilter.js';
 import { FilterPopup } from '../../shared/FilterPopup.js';
 import { sharedMetrics } from '../../shared/SharedMetrics.js';
 import { EquityChart } from './statsChart.js';
+import { PnLCalendar } from './PnLCalendar.js';
+import { MonteCarloPanel } from './MonteCarloPanel.js';
 import { priceTracker } from '../../core/priceTracker.js';
 import eodCacheManager from '../../core/eodCacheManager.js';
 import accountBalanceCalculator from '../../shared/AccountBalanceCalculator.js';
 import * as marketHours from '../../utils/marketHours.js';
 import { getTradeEntryDateString } from '../../utils/tradeUtils.js';
+import { escapeHtml } from '../../utils/htmlUtils.js';
+import { historicalPricesBatcher } from './HistoricalPricesBatcher.js';
+import { journalView } from '../journal/journalView.js';
+import { viewManager } from '../../components/ui/viewManager.js';
 
 class Stats {
   constructor() {
@@ -51,16 +57,83 @@ class Stats {
       currentAccount: document.getElementById('statCurrentAccount'),
       currentAccountCard: document.getElementById('statCurrentAccountCard'),
       accountChange: document.getElementById('statAccountChange'),
-      tradingGrowth: document.getElementById('statTradingGrowth'),
-      tradingGrowthCard: document.getElementById('statTradingGrowthCard'),
-      totalGrowth: document.getElementById('statTotalGrowth'),
-      totalGrowthCard: document.getElementById('statTotalGrowthCard'),
+      timeWeightedReturn: document.getElementById('statTimeWeightedReturn'),
+      timeWeightedReturnSub: document.getElementById('statTimeWeightedReturnSub'),
+      timeWeightedReturnCard: document.getElementById('statTimeWeightedReturnCard'),
+      moneyWeightedReturn: document.getElementById('statMoneyWeightedReturn'),
+      moneyWeightedReturnSub: document.getElementById('statMoneyWeightedReturnSub'),
+      moneyWeightedReturnCard: document.getElementById('statMoneyWeightedReturnCard'),
       cashFlow: document.getElementById('statCashFlow'),
       cashFlowCard: document.getElementById('statCashFlowCard'),
 
+      // Trade Quality
+      expectancy: document.getElementById('statExpectancy'),
+      expectancyCard: document.getElementById('statExpectancyCard'),
+      expectancyDollars: document.getElementById('statExpectancyDollars'),
+      profitFactor: document.getElementById('statProfitFactor'),
+      payoffRatio: document.getElementById('statPayoffRatio'),
+      avgWinLoss: document.getElementById('statAvgWinLoss'),
+      avgWinLossR: document.getElementById('statAvgWinLossR'),
+      largestWin: document.getElementById('statLargestWin'),
+      largestLoss: document.getElementById('statLargestLoss'),
+      rHistogram: document.getElementById('rHistogram'),
+      rHistogramEmpty: document.getElementById('rHistogramEmpty'),
+      rDistributionCount: document.getElementById('rDistributionCount'),
+
+      // Thesis Breakdown
+      thesisBreakdownToggle: document.getElementById('thesisBreakdownToggle'),
+      thesisBreakdownBody: document.getElementById('thesisBreakdownBody'),
+      thesisBreakdownHeader: document.getElementById('thesisBreakdownHeader'),
+      thesisBreakdownTable: document.getElementById('thesisBreakdownTable'),
+      thesisBreakdownEmpty: document.getElementById('thesisBreakdownEmpty'),
+
+      // Ticker Leaderboard
+      tickerLeaderboard: document.getElementById('tickerLeaderboard'),
+      tickerLeaderboardBody: document.getElementById('tickerLeaderboardBody'),
+      tickerLeaderboardEmpty: document.getElementById('tickerLeaderboardEmpty'),
+      tickerLeaderboardCount: document.getElementById('tickerLeaderboardCount'),
+
+      // Holding Period & Timing
+      avgHold: document.getElementById('statAvgHold'),
+      avgHoldSub: document.getElementById('statAvgHoldSub'),
+      winnerHold: document.getElementById('statWinnerHold'),
+      loserHold: document.getElementById('statLoserHold'),
+      longestHold: document.getElementById('statLongestHold'),
+      holdingScatter: document.getElementById('holdingScatter'),
+      holdingScatterEmpty: document.getElementById('holdingScatterEmpty'),
+      timingBreakdownToggle: document.getElementById('timingBreakdownToggle'),
+      timingBreakdownBody: document.getElementById('timingBreakdownBody'),
+      timingBreakdownHeader: document.getElementById('timingBreakdownHeader'),
+      timingBreakdownTable: document.getElementById('timingBreakdownTable'),
+      timingBreakdownEmpty: document.getElementById('timingBreakdownEmpty'),
+
+      // Drawdown
+      maxDrawdown: document.getElementById('statMaxDrawdown'),
+      maxDrawdownCard: document.getElementById('statMaxDrawdownCard'),
+      maxDrawdownPercent: document.getElementById('statMaxDrawdownPercent'),
+      currentDrawdown: document.getElementById('statCurrentDrawdown'),
+      currentDrawdownCard: document.getElementById('statCurrentDrawdownCard'),
+      currentDrawdownDollars: document.getElementById('statCurrentDrawdownDollars'),
+      longestDrawdown: document.getElementById('statLongestDrawdown'),
+      recoveryTime: document.getElementById('statRecoveryTime'),
+      recoverySub: document.getElementById('statRecoverySub'),
+
+      // Benchmark
+      benchmarkLabel: document.getElementById('statBenchmarkLabel'),
+      benchmarkReturn: document.getElementById('statBenchmarkReturn'),
+      benchmarkReturnCard: document.getElementById('statBenchmarkReturnCard'),
+      benchmarkSub: document.getElementById('statBenchmarkSub'),
+      relativeReturn: document.getElementById('statRelativeReturn'),
+      relativeReturnCard: document.getElementById('statRelativeReturnCard'),
+      relativeReturnSub: document.getElementById('statRelativeReturnSub'),
+      alpha: document.getElementById('statAlpha'),
+      alphaCard: document.getElementById('statAlphaCard'),
+      beta: document.getElementById('statBeta'),
+
       // Chart
       chartValue: document.getElementById('statChartValue'),
       chartLoading: document.getElementById('equityChartLoading'),
+      chartModeToggle: document.getElementById('equityChartModeToggle'),
 
       // Filter elements
       dateRange: document.getElementById('statsDateRange'),
@@ -80,6 +153,69 @@ class Stats {
     this.chart = new EquityChart();
     this.chart.init();
 
+    // Ticker leaderboard: header sorts, row opens the journal filtered to that ticker
+    this.leaderboardSort = { column: 'totalPnL', direction: 'desc' };
+    this.elements.tickerLeaderboard?.addEventListener('click', (e) => {
+      const th = e.target.closest('th[data-sort]');
+      if (th) {
+        const column = th.dataset.sort;
+        this.leaderboardSort = {
+          column,
+          direction: this.leaderboardSort.column === column && this.leaderboardSort.direction === 'desc' ? 'asc' : 'desc'
+        };
+        this.renderTickerLeaderboard();
+        return;
+      }
+
+      const row = e.target.closest('tr[data-ticker]');
+      if (row) {
+        journalView.setTickerFilter(row.dataset.ticker);
+        viewManager.navigateTo('journal');
+      }
+    });
+
+    // Weekday / month toggle
+    this.timingDimension = 'weekday';
+    this.elements.timingBreakdownToggle?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-timing-dimension]');
+      if (!btn) return;
+      this.elements.timingBreakdownToggle.querySelectorAll('[data-timing-dimension]').forEach(b => {
+        b.classList.toggle('period-selector__btn--active', b === btn);
+      });
+      this.timingDimension = btn.dataset.timingDimension;
+      this.renderTimingBreakdown();
+    });
+
+    // Daily P&L calendar
+    this.pnlCalendar = new PnLCalendar(this.calculator);
+    this.pnlCalendar.init();
+
+    // Monte Carlo projection
+    this.monteCarlo = new MonteCarloPanel(this.calculator);
+    this.monteCarlo.init();
+
+    // Equity / underwater toggle
+    this.elements.chartModeToggle?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-chart-mode]');
+      if (!btn) return;
+      this.elements.chartModeToggle.querySelectorAll('[data-chart-mode]').forEach(b => {
+        b.classList.toggle('period-selector__btn--active', b === btn);
+      });
+      this.chart.setMode(btn.dataset.chartMode);
+    });
+
+    // Setup / theme / conviction toggle (all three are calculated, so just re-render)
+    this.thesisDimension = 'setupType';
+    this.elements.thesisBreakdownToggle?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-thesis-dimension]');
+      if (!btn) return;
+      this.elements.thesisBreakdownToggle.querySelectorAll('[data-thesis-dimension]').forEach(b => {
+        b.classList.toggle('period-selector__btn--active', b === btn);
+      });
+      this.thesisDimension = btn.dataset.thesisDimension;
+      this.renderThesisBreakdown();
+    });
+
     // Listen for journal changes - use SMART invalidation for specific trades
     state.on('journalEntryAdded', (entry) => {
       try {
@@ -150,9 +286,13 @@ class Stats {
         }
       }
     });
-    state.on('settingsChanged', () => {
-      // Settings changed - affects all days (could be starting balance, etc.)
-      eodCacheManager.clearAllData();
+    let lastStartingAccountSize = state.settings.startingAccountSize;
+    state.on('settingsChanged', (settings) => {
+      // Only the starting balance changes stored EOD balances (benchmark, theme, etc. don't)
+      if (settings.startingAccountSize !== lastStartingAccountSize) {
+        lastStartingAccountSize = settings.startingAccountSize;
+        eodCacheManager.clearAllData();
+      }
       // Only refresh if currently on stats page
       if (state.ui.currentView === 'stats') {
         this.refresh();
@@ -329,6 +469,7 @@ class Stats {
 
     // Update filters
     this.filters.setFilter(dateFrom, dateTo);
+    this.pnlCalendar?.showMonth(dateTo || todayStr);
 
     // Update filter count badge (0 to hide, 1 if date filter active AND not Max preset)
     const hasFilters = (dateFrom || dateTo) && !this.filters.isMaxPreset();
@@ -377,6 +518,8 @@ class Stats {
       await this.calculate();
       this.render();
       await this.renderEquityCurve();
+      this.renderPnLCalendar();
+      this.monteCarlo.setData(this.stats.rMultiples, this.stats.currentAccount);
     } catch (error) {
       console.error('Error refreshing stats:', error);
       showToast('Error calculating stats', 'error');
@@ -391,7 +534,10 @@ class Stats {
     const filterState = this.filters.getActiveFilter();
 
     // Build equity curve FIRST to ensure cache is up to date for P&L calculation
-    await equityCurveManager.buildEquityCurve(filterState.dateFrom, filterState.dateTo);
+    const curveObject = await equityCurveManager.buildEquityCurve(filterState.dateFrom, filterState.dateTo);
+    const curveData = this.toCurveData(curveObject);
+    const drawdown = this.calculator.calculateDrawdown(curveData);
+    const benchmark = await this.calculateBenchmark(curveData);
 
     // Get filtered trades
     const filteredTrades = this.filters.getFilteredTrades(allEntries);
@@ -403,6 +549,23 @@ class Stats {
     const winsLosses = this.calculator.calculateWinsLosses(filteredTrades);
     const winRate = this.calculator.calculateWinRate(filteredTrades);
     const sharpe = this.calculator.calculateSharpeRatio(filteredTrades);
+    const tradeQuality = this.calculator.calculateTradeQuality(filteredTrades);
+    const rDistribution = this.calculator.calculateRDistribution(filteredTrades);
+    const rMultiples = filteredTrades
+      .filter(t => t.status === 'closed' || t.status === 'trimmed')
+      .map(t => this.calculator.getTradeRMultiple(t))
+      .filter(r => r !== null);
+    const thesisBreakdown = {
+      setupType: this.calculator.calculateThesisBreakdown(filteredTrades, 'setupType'),
+      theme: this.calculator.calculateThesisBreakdown(filteredTrades, 'theme'),
+      conviction: this.calculator.calculateThesisBreakdown(filteredTrades, 'conviction')
+    };
+    const holdingPeriods = this.calculator.calculateHoldingPeriods(filteredTrades);
+    const tickerLeaderboard = await this.calculateTickerLeaderboard(filteredTrades);
+    const timingBreakdown = {
+      weekday: this.calculator.calculatePerformanceByWeekday(filteredTrades),
+      month: this.calculator.calculatePerformanceByMonth(filteredTrades)
+    };
     const netCashFlow = this.calculator.calculateNetCashFlow(filterState.dateFrom, filterState.dateTo);
 
     // Calculate deposits and withdrawals separately for breakdown display
@@ -435,14 +598,27 @@ class Stats {
     // Calculate P&L using NEW simplified approach (equity curve lookup)
     const pnlResult = this.calculator.calculatePnL(filterState.dateFrom, filterState.dateTo);
 
-    // Calculate percentages
-    const tradingGrowth = pnlResult.startingBalance > 0
-      ? (pnlResult.pnl / pnlResult.startingBalance) * 100
-      : 0;
-
-    const totalGrowth = pnlResult.startingBalance > 0
-      ? ((pnlResult.pnl + netCashFlow) / pnlResult.startingBalance) * 100
-      : 0;
+    // Returns: chain from the balance before the range so the first day counts too.
+    // Unfiltered, the start balance is the starting account size on the first trade day, which
+    // excludes all cash flow, so start the day before with the cash flow up to then added in
+    let returnStart = { date: pnlResult.startDateStr, balance: pnlResult.startingBalance };
+    if (!filterState.dateFrom || filterState.dateFrom === pnlResult.startDateStr) {
+      const dayBeforeStr = marketHours.getPreviousTradingDay(pnlResult.startDateStr);
+      returnStart = {
+        date: dayBeforeStr,
+        balance: pnlResult.startingBalance + this.calculator.calculateNetCashFlow(null, dayBeforeStr)
+      };
+    }
+    const returnCurve = curveData.length > 0 && curveData[0].date > returnStart.date
+      ? [returnStart, ...curveData]
+      : curveData;
+    const timeWeightedReturn = this.calculator.calculateTimeWeightedReturn(returnCurve);
+    const moneyWeightedReturn = this.calculator.calculateMoneyWeightedReturn({
+      startDate: returnStart.date,
+      startBalance: returnStart.balance,
+      endDate: pnlResult.endDateStr,
+      endBalance: pnlResult.endingBalance
+    });
 
     // Store results
     this.stats = {
@@ -457,14 +633,54 @@ class Stats {
       totalPnL: pnlResult.pnl,
       accountAtRangeStart: pnlResult.startingBalance,
       accountAtRangeStartDate: pnlResult.startDateStr,
-      tradingGrowth,
-      totalGrowth,
+      timeWeightedReturn,
+      moneyWeightedReturn,
       netCashFlow,
       deposits,
-      withdrawals
+      withdrawals,
+      tradeQuality,
+      rDistribution,
+      rMultiples,
+      thesisBreakdown,
+      holdingPeriods,
+      timingBreakdown,
+      tickerLeaderboard,
+      drawdown,
+      benchmark
     };
   }
 
+  /**
+   * Ticker leaderboard rows with industry from the cached company profiles (no API calls)
+   */
+  async calculateTickerLeaderboard(trades) {
+    const rows = this.calculator.calculateTickerLeaderboard(trades);
+    const profiles = await Promise.all(rows.map(row => priceTracker.getCachedCompanyData(row.ticker)));
+    return rows.map((row, i) => ({ ...row, industry: profiles[i]?.industry || '' }));
+  }
+
+  /**
+   * Fetch benchmark closes for the curve's range and compare
+   * @returns {Promise<Object|null>} { ticker, ...comparison } (comparison fields missing if no data), or null if disabled
+   */
+  async calculateBenchmark(curveData) {
+    const ticker = state.settings.benchmarkTicker;
+    if (!ticker || curveData.length < 2) return null;
+
+    try {
+      const startDate = historicalPricesBatcher.clampToFetchableRange(curveData[0].date);
+      await historicalPricesBatcher.batchFetchPrices([ticker], null, { [ticker]: startDate });
+    } catch (error) {
+      console.error(`[Stats] Failed to fetch benchmark prices for ${ticker}:`, error);
+    }
+
+    const comparison = this.calculator.calculateBenchmarkComparison(
+      curveData,
+      (dateStr) => historicalPricesBatcher.getPriceOnDate(ticker, dateStr)
+    );
+    return { ticker, ...comparison };
+  }
+
   render() {
     const s = this.stats;
 
@@ -519,38 +735,6 @@ class Stats {
       this.elements.accountChange.innerHTML = `From starting <span class="stat-card__sub--highlight">$${this.formatNumber(s.accountAtRangeStart)}</span> on ${startDate}`;
     }
 
-    // Trading Growth %
-    if (this.elements.tradingGrowth) {
-      const isPositive = s.tradingGrowth >= 0;
-      this.elements.tradingGrowth.textContent = isPositive
-        ? `+${s.tradingGrowth.toFixed(2)}%`
-        : `${s.tradingGrowth.toFixed(2)}%`;
-      this.elements.tradingGrowthCard?.classList.toggle('stat-card--success', isPositive && s.tradingGrowth !== 0);
-      this.elements.tradingGrowthCard?.classList.toggle('stat-card--danger', !isPositive);
-    }
-
-    // Trading Growth % subtitle
-    const tradingGrowthSub = this.elements.tradingGrowthCard?.querySelector('.stat-card__sub');
-    if (tradingGrowthSub) {
-      tradingGrowthSub.textContent = 'P&L / starting';
-    }
-
-    // Total Growth %
-    if (this.elements.totalGrowth) {
-      const isPositive = s.totalGrowth >= 0;
-      this.elements.totalGrowth.textContent = isPositive
-        ? `+${s.totalGrowth.toFixed(2)}%`
-        : `${s.totalGrowth.toFixed(2)}%`;
-      this.elements.totalGrowthCard?.classList.toggle('stat-card--success', isPositive && s.totalGrowth !== 0);
-      this.elements.totalGrowthCard?.classList.toggle('stat-card--danger', !isPositive);
-    }
-
-    // Total Growth % subtitle
-    const totalGrowthSub = this.elements.totalGrowthCard?.querySelector('.stat-card__sub');
-    if (totalGrowthSub) {
-      totalGrowthSub.textContent = '(P&L + Net Cash Flow) / starting';
-    }
-
     // Net Cash Flow
     if (this.elements.cashFlow) {
       const isPositive = s.netCashFlow >= 0;
@@ -560,6 +744,419 @@ class Stats {
       this.elements.cashFlowCard?.classList.toggle('stat-card--success', isPositive && s.netCashFlow !== 0);
       this.elements.cashFlowCard?.classList.toggle('stat-card--danger', !isPositive);
     }
+
+    this.renderReturns();
+    this.renderTradeQuality();
+    this.renderRDistribution();
+    this.renderThesisBreakdown();
+    this.renderHoldingPeriods();
+    this.renderTimingBreakdown();
+    this.renderTickerLeaderboard();
+    this.renderDrawdown();
+    this.renderBenchmark();
+  }
+
+  renderPnLCalendar() {
+    try {
+      this.pnlCalendar?.render();
+    } catch (error) {
+      console.error('Error rendering P&L calendar:', error);
+    }
+  }
+
+  renderReturns() {
+    const s = this.stats;
+    const setCardState = (card, value) => {
+      card?.classList.toggle('stat-card--success', value > 0);
+      card?.classList.toggle('stat-card--danger', value < 0);
+    };
+
+    const twr = s.timeWeightedReturn;
+    if (this.elements.timeWeightedReturn) {
+      this.elements.timeWeightedReturn.textContent = twr !== null ? formatSignedPercent(twr) : '—';
+    }
+    if (this.elements.timeWeightedReturnSub) {
+      this.elements.timeWeightedReturnSub.textContent = twr !== null
+        ? 'Daily returns chained, cash flow excluded'
+        : 'Needs at least 2 days of history';
+    }
+    setCardState(this.elements.timeWeightedReturnCard, twr ?? 0);
+
+    const mwr = s.moneyWeightedReturn;
+    if (this.elements.moneyWeightedReturn) {
+      this.elements.moneyWeightedReturn.textContent = mwr ? formatSignedPercent(mwr.periodReturn) : '—';
+    }
+    if (this.elements.moneyWeightedReturnSub) {
+      // Annualizing a few weeks compounds into meaningless numbers
+      if (!mwr) {
+        this.elements.moneyWeightedReturnSub.textContent = 'Needs a starting balance and 2+ days';
+      } else if (mwr.days >= 365) {
+        this.elements.moneyWeightedReturnSub.innerHTML = `IRR <span class="stat-card__sub--highlight">${formatSignedPercent(mwr.annualizedReturn)}</span> annualized`;
+      } else {
+        this.elements.moneyWeightedReturnSub.textContent = 'IRR for the range, weighted by cash flow timing';
+      }
+    }
+    setCardState(this.elements.moneyWeightedReturnCard, mwr?.periodReturn ?? 0);
+  }
+
+  renderBenchmark() {
+    const b = this.stats.benchmark;
+    const hasData = typeof b?.benchmarkReturn === 'number';
+
+    if (this.elements.benchmarkLabel) {
+      this.elements.benchmarkLabel.textContent = b ? `${b.ticker} Return` : 'Benchmark Return';
+    }
+    if (this.elements.benchmarkSub) {
+      if (!b) {
+        this.elements.benchmarkSub.textContent = 'Choose a benchmark in Settings';
+      } else if (!hasData) {
+        this.elements.benchmarkSub.textContent = 'No price data - check your daily candle source';
+      } else {
+        this.elements.benchmarkSub.textContent = 'Over the selected range';
+      }
+    }
+
+    if (this.elements.benchmarkReturn) {
+      this.elements.benchmarkReturn.textContent = hasData ? formatSignedPercent(b.benchmarkReturn) : '—';
+      this.elements.benchmarkReturnCard?.classList.toggle('stat-card--success', hasData && b.benchmarkReturn > 0);
+      this.elements.benchmarkReturnCard?.classList.toggle('stat-card--danger', hasData && b.benchmarkReturn < 0);
+    }
+
+    if (this.elements.relativeReturn) {
+      this.elements.relativeReturn.textContent = hasData ? formatSignedPercent(b.relativeReturn) : '—';
+      this.elements.relativeReturnCard?.classList.toggle('stat-card--success', hasData && b.relativeReturn > 0);
+      this.elements.relativeReturnCard?.classList.toggle('stat-card--danger', hasData && b.relativeReturn < 0);
+    }
+    if (this.elements.relativeReturnSub) {
+      this.elements.relativeReturnSub.innerHTML = hasData
+        ? `You <span class="stat-card__sub--highlight">${formatSignedPercent(b.portfolioReturn)}</span> vs ${b.ticker}`
+        : 'Your return - benchmark';
+    }
+
+    if (this.elements.alpha) {
+      const hasAlpha = hasData && b.alpha !== null;
+      this.elements.alpha.textContent = hasAlpha ? formatSignedPercent(b.alpha) : '—';
+      this.elements.alphaCard?.classList.toggle('stat-card--success', hasAlpha && b.alpha > 0);
+      this.elements.alphaCard?.classList.toggle('stat-card--danger', hasAlpha && b.alpha < 0);
+    }
+
+    if (this.elements.beta) {
+      this.elements.beta.textContent = hasData && b.beta !== null ? b.beta.toFixed(2) : '—';
+    }
+  }
+
+  renderDrawdown() {
+    const d = this.stats.drawdown;
+    if (!d) return;
+
+    // Max Drawdown
+    if (this.elements.maxDrawdown) {
+      this.elements.maxDrawdown.textContent = d.maxDrawdown > 0 ? `-$${this.formatNumber(d.maxDrawdown)}` : '$0.00';
+      this.elements.maxDrawdownCard?.classList.toggle('stat-card--danger', d.maxDrawdown > 0);
+    }
+    if (this.elements.maxDrawdownPercent) {
+      this.elements.maxDrawdownPercent.innerHTML = d.maxDrawdown > 0
+        ? `<span class="stat-card__sub--danger">-${d.maxDrawdownPercent.toFixed(2)}%</span> from ${this.formatDateDisplay(d.maxDrawdownPeakDate)}`
+        : 'Peak to trough';
+    }
+
+    // Current Drawdown
+    if (this.elements.currentDrawdown) {
+      this.elements.currentDrawdown.textContent = d.currentDrawdown > 0 ? `-${d.currentDrawdownPercent.toFixed(2)}%` : '0.00%';
+      this.elements.currentDrawdownCard?.classList.toggle('stat-card--danger', d.currentDrawdown > 0);
+    }
+    if (this.elements.currentDrawdownDollars) {
+      this.elements.currentDrawdownDollars.innerHTML = d.currentDrawdown > 0
+        ? `<span class="stat-card__sub--danger">-$${this.formatNumber(d.currentDrawdown)}</span> below peak`
+        : 'At equity high';
+    }
+
+    // Longest Drawdown
+    if (this.elements.longestDrawdown) {
+      this.elements.longestDrawdown.textContent = `${d.longestDrawdownDays} day${d.longestDrawdownDays !== 1 ? 's' : ''}`;
+    }
+
+    // Recovery Time (from the max drawdown's trough)
+    if (this.elements.recoveryTime) {
+      if (d.maxDrawdown === 0) {
+        this.elements.recoveryTime.textContent = '—';
+      } else if (d.recoveryDays === null) {
+        this.elements.recoveryTime.textContent = 'Ongoing';
+      } else {
+        this.elements.recoveryTime.textContent = `${d.recoveryDays} day${d.recoveryDays !== 1 ? 's' : ''}`;
+      }
+    }
+    if (this.elements.recoverySub) {
+      this.elements.recoverySub.textContent = d.maxDrawdown > 0 && d.recoveryDays === null
+        ? `Trough on ${this.formatDateDisplay(d.maxDrawdownTroughDate)}`
+        : 'Trough to new high';
+    }
+  }
+
+  renderTradeQuality() {
+    const q = this.stats.tradeQuality;
+    if (!q) return;
+
+    const formatSignedR = (value) => value === null
+      ? '—'
+      : `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+
+    // Expectancy (R with $ subtitle)
+    if (this.elements.expectancy) {
+      this.elements.expectancy.textContent = formatSignedR(q.expectancyR);
+      this.elements.expectancyCard?.classList.toggle('stat-card--success', q.expectancyR > 0);
+      this.elements.expectancyCard?.classList.toggle('stat-card--danger', q.expectancyR !== null && q.expectancyR < 0);
+    }
+    if (this.elements.expectancyDollars) {
+      this.elements.expectancyDollars.innerHTML = q.expectancy !== null
+        ? `<span class="stat-card__sub--highlight">${formatSignedCurrency(q.expectancy)}</span> per trade`
+        : 'Average R per trade';
+    }
+
+    // Profit Factor & Payoff Ratio
+    if (this.elements.profitFactor) {
+      this.elements.profitFactor.textContent = q.profitFactor === null
+        ? '—'
+        : (q.profitFactor === Infinity ? '∞' : q.profitFactor.toFixed(2));
+    }
+    if (this.elements.payoffRatio) {
+      this.elements.payoffRatio.innerHTML = q.payoffRatio !== null
+        ? `Payoff ratio <span class="stat-card__sub--highlight">${q.payoffRatio.toFixed(2)}</span>`
+        : 'Gross profit / gross loss';
+    }
+
+    // Average Win / Loss
+    if (this.elements.avgWinLoss) {
+      this.elements.avgWinLoss.textContent = q.avgWin === null && q.avgLoss === null
+        ? '—'
+        : `${formatSignedCurrency(q.avgWin)} / ${formatSignedCurrency(q.avgLoss)}`;
+    }
+    if (this.elements.avgWinLossR) {
+      this.elements.avgWinLossR.innerHTML = `<span class="stat-card__sub--success">${formatSignedR(q.avgWinR)}</span> · <span class="stat-card__sub--danger">${formatSignedR(q.avgLossR)}</span>`;
+    }
+
+    // Largest Win / Loss
+    if (this.elements.largestWin) {
+      this.elements.largestWin.textContent = formatSignedCurrency(q.largestWin);
+    }
+    if (this.elements.largestLoss) {
+      this.elements.largestLoss.innerHTML = `Largest loss <span class="stat-card__sub--danger">${formatSignedCurrency(q.largestLoss)}</span>`;
+    }
+  }
+
+  renderRDistribution() {
+    const buckets = this.stats.rDistribution;
+    if (!buckets || !this.elements.rHistogram) return;
+
+    const total = buckets.reduce((sum, b) => sum + b.count, 0);
+    const maxCount = Math.max(...buckets.map(b => b.count), 1);
+
+    this.elements.rHistogram.style.display = total > 0 ? '' : 'none';
+    if (this.elements.rHistogramEmpty) {
+      this.elements.rHistogramEmpty.style.display = total > 0 ? 'none' : 'flex';
+    }
+    if (this.elements.rDistributionCount) {
+      this.elements.rDistributionCount.textContent = total > 0 ? `${total} trade${total !== 1 ? 's' : ''}` : '';
+    }
+
+    this.elements.rHistogram.innerHTML = buckets.map(bucket => `
+      <div class="r-histogram__bar ${bucket.max <= 0 ? 'r-histogram__bar--loss' : ''}" title="${bucket.label}: ${bucket.count} trade${bucket.count !== 1 ? 's' : ''}">
+        <span class="r-histogram__count">${bucket.count || ''}</span>
+        <div class="r-histogram__track">
+          <div class="r-histogram__fill" style="height: ${(bucket.count / maxCount) * 100}%;"></div>
+        </div>
+        <span class="r-histogram__label">${bucket.label}</span>
+      </div>
+    `).join('');
+  }
+
+  renderThesisBreakdown() {
+    const rows = this.stats.thesisBreakdown?.[this.thesisDimension];
+    if (!rows) return;
+
+    const headers = { setupType: 'Setup', theme: 'Theme', conviction: 'Conviction' };
+    const setupLabels = {
+      'ep': 'EP',
+      'long-term': 'Long-term',
+      'base': 'Base',
+      'breakout': 'Breakout',
+      'bounce': 'Bounce',
+      'other': 'Other'
+    };
+    const formatKey = (key) => {
+      if (key === null) return '<span class="stats-table__none">Not set</span>';
+      if (this.thesisDimension === 'conviction') return '★'.repeat(key);
+      if (this.thesisDimension === 'setupType') return setupLabels[key] || escapeHtml(key);
+      return escapeHtml(key);
+    };
+
+    if (this.elements.thesisBreakdownHeader) {
+      this.elements.thesisBreakdownHeader.textContent = headers[this.thesisDimension];
+    }
+    this.renderGroupTable({
+      rows,
+      formatKey,
+      table: this.elements.thesisBreakdownTable,
+      body: this.elements.thesisBreakdownBody,
+      empty: this.elements.thesisBreakdownEmpty
+    });
+  }
+
+  renderTimingBreakdown() {
+    const rows = this.stats.timingBreakdown?.[this.timingDimension];
+    if (!rows) return;
+
+    const isWeekday = this.timingDimension === 'weekday';
+    const labels = isWeekday
+      ? ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+      : ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+    if (this.elements.timingBreakdownHeader) {
+      this.elements.timingBreakdownHeader.textContent = isWeekday ? 'Entry Day' : 'Entry Month';
+    }
+    this.renderGroupTable({
+      rows,
+      formatKey: (key) => labels[key],
+      table: this.elements.timingBreakdownTable,
+      body: this.elements.timingBreakdownBody,
+      empty: this.elements.timingBreakdownEmpty
+    });
+  }
+
+  /**
+   * Render grouped trade summaries (count, win rate, expectancy, P&L, hold) into a stats table
+   */
+  renderGroupTable({ rows, formatKey, table, body, empty }) {
+    if (!body) return;
+
+    if (table) table.style.display = rows.length > 0 ? '' : 'none';
+    if (empty) empty.style.display = rows.length > 0 ? 'none' : 'flex';
+
+    body.innerHTML = rows.map(row => {
+      const pnlClass = row.totalPnL > 0 ? 'stats-table__cell--success' : (row.totalPnL < 0 ? 'stats-table__cell--danger' : '');
+      const rClass = row.expectancyR > 0 ? 'stats-table__cell--success' : (row.expectancyR < 0 ? 'stats-table__cell--danger' : '');
+
+      return `
+        <tr>
+          <td class="stats-table__key">${formatKey(row.key)}</td>
+          <td>${row.count}</td>
+          <td>${row.winRate.toFixed(0)}%</td>
+          <td class="${rClass}">${row.expectancyR === null ? '—' : `${row.expectancyR >= 0 ? '+' : ''}${row.expectancyR.toFixed(2)}R`}</td>
+          <td class="${pnlClass}">${row.totalPnL >= 0 ? '+' : '-'}$${this.formatNumber(row.totalPnL)}</td>
+          <td>${row.avgHoldDays === null ? '—' : `${row.avgHoldDays.toFixed(1)}d`}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  renderTickerLeaderboard() {
+    const rows = this.stats.tickerLeaderboard;
+    if (!rows || !this.elements.tickerLeaderboardBody) return;
+
+    const { column, direction } = this.leaderboardSort;
+    const sign = direction === 'asc' ? 1 : -1;
+    const sorted = [...rows].sort((a, b) => {
+      const aVal = a[column];
+      const bVal = b[column];
+      // Missing values always sort last
+      if (aVal === null || aVal === '') return 1;
+      if (bVal === null || bVal === '') return -1;
+      if (typeof aVal === 'string') return aVal.localeCompare(bVal) * sign;
+      return (aVal - bVal) * sign;
+    });
+
+    this.elements.tickerLeaderboard?.querySelectorAll('th[data-sort]').forEach(th => {
+      th.classList.remove('sort-asc', 'sort-desc');
+      if (th.dataset.sort === column) {
+        th.classList.add(direction === 'asc' ? 'sort-asc' : 'sort-desc');
+      }
+    });
+
+    this.elements.tickerLeaderboard.style.display = rows.length > 0 ? '' : 'none';
+    if (this.elements.tickerLeaderboardEmpty) {
+      this.elements.tickerLeaderboardEmpty.style.display = rows.length > 0 ? 'none' : 'flex';
+    }
+    if (this.elements.tickerLeaderboardCount) {
+      this.elements.tickerLeaderboardCount.textContent = rows.length > 0 ? `${rows.length} ticker${rows.length !== 1 ? 's' : ''}` : '';
+    }
+
+    const valueClass = (value) => value > 0 ? 'stats-table__cell--success' : (value < 0 ? 'stats-table__cell--danger' : '');
+
+    this.elements.tickerLeaderboardBody.innerHTML = sorted.map(row => `
+      <tr data-ticker="${escapeHtml(row.ticker)}" title="Show ${escapeHtml(row.ticker)} trades in the journal">
+        <td class="stats-table__key"><strong>${escapeHtml(row.ticker)}</strong></td>
+        <td class="stats-table__muted">${escapeHtml(row.industry) || '—'}</td>
+        <td>${row.trades}</td>
+        <td>${row.winRate === null ? '—' : `${row.winRate.toFixed(0)}%`}</td>
+        <td class="${valueClass(row.totalPnL)}">${row.realizedTrades > 0 ? formatSignedCurrency(row.totalPnL) : '—'}</td>
+        <td class="${valueClass(row.avgPnL)}">${formatSignedCurrency(row.avgPnL)}</td>
+        <td class="${valueClass(row.avgR)}">${row.avgR === null ? '—' : `${row.avgR >= 0 ? '+' : ''}${row.avgR.toFixed(2)}R`}</td>
+        <td>${row.lastTraded ? this.formatDateDisplay(row.lastTraded) : '—'}</td>
+      </tr>
+    `).join('');
+  }
+
+  renderHoldingPeriods() {
+    const h = this.stats.holdingPeriods;
+    if (!h) return;
+
+    const formatDays = (days) => days === null ? '—' : `${days.toFixed(1)}d`;
+
+    if (this.elements.avgHold) {
+      this.elements.avgHold.textContent = formatDays(h.avgDays);
+    }
+    if (this.elements.avgHoldSub) {
+      this.elements.avgHoldSub.innerHTML = h.medianDays !== null
+        ? `Median <span class="stat-card__sub--highlight">${formatDays(h.medianDays)}</span>`
+        : 'Calendar days, share-weighted';
+    }
+    if (this.elements.winnerHold) {
+      this.elements.winnerHold.textContent = formatDays(h.avgWinnerDays);
+    }
+    if (this.elements.loserHold) {
+      this.elements.loserHold.textContent = formatDays(h.avgLoserDays);
+    }
+    if (this.elements.longestHold) {
+      this.elements.longestHold.textContent = formatDays(h.longestDays);
+    }
+
+    this.renderHoldingScatter(h.points);
+  }
+
+  /**
+   * P&L vs days held, one dot per closed trade (positioned in % so dots stay round)
+   */
+  renderHoldingScatter(points) {
+    const container = this.elements.holdingScatter;
+    if (!container) return;
+
+    container.style.display = points.length > 0 ? '' : 'none';
+    if (this.elements.holdingScatterEmpty) {
+      this.elements.holdingScatterEmpty.style.display = points.length > 0 ? 'none' : 'flex';
+    }
+    if (points.length === 0) return;
+
+    const maxDays = Math.max(...points.map(p => p.days), 1);
+    const maxPnL = Math.max(...points.map(p => p.pnl), 0);
+    const minPnL = Math.min(...points.map(p => p.pnl), 0);
+    const pnlRange = maxPnL - minPnL || 1;
+    const top = (pnl) => ((maxPnL - pnl) / pnlRange) * 100;
+
+    const dots = points.map(p => `
+      <span class="holding-scatter__dot ${p.pnl > 0 ? 'holding-scatter__dot--win' : 'holding-scatter__dot--loss'}"
+            style="left: ${(p.days / maxDays) * 100}%; top: ${top(p.pnl)}%;"
+            title="${p.ticker}: ${formatSignedCurrency(p.pnl)} over ${p.days.toFixed(1)}d"></span>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="holding-scatter__plot">
+        <div class="holding-scatter__zero" style="top: ${top(0)}%;"></div>
+        ${dots}
+      </div>
+      <span class="holding-scatter__axis holding-scatter__axis--top">${formatSignedCurrency(maxPnL)}</span>
+      <span class="holding-scatter__axis holding-scatter__axis--bottom">${formatSignedCurrency(minPnL)}</span>
+      <span class="holding-scatter__axis holding-scatter__axis--right">${maxDays.toFixed(0)}d held</span>
+    `;
   }
 
   async renderEquityCurve() {
@@ -583,18 +1180,11 @@ class Stats {
       );
 
       // Convert object to array format for chart
-      const curveData = Object.entries(curveObject)
-        .map(([date, data]) => ({
-          date,
-          balance: data.balance,
-          realizedBalance: data.realizedBalance,
-          unrealizedPnL: data.unrealizedPnL,
-          dayPnL: data.dayPnL,
-          cashFlow: data.cashFlow
-        }))
-        .sort((a, b) => a.date.localeCompare(b.date));
+      const curveData = this.toCurveData(curveObject);
 
       this.chart.setData(curveData);
+      this.chart.setUnderwaterData(this.calculator.calculateDrawdown(curveData).underwater);
+      this.chart.setBenchmarkData(this.stats.benchmark?.series || null, this.stats.benchmark?.ticker);
       this.chart.render();
 
       // Update chart value display
@@ -614,6 +1204,22 @@ class Stats {
     }
   }
 
+  /**
+   * Convert equity curve object { date: point } to a date-sorted array
+   */
+  toCurveData(curveObject) {
+    return Object.entries(curveObject)
+      .map(([date, data]) => ({
+        date,
+        balance: data.balance,
+        realizedBalance: data.realizedBalance,
+        unrealizedPnL: data.unrealizedPnL,
+        dayPnL: data.dayPnL,
+        cashFlow: data.cashFlow
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
   updateDateRangeDisplay() {
     if (!this.elements.dateRange) return;
 
@@ -643,8 +1249,8 @@ class Stats {
     const cardsToLoad = [
       this.elements.currentAccountCard,
       this.elements.pnlCard,
-      this.elements.tradingGrowthCard,
-      this.elements.totalGrowthCard
+      this.elements.timeWeightedReturnCard,
+      this.elements.moneyWeightedReturnCard
     ];
 
     cardsToLoad.forEach(card => {
@@ -728,8 +1334,8 @@ class Stats {
    * Called when stats page becomes active
    */
   startAutoRefresh() {
-    if (!priceTracker.apiKey) {
-      console.log('[Stats] No Finnhub API key, skipping auto-refresh');
+    if (!priceTracker.canFetchQuotes()) {
+      console.log('[Stats] No quote source configured, skipping auto-refresh');
       return;
     }
 
@@ -1,5 +1,6 @@
 /**
  * Stats Chart - Canvas-based equity curve chart
+ * Also draws the underwater (drawdown %) view of the same curve and an optional benchmark overlay
  */
 
 import { state } from '../../core/state.js';
@@ -17,6 +18,10 @@ class EquityChart {
     this.chartData = null;
     this.chartScales = null;
     this.chartPadding = null;
+    this.mode = 'equity'; // 'equity' | 'underwater'
+    this.underwaterData = null;
+    this.benchmarkData = null; // [{ date, balance }] scaled to the curve's starting balance
+    this.benchmarkLabel = '';
 
     // Chart colors
     this.colors = {
@@ -25,6 +30,9 @@ class EquityChart {
       fillEnd: 'rgba(59, 130, 246, 0)',
       profit: '#22c55e',     // Success green
       loss: '#ef4444',       // Danger red
+      underwaterFill: 'rgba(239, 68, 68, 0.25)',
+      underwaterFillEnd: 'rgba(239, 68, 68, 0.05)',
+      benchmark: '#f59e0b',  // Amber
       grid: 'rgba(255, 255, 255, 0.05)',
       text: '#64748b',       // Muted text
       axis: '#2a3545',       // Border subtle
@@ -38,6 +46,9 @@ class EquityChart {
       fillEnd: 'rgba(37, 99, 235, 0)',
       profit: '#16a34a',
       loss: '#dc2626',
+      underwaterFill: 'rgba(220, 38, 38, 0.2)',
+      underwaterFillEnd: 'rgba(220, 38, 38, 0.04)',
+      benchmark: '#d97706',
       grid: 'rgba(0, 0, 0, 0.03)',
       text: '#64748b',
       axis: '#e2e8f0',
@@ -117,15 +128,37 @@ class EquityChart {
     this.data = data;
   }
 
+  // Set drawdown series for the underwater view: [{ date, drawdown, drawdownPercent }]
+  setUnderwaterData(data) {
+    this.underwaterData = data;
+  }
+
+  // Set benchmark overlay for the equity view (null to hide)
+  setBenchmarkData(data, label = '') {
+    this.benchmarkData = data && data.length >= 2 ? data : null;
+    this.benchmarkLabel = label;
+  }
+
+  // Switch between 'equity' and 'underwater' views
+  setMode(mode) {
+    this.mode = mode;
+    this.hideTooltip();
+    this.render();
+  }
+
   async render() {
     if (!this.ctx || !this.canvas) return;
 
-    const data = this.data;
-    if (!data) {
+    const isUnderwater = this.mode === 'underwater';
+    const source = isUnderwater ? this.underwaterData : this.data;
+    if (!source) {
       console.warn('No data to render');
       return;
     }
 
+    // Plot a single `value` per point so both views share the drawing code
+    const data = source.map(d => ({ ...d, value: isUnderwater ? d.drawdownPercent : d.balance }));
+
     const rect = this.container.getBoundingClientRect();
     if (rect.width === 0 || rect.height === 0) {
       return;
@@ -166,15 +199,20 @@ class EquityChart {
     const chartWidth = width - padding.left - padding.right;
     const chartHeight = height - padding.top - padding.bottom;
 
+    // Benchmark overlay only applies to the equity view
+    const benchmark = !isUnderwater && this.benchmarkData
+      ? this.benchmarkData.map(d => ({ ...d, value: d.balance }))
+      : null;
+
     // Calculate min/max for scaling
-    const values = data.map(d => d.balance);
+    const values = data.map(d => d.value).concat(benchmark ? benchmark.map(d => d.value) : []);
     const minValue = Math.min(...values);
     const maxValue = Math.max(...values);
     const valueRange = maxValue - minValue || 1;
 
-    // Add 10% padding to range
+    // Add 10% padding to range (underwater view is pinned to 0% at the top)
     const paddedMin = minValue - valueRange * 0.1;
-    const paddedMax = maxValue + valueRange * 0.1;
+    const paddedMax = isUnderwater ? 0 : maxValue + valueRange * 0.1;
     const paddedRange = paddedMax - paddedMin;
 
     // X scale (time)
@@ -197,8 +235,16 @@ class EquityChart {
     // Draw fill gradient
     this.drawFill(data, scaleX, scaleY, padding, chartHeight, colors);
 
+    // Draw benchmark behind our line
+    if (benchmark) {
+      this.ctx.setLineDash([4, 4]);
+      this.drawLine(benchmark, scaleX, scaleY, colors.benchmark);
+      this.ctx.setLineDash([]);
+      this.drawLegend(padding, colors);
+    }
+
     // Draw line
-    this.drawLine(data, scaleX, scaleY, colors);
+    this.drawLine(data, scaleX, scaleY, isUnderwater ? colors.loss : colors.line);
 
     // Draw Y-axis labels
     this.drawYAxisLabels(padding, chartHeight, paddedMin, paddedMax, colors);
@@ -224,50 +270,80 @@ class EquityChart {
   drawFill(data, scaleX, scaleY, padding, chartHeight, colors) {
     if (data.length < 2) return;
 
+    const isUnderwater = this.mode === 'underwater';
     const gradient = this.ctx.createLinearGradient(0, padding.top, 0, padding.top + chartHeight);
-    gradient.addColorStop(0, colors.fill);
-    gradient.addColorStop(1, colors.fillEnd);
+    gradient.addColorStop(0, isUnderwater ? colors.underwaterFillEnd : colors.fill);
+    gradient.addColorStop(1, isUnderwater ? colors.underwaterFill : colors.fillEnd);
 
     this.ctx.beginPath();
-    this.ctx.moveTo(scaleX(data[0].date), scaleY(data[0].balance));
+    this.ctx.moveTo(scaleX(data[0].date), scaleY(data[0].value));
 
     for (let i = 1; i < data.length; i++) {
-      this.ctx.lineTo(scaleX(data[i].date), scaleY(data[i].balance));
+      this.ctx.lineTo(scaleX(data[i].date), scaleY(data[i].value));
     }
 
-    // Close the path along the bottom
-    this.ctx.lineTo(scaleX(data[data.length - 1].date), padding.top + chartHeight);
-    this.ctx.lineTo(scaleX(data[0].date), padding.top + chartHeight);
+    // Close the path along the bottom (or the 0% line for the underwater view)
+    const baseY = isUnderwater ? scaleY(0) : padding.top + chartHeight;
+    this.ctx.lineTo(scaleX(data[data.length - 1].date), baseY);
+    this.ctx.lineTo(scaleX(data[0].date), baseY);
     this.ctx.closePath();
 
     this.ctx.fillStyle = gradient;
     this.ctx.fill();
   }
 
-  drawLine(data, scaleX, scaleY, colors) {
+  drawLine(data, scaleX, scaleY, lineColor) {
     if (data.length < 2) return;
 
-    this.ctx.strokeStyle = colors.line;
+    this.ctx.strokeStyle = lineColor;
     this.ctx.lineWidth = 2;
     this.ctx.lineJoin = 'round';
     this.ctx.lineCap = 'round';
 
     this.ctx.beginPath();
-    this.ctx.moveTo(scaleX(data[0].date), scaleY(data[0].balance));
+    this.ctx.moveTo(scaleX(data[0].date), scaleY(data[0].value));
 
     for (let i = 1; i < data.length; i++) {
-      this.ctx.lineTo(scaleX(data[i].date), scaleY(data[i].balance));
+      this.ctx.lineTo(scaleX(data[i].date), scaleY(data[i].value));
     }
 
     this.ctx.stroke();
   }
 
+  drawLegend(padding, colors) {
+    const items = [
+      { label: 'Account', color: colors.line, dashed: false },
+      { label: this.benchmarkLabel, color: colors.benchmark, dashed: true }
+    ];
+
+    this.ctx.font = '11px Inter, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'middle';
+
+    let x = padding.left + 8;
+    const y = padding.top + 6;
+    for (const item of items) {
+      this.ctx.strokeStyle = item.color;
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash(item.dashed ? [4, 4] : []);
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, y);
+      this.ctx.lineTo(x + 16, y);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+
+      this.ctx.fillStyle = colors.text;
+      this.ctx.fillText(item.label, x + 22, y);
+      x += 22 + this.ctx.measureText(item.label).width + 16;
+    }
+  }
+
   drawPoints(data, scaleX, scaleY, colors) {
     // Skip first point (starting balance)
     for (let i = 1; i < data.length; i++) {
       const point = data[i];
       const x = scaleX(point.date);
-      const y = scaleY(point.balance);
+      const y = scaleY(point.value);
       const isProfit = point.pnl >= 0;
 
       // Draw circle
@@ -295,7 +371,7 @@ class EquityChart {
     for (let i = 0; i <= 4; i++) {
       const value = maxValue - step * i;
       const y = padding.top + (chartHeight / 4) * i;
-      const label = this.formatCurrency(value);
+      const label = this.mode === 'underwater' ? `${value.toFixed(1)}%` : this.formatCurrency(value);
       this.ctx.fillText(label, padding.left - 8, y);
     }
   }
@@ -382,7 +458,7 @@ class EquityChart {
 
     for (const point of this.chartData) {
       const px = scaleX(point.date);
-      const py = scaleY(point.balance);
+      const py = scaleY(point.value);
       const distance = Math.sqrt((x - px) ** 2 + (y - py) ** 2);
 
       if (distance < minDistance) {
@@ -423,8 +499,17 @@ class EquityChart {
       this.container.appendChild(this.tooltip);
     }
 
+    const headline = this.mode === 'underwater'
+      ? `${point.drawdownPercent.toFixed(2)}% (${point.drawdown < 0 ? '-' : ''}${this.formatCurrencyFull(Math.abs(point.drawdown))})`
+      : this.formatCurrencyFull(point.balance);
+
+    const benchmarkPoint = this.mode === 'equity' && this.benchmarkData
+      ? this.benchmarkData.find(d => d.date === point.date)
+      : null;
+
     this.tooltip.innerHTML = `
-      <div style="font-weight: 600; margin-bottom: 4px;">${this.formatCurrencyFull(point.balance)}</div>
+      <div style="font-weight: 600; margin-bottom: 4px;">${headline}</div>
+      ${benchmarkPoint ? `<div style="font-size: 11px; margin-bottom: 4px; color: ${this.getColors().benchmark};">${this.benchmarkLabel} ${this.formatCurrencyFull(benchmarkPoint.balance)}</div>` : ''}
       <div style="font-size: 11px; opacity: 0.9;">${this.formatDateFull(point.date)}</div>
     `;
 
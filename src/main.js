@@ -11,7 +11,11 @@ import { theme, keyboard, settingsToggle, focusManager, hintArrow, tooltipHandle
 import { trimModal } from './components/modals/trimModal.js';
 import { wizard } from './components/modals/wizard.js';
 import { dataManager } from './core/dataManager.js';
+import { backupScheduler } from './core/backupScheduler.js';
 import { clearDataModal } from './components/modals/clearDataModal.js';
+import { passphraseModal } from './components/modals/passphraseModal.js';
+import { csvImportModal } from './components/modals/csvImportModal.js';
+import { backupMergeModal } from './components/modals/backupMergeModal.js';
 import { viewManager } from './components/ui/viewManager.js';
 import { stats } from './features/stats/stats.js';
 import { equityChart } from './features/stats/statsChart.js';
@@ -35,6 +39,9 @@ class App {
     // Runs on startup to keep storage under control
     this.runProactiveCleanup();
 
+    // Take today's automatic backup if due (after settings loaded saved data)
+    await backupScheduler.init();
+
     // Initialize price tracker
     await priceTracker.init();
 
@@ -81,6 +88,15 @@ class App {
     // Initialize clear data modal
     clearDataModal.init();
 
+    // Initialize backup passphrase modal
+    passphraseModal.init();
+
+    // Initialize broker CSV import modal
+    await csvImportModal.init();
+
+    // Initialize backup merge modal
+    backupMergeModal.init();
+
     // Initialize view manager (4-view navigation)
     viewManager.init();
 
@@ -127,7 +143,7 @@ class App {
 
   /**
    * Run proactive cleanup of historical prices cache
-   * Keeps prices for last 30 days + any tickers with open/trimmed positions
+   * Keeps prices for last 30 days + any tickers with open/trimmed positions and the benchmark ticker
    * Deletes everything else to prevent storage quota issues
    */
   runProactiveCleanup() {
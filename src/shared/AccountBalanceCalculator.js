@@ -14,10 +14,10 @@
 
 import { state } from '../core/state.js';
 import eodCacheManager from '../core/eodCacheManager.js';
-import { calculateRealizedPnL, getTradeRealizedPnL } from '../core/utils/tradeCalculations.js';
+import { calculateRealizedPnL, getTradeRealizedPnL, getPnLPerShare, getUnrealizedEntryFees } from '../core/utils/tradeCalculations.js';
 import { formatDate } from '../utils/marketHours.js';
 import { getCashFlowOnDate, getTransactionDateString, getNetCashFlow, getCashFlowUpToDate } from '../utils/cashFlowUtils.js';
-import { getTradesOpenOnDate, getTradeEntryDateString } from '../utils/tradeUtils.js';
+import { getTradesOpenOnDate, getTradeEntryDateString, getTradeEventDateString } from '../utils/tradeUtils.js';
 import { priceTracker } from '../core/priceTracker.js';
 
 class AccountBalanceCalculator {
@@ -119,7 +119,7 @@ class AccountBalanceCalculator {
    * @param {Object} trade - Trade object
    * @param {number} currentPrice - Current/EOD price
    * @param {string} [dateStr] - Optional: date for share count calculation (for trimmed trades)
-   * @returns {Object} { unrealizedPnL, unrealizedPercent, shares, currentPrice, entry }
+   * @returns {Object} { unrealizedPnL, unrealizedPercent, shares, currentPrice, entry, fees }
    */
   calculateTradeUnrealizedPnL(trade, currentPrice, dateStr = null) {
     if (!currentPrice || trade.status === 'closed') {
@@ -128,34 +128,40 @@ class AccountBalanceCalculator {
         unrealizedPercent: 0,
         shares: 0,
         currentPrice,
-        entry: trade.entry
+        entry: trade.entry,
+        fees: 0
       };
     }
 
-    // Determine shares held
-    let shares = trade.shares;
-
-    if (trade.status === 'trimmed') {
-      if (dateStr) {
-        // For historical calculations, need to figure out shares on this date
-        shares = this._getSharesOnDate(trade, dateStr);
-      } else {
-        // For current calculations
-        shares = trade.remainingShares || trade.shares;
-      }
+    // Determine shares held, cost basis and entry fees not yet realized
+    let shares;
+    let entry = trade.entry;
+    let fees;
+
+    if (dateStr) {
+      // For historical calculations, replay trims and adds up to this date
+      shares = this._getSharesOnDate(trade, dateStr);
+      entry = this._getEntryOnDate(trade, dateStr);
+      fees = this._getEntryFeesOnDate(trade, dateStr);
+    } else {
+      // For current calculations
+      shares = trade.remainingShares ?? trade.shares;
+      fees = getUnrealizedEntryFees(trade);
     }
 
     // For options, multiply by 100 (contract multiplier)
     const multiplier = trade.assetType === 'options' ? 100 : 1;
-    const unrealizedPnL = (currentPrice - trade.entry) * shares * multiplier;
-    const unrealizedPercent = ((currentPrice - trade.entry) / trade.entry) * 100;
+    const pnlPerShare = getPnLPerShare(entry, currentPrice, trade);
+    const unrealizedPnL = (pnlPerShare * shares * multiplier) - fees;
+    const unrealizedPercent = (pnlPerShare / entry) * 100;
 
     return {
       unrealizedPnL,
       unrealizedPercent,
       shares,
       currentPrice,
-      entry: trade.entry
+      entry,
+      fees
     };
   }
 
@@ -269,7 +275,7 @@ class AccountBalanceCalculator {
   }
 
   /**
-   * Get the number of shares held on a specific date (accounts for trims)
+   * Get the number of shares held on a specific date (accounts for trims and adds)
    * @param {Object} trade - Trade object
    * @param {string} dateStr - Date in 'YYYY-MM-DD' format
    * @returns {number} Shares held on date
@@ -280,15 +286,24 @@ class AccountBalanceCalculator {
       return 0;
     }
 
-    if (trade.status === 'open' || !trade.trimHistory || trade.trimHistory.length === 0) {
+    const addHistory = trade.addHistory || [];
+    const trimHistory = trade.trimHistory || [];
+
+    if (addHistory.length === 0 && trimHistory.length === 0) {
       return trade.shares;
     }
 
-    // For trimmed trades, calculate shares based on trim history
-    let shares = trade.shares;
+    // trade.shares includes every add, so start from the initial fill
+    let shares = trade.shares - addHistory.reduce((sum, add) => sum + add.shares, 0);
 
-    for (const trim of trade.trimHistory || []) {
-      if (trim.date <= dateStr) {
+    for (const add of addHistory) {
+      if (getTradeEventDateString(add) <= dateStr) {
+        shares += add.shares;
+      }
+    }
+
+    for (const trim of trimHistory) {
+      if (getTradeEventDateString(trim) <= dateStr) {
         shares -= (trim.sharesSold || trim.shares);
       }
     }
@@ -296,6 +311,57 @@ class AccountBalanceCalculator {
     return Math.max(0, shares);
   }
 
+  /**
+   * Get the weighted-average entry price on a specific date (accounts for adds)
+   * @param {Object} trade - Trade object
+   * @param {string} dateStr - Date in 'YYYY-MM-DD' format
+   * @returns {number} Cost basis per share on date
+   * @private
+   */
+  _getEntryOnDate(trade, dateStr) {
+    const addHistory = trade.addHistory || [];
+    if (addHistory.length === 0) {
+      return trade.entry;
+    }
+
+    // Before the first add, the position still carried its initial entry
+    let entry = addHistory[0].previousEntry ?? trade.entry;
+
+    for (const add of addHistory) {
+      if (getTradeEventDateString(add) <= dateStr) {
+        entry = add.newEntry;
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get entry fees still attached to the open shares on a specific date
+   * Adds after the date haven't been paid yet; trims on or before it already realized their share
+   * @param {Object} trade - Trade object
+   * @param {string} dateStr - Date in 'YYYY-MM-DD' format
+   * @returns {number} Unrealized entry fees on date
+   * @private
+   */
+  _getEntryFeesOnDate(trade, dateStr) {
+    let fees = trade.fees || 0;
+
+    for (const add of trade.addHistory || []) {
+      if (getTradeEventDateString(add) > dateStr) {
+        fees -= (add.fees || 0);
+      }
+    }
+
+    for (const trim of trade.trimHistory || []) {
+      if (getTradeEventDateString(trim) <= dateStr) {
+        fees -= (trim.entryFees || 0);
+      }
+    }
+
+    return Math.max(0, fees);
+  }
+
   /**
    * Calculate P&L from trades closed on a specific date
    * @param {Array} allTrades - All trades
@@ -0,0 +1,156 @@
+/**
+ * CorrelationCalculator - Rolling correlation of daily returns between tickers
+ * Works on the daily closes cached by HistoricalPricesBatcher ({ ticker: { 'YYYY-MM-DD': { close } } })
+ * and groups positions that move together so their open risk can be counted as one bet
+ */
+
+import { isShortTrade } from '../core/utils/tradeCalculations.js';
+
+// Fewer overlapping returns than this and the correlation is too noisy to show
+const MIN_OVERLAP = 15;
+
+class CorrelationCalculator {
+  /**
+   * Daily close-to-close returns keyed by the later date
+   * @param {Object} prices - { 'YYYY-MM-DD': { close } }
+   * @returns {Map<string, number>}
+   */
+  getDailyReturns(prices) {
+    const returns = new Map();
+    const dates = Object.keys(prices || {}).sort();
+
+    for (let i = 1; i < dates.length; i++) {
+      const previous = prices[dates[i - 1]]?.close;
+      const close = prices[dates[i]]?.close;
+      if (!previous || !close) continue;
+      returns.set(dates[i], close / previous - 1);
+    }
+
+    return returns;
+  }
+
+  /**
+   * Pearson correlation over the most recent `lookback` dates both series share
+   * @returns {{ correlation: number|null, samples: number }}
+   */
+  correlate(returnsA, returnsB, lookback) {
+    const dates = [...returnsA.keys()].filter(date => returnsB.has(date)).sort().slice(-lookback);
+    if (dates.length < MIN_OVERLAP) {
+      return { correlation: null, samples: dates.length };
+    }
+
+    const a = dates.map(date => returnsA.get(date));
+    const b = dates.map(date => returnsB.get(date));
+    const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+
+    // A flat series (e.g. a halted stock) has no defined correlation
+    if (varianceA === 0 || varianceB === 0) {
+      return { correlation: null, samples: dates.length };
+    }
+
+    return { correlation: covariance / Math.sqrt(varianceA * varianceB), samples: dates.length };
+  }
+
+  /**
+   * Correlation matrix for a set of tickers
+   * @param {Array<string>} tickers
+   * @param {Object} priceCache - HistoricalPricesBatcher.cache
+   * @param {number} [lookback=60] - Trading days of returns to use
+   * @returns {Object} { tickers, matrix, missingTickers } - matrix[i][j] is a correlation or null
+   */
+  calculateMatrix(tickers, priceCache, lookback = 60) {
+    const returns = tickers.map(ticker => this.getDailyReturns(priceCache[ticker]));
+    const missingTickers = tickers.filter((ticker, i) => returns[i].size < MIN_OVERLAP);
+
+    const matrix = tickers.map(() => tickers.map(() => null));
+    for (let i = 0; i < tickers.length; i++) {
+      matrix[i][i] = returns[i].size >= MIN_OVERLAP ? 1 : null;
+      for (let j = i + 1; j < tickers.length; j++) {
+        const { correlation } = this.correlate(returns[i], returns[j], lookback);
+        matrix[i][j] = correlation;
+        matrix[j][i] = correlation;
+      }
+    }
+
+    return { tickers, matrix, missingTickers };
+  }
+
+  /**
+   * +1 if the position gains when the underlying rises, -1 if it loses (shorts, long puts)
+   */
+  getPositionSign(trade) {
+    const directionSign = isShortTrade(trade) ? -1 : 1;
+    const optionSign = trade.assetType === 'options' && trade.optionType === 'put' ? -1 : 1;
+    return directionSign * optionSign;
+  }
+
+  /**
+   * Group tickers whose positions move together (P&L correlation at or above the threshold)
+   * Linked pairs are merged transitively, so A~B and B~C puts A, B and C in one cluster.
+   * @param {Object} result - calculateMatrix() result
+   * @param {Object} signs - ticker → +1/-1 position direction (see getPositionSign)
+   * @param {number} threshold - e.g. 0.7
+   * @returns {Array<Array<string>>} Clusters of two or more tickers
+   */
+  findClusters({ tickers, matrix }, signs, threshold) {
+    const parent = tickers.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < tickers.length; i++) {
+      for (let j = i + 1; j < tickers.length; j++) {
+        const correlation = matrix[i][j];
+        if (correlation === null) continue;
+        const pnlCorrelation = correlation * (signs[tickers[i]] ?? 1) * (signs[tickers[j]] ?? 1);
+        if (pnlCorrelation >= threshold) {
+          parent[find(i)] = find(j);
+        }
+      }
+    }
+
+    const groups = new Map();
+    tickers.forEach((ticker, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(ticker);
+    });
+
+    return [...groups.values()].filter(group => group.length > 1);
+  }
+
+  /**
+   * Combined open risk per cluster - the amount lost together if the group hits its stops as one
+   * @param {Array<Array<string>>} clusters
+   * @param {Object} riskByTicker - ticker → net open risk
+   * @returns {Object} { clusters: [{ tickers, openRisk }] (largest first), correlatedRisk, largestSingleRisk }
+   */
+  calculateCorrelatedRisk(clusters, riskByTicker) {
+    const clusterRisks = clusters
+      .map(tickers => ({
+        tickers,
+        openRisk: tickers.reduce((sum, ticker) => sum + (riskByTicker[ticker] || 0), 0)
+      }))
+      .sort((a, b) => b.openRisk - a.openRisk);
+
+    const largestSingleRisk = Math.max(0, ...Object.values(riskByTicker));
+
+    return {
+      clusters: clusterRisks,
+      // Biggest single bet once correlated names are counted together
+      correlatedRisk: Math.max(largestSingleRisk, clusterRisks[0]?.openRisk ?? 0),
+      largestSingleRisk
+    };
+  }
+}
+
+export const correlationCalculator = new CorrelationCalculator();
+export { CorrelationCalculator };
@@ -0,0 +1,105 @@
+/**
+ * EntryLadderEditor - Editable list of staged entry levels (limit price + % of position)
+ * Used by the Wizard; allocations must add up to 100% before the ladder is used for sizing
+ */
+
+export class EntryLadderEditor {
+  constructor(options) {
+    this.container = options.container;
+    this.onChange = options.onChange || (() => {});
+    this.levels = []; // [{ price, percent }] in the order they were added
+
+    this.bindEvents();
+    this.render();
+  }
+
+  bindEvents() {
+    this.container?.addEventListener('input', (e) => {
+      const field = e.target.dataset.ladderField;
+      const row = e.target.closest('[data-ladder-index]');
+      if (!field || !row) return;
+
+      this.levels[parseInt(row.dataset.ladderIndex)][field] = parseFloat(e.target.value) || 0;
+      this.renderFooter();
+      this.onChange();
+    });
+
+    this.container?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-ladder-add]')) {
+        this.addLevel();
+        return;
+      }
+      const removeBtn = e.target.closest('[data-ladder-remove]');
+      if (removeBtn) {
+        this.levels.splice(parseInt(removeBtn.closest('[data-ladder-index]').dataset.ladderIndex), 1);
+        this.render();
+        this.onChange();
+      }
+    });
+  }
+
+  addLevel() {
+    this.levels.push({ price: 0, percent: Math.max(0, 100 - this.getAllocatedPercent()) });
+    this.render();
+    this.onChange();
+  }
+
+  getAllocatedPercent() {
+    return this.levels.reduce((sum, l) => sum + (l.percent || 0), 0);
+  }
+
+  /**
+   * Levels to size from
+   * @returns {Array|null} [{ price, percent }], or null unless there are two or more priced
+   * levels whose allocations add up to 100%
+   */
+  getLevels() {
+    const levels = this.levels.filter(l => l.price > 0 && l.percent > 0);
+    const allocated = levels.reduce((sum, l) => sum + l.percent, 0);
+    if (levels.length < 2 || Math.abs(allocated - 100) > 0.01) return null;
+    return levels.map(l => ({ price: l.price, percent: l.percent }));
+  }
+
+  clear() {
+    this.levels = [];
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const rows = this.levels.map((l, i) => `
+      <div class="scale-out__row" data-ladder-index="${i}">
+        <span class="scale-out__label">Level ${i + 1}</span>
+        <span class="scale-out__unit">$</span>
+        <input type="text" class="input input--mono scale-out__input scale-out__input--price" data-ladder-field="price" value="${l.price || ''}" placeholder="0.00" inputmode="decimal" aria-label="Level ${i + 1} limit price">
+        <input type="text" class="input input--mono scale-out__input" data-ladder-field="percent" value="${l.percent}" inputmode="decimal" aria-label="Level ${i + 1} percent of position">
+        <span class="scale-out__unit">%</span>
+        <button type="button" class="scale-out__remove" data-ladder-remove aria-label="Remove level ${i + 1}">×</button>
+      </div>
+    `).join('');
+
+    this.container.innerHTML = `
+      ${rows}
+      <div class="scale-out__footer" data-ladder-footer></div>
+      <button type="button" class="btn btn--ghost btn--sm scale-out__add" data-ladder-add>+ Add entry level</button>
+    `;
+    this.renderFooter();
+  }
+
+  renderFooter() {
+    const footer = this.container?.querySelector('[data-ladder-footer]');
+    if (!footer) return;
+
+    const allocated = this.getAllocatedPercent();
+    if (this.levels.length === 0) {
+      footer.textContent = '';
+    } else if (this.levels.length < 2) {
+      footer.textContent = 'Add a second level to ladder the entry';
+    } else if (Math.abs(allocated - 100) > 0.01) {
+      footer.innerHTML = `<span class="text-danger">Levels add up to ${parseFloat(allocated.toFixed(2))}% - must total 100%</span>`;
+    } else {
+      footer.textContent = 'Entry price is the blended average of the levels';
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * ExposureCalculator - Groups open positions by industry and country
+ * Position value, net open risk and share of account per group (used by Positions)
+ */
+
+import { getRiskPerShare } from '../core/utils/tradeCalculations.js';
+
+const UNKNOWN_GROUP = 'Unknown';
+
+class ExposureCalculator {
+  /**
+   * Contract multiplier for a trade (options are quoted per share, 100 shares per contract)
+   */
+  getMultiplier(trade) {
+    return trade.assetType === 'options' ? 100 : 1;
+  }
+
+  /**
+   * NET open risk for a position - same as the Positions cards:
+   * remaining shares × risk per share, minus realized P&L once trimmed, never below 0
+   */
+  getPositionNetRisk(trade) {
+    const shares = trade.remainingShares ?? trade.shares;
+    const grossRisk = shares * getRiskPerShare(trade.entry, trade.stop, trade) * this.getMultiplier(trade);
+    const realizedPnL = trade.totalRealizedPnL || 0;
+    return trade.status === 'trimmed'
+      ? Math.max(0, grossRisk - realizedPnL)
+      : Math.max(0, grossRisk);
+  }
+
+  /**
+   * Market value of the remaining position, at the current price if known, otherwise at entry
+   */
+  getPositionValue(trade, currentPrice) {
+    const shares = trade.remainingShares ?? trade.shares;
+    const price = currentPrice || trade.entry;
+    return shares * price * this.getMultiplier(trade);
+  }
+
+  /**
+   * Exposure of open positions grouped by industry and by country
+   * @param {Array} trades - Open/trimmed trades
+   * @param {Object} options
+   * @param {Map} options.companyData - ticker → { industry, country } (missing tickers group under 'Unknown')
+   * @param {number} options.accountSize - Current account size for the % columns
+   * @param {Function} [options.getCurrentPrice] - trade → current price or null
+   * @returns {Object} { industries, countries, totalValue, totalRisk } - groups sorted by value, largest first
+   */
+  calculateExposure(trades, { companyData = new Map(), accountSize = 0, getCurrentPrice = () => null } = {}) {
+    const positions = trades.map(trade => {
+      const profile = companyData.get(trade.ticker);
+      return {
+        ticker: trade.ticker,
+        industry: profile?.industry || UNKNOWN_GROUP,
+        country: profile?.country || UNKNOWN_GROUP,
+        value: this.getPositionValue(trade, getCurrentPrice(trade)),
+        openRisk: this.getPositionNetRisk(trade)
+      };
+    });
+
+    return {
+      industries: this._groupPositions(positions, 'industry', accountSize),
+      countries: this._groupPositions(positions, 'country', accountSize),
+      totalValue: positions.reduce((sum, p) => sum + p.value, 0),
+      totalRisk: positions.reduce((sum, p) => sum + p.openRisk, 0)
+    };
+  }
+
+  _groupPositions(positions, key, accountSize) {
+    const groups = new Map();
+    for (const position of positions) {
+      const name = position[key];
+      if (!groups.has(name)) {
+        groups.set(name, { name, tickers: [], value: 0, openRisk: 0 });
+      }
+      const group = groups.get(name);
+      if (!group.tickers.includes(position.ticker)) group.tickers.push(position.ticker);
+      group.value += position.value;
+      group.openRisk += position.openRisk;
+    }
+
+    return [...groups.values()]
+      .map(group => ({
+        ...group,
+        percentOfAccount: accountSize > 0 ? (group.value / accountSize) * 100 : 0,
+        riskPercentOfAccount: accountSize > 0 ? (group.openRisk / accountSize) * 100 : 0
+      }))
+      .sort((a, b) => b.value - a.value);
+  }
+}
+
+export const exposureCalculator = new ExposureCalculator();
+export { ExposureCalculator };
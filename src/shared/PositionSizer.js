@@ -0,0 +1,153 @@
+/**
+ * PositionSizer - Sizing modes for the Wizard
+ * Fixed % risk (default), ATR-multiple stop, volatility target and fixed $ risk.
+ * ATR and volatility modes read daily candles from the historical prices cache, fetching them on first use.
+ */
+
+import { debounce, formatCurrency, formatPercent } from '../core/utils.js';
+import { formatDate } from '../utils/marketHours.js';
+import { getPriceAtR } from '../core/utils/tradeCalculations.js';
+import { historicalPricesBatcher } from '../features/stats/HistoricalPricesBatcher.js';
+
+export const SIZING_MODES = {
+  percent: 'Fixed % Risk',
+  atr: 'ATR Stop',
+  volatility: 'Volatility Target',
+  fixed: 'Fixed $ Risk'
+};
+
+// Modes that need the ticker's daily candles (stock prices, so not usable for option premiums)
+export const CANDLE_SIZING_MODES = ['atr', 'volatility'];
+
+const DEFAULT_ATR_PERIOD = 14;
+const DEFAULT_ATR_MULTIPLE = 2;
+const VOLATILITY_PERIOD = 20;
+// Calendar days of candles to request for ATR/volatility (covers a 50-period ATR)
+const CANDLE_DAYS = 120;
+
+class PositionSizer {
+  constructor() {
+    this.candleRequests = new Map(); // ticker → 'loading' | 'done'
+    this.debouncedLoadCandles = debounce((ticker, onLoaded) => this.loadCandles(ticker, onLoaded), 600);
+  }
+
+  /**
+   * Fetch daily candles for ATR/volatility sizing
+   * @param {string} ticker
+   * @param {Function} [onLoaded] - Called with the ticker once the fetch has finished (or failed)
+   */
+  async loadCandles(ticker, onLoaded = null) {
+    if (!ticker || this.candleRequests.has(ticker)) return;
+    this.candleRequests.set(ticker, 'loading');
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - CANDLE_DAYS);
+
+    try {
+      await historicalPricesBatcher.init();
+      await historicalPricesBatcher.batchFetchPrices([ticker], null, { [ticker]: formatDate(startDate) });
+      this.candleRequests.set(ticker, 'done');
+    } catch (error) {
+      console.error(`Failed to load daily candles for ${ticker}:`, error);
+      // Forget the failed request so the next sizing call retries
+      this.candleRequests.delete(ticker);
+    }
+
+    onLoaded?.(ticker);
+  }
+
+  /**
+   * Stop, risk budget and share count for a sizing mode
+   * @param {string} mode - Key of SIZING_MODES
+   * @param {Object} setup - { ticker, entry, stop, direction, accountSize, riskPercent }
+   * @param {Object} [params] - { atrPeriod, atrMultiple, volTargetPercent, fixedRiskDollars } (blank = defaults)
+   * @param {Function} [onCandlesLoaded] - Called with the ticker when missing candles arrive, to size again
+   * @returns {Object} { stop, riskDollars, shares, sizing } - shares is null when sized as
+   *   riskDollars / risk per share; { unavailable: message } while candles are missing
+   */
+  getSizing(mode, { ticker, entry, stop, direction, accountSize, riskPercent }, params = {}, onCandlesLoaded = null) {
+    const percentRiskDollars = accountSize * (riskPercent / 100);
+
+    // Candle-based modes (ATR, volatility) need the ticker's daily history
+    const candleStatus = () => {
+      if (!ticker) return { unavailable: `Enter a ticker for ${SIZING_MODES[mode]} sizing` };
+      if (this.candleRequests.get(ticker) !== 'done') {
+        this.debouncedLoadCandles(ticker, onCandlesLoaded);
+        return { unavailable: `Loading daily candles for ${ticker}...` };
+      }
+      return { unavailable: `Not enough daily candles for ${ticker}` };
+    };
+
+    if (mode === 'fixed') {
+      const fixedRiskDollars = params.fixedRiskDollars || 0;
+      return {
+        stop,
+        riskDollars: fixedRiskDollars,
+        shares: null,
+        sizing: {
+          mode: 'fixed',
+          label: SIZING_MODES.fixed,
+          detail: `${formatCurrency(fixedRiskDollars)} per trade`,
+          fixedRiskDollars
+        }
+      };
+    }
+
+    if (mode === 'atr') {
+      const atrPeriod = Math.round(params.atrPeriod || DEFAULT_ATR_PERIOD);
+      const atrMultiple = params.atrMultiple || DEFAULT_ATR_MULTIPLE;
+      const atr = historicalPricesBatcher.getATR(ticker, atrPeriod);
+      if (atr === null) return candleStatus();
+
+      const atrStop = Math.round(getPriceAtR(entry, atr * atrMultiple, -1, direction) * 100) / 100;
+      return {
+        stop: atrStop,
+        riskDollars: percentRiskDollars,
+        shares: null,
+        sizing: {
+          mode: 'atr',
+          label: SIZING_MODES.atr,
+          detail: `${atrMultiple} × ATR(${atrPeriod}) ${formatCurrency(atr)} = ${formatCurrency(atr * atrMultiple)} stop`,
+          atr,
+          atrPeriod,
+          atrMultiple
+        }
+      };
+    }
+
+    if (mode === 'volatility') {
+      const volTargetPercent = params.volTargetPercent || riskPercent;
+      const dailyVolatility = historicalPricesBatcher.getDailyVolatility(ticker, VOLATILITY_PERIOD);
+      if (!dailyVolatility) return candleStatus();
+
+      // Size so a typical (1σ) daily move is volTargetPercent of the account
+      const shares = Math.floor((accountSize * (volTargetPercent / 100)) / (entry * dailyVolatility));
+      return {
+        stop,
+        riskDollars: null,
+        shares,
+        sizing: {
+          mode: 'volatility',
+          label: SIZING_MODES.volatility,
+          detail: `1σ day ${formatPercent(dailyVolatility * 100)} → ${formatPercent(volTargetPercent)} of account`,
+          dailyVolatility,
+          volTargetPercent
+        }
+      };
+    }
+
+    return {
+      stop,
+      riskDollars: percentRiskDollars,
+      shares: null,
+      sizing: {
+        mode: 'percent',
+        label: SIZING_MODES.percent,
+        detail: `${formatPercent(riskPercent)} of account`
+      }
+    };
+  }
+}
+
+export const positionSizer = new PositionSizer();
+export { PositionSizer };
@@ -0,0 +1,205 @@
+/**
+ * RiskGuardrails - User-defined portfolio limits checked before a trade is logged
+ * Limits live in Settings (0 = off); riskLimitMode decides whether a breach warns or blocks
+ */
+
+import { state } from '../core/state.js';
+import { priceTracker } from '../core/priceTracker.js';
+import { showToast } from '../components/ui/ui.js';
+import { formatCurrency, formatPercent } from '../core/utils.js';
+import { formatDate, parseDate, getTradingDay } from '../utils/marketHours.js';
+import { getRealizedPnLBetween } from '../core/utils/tradeCalculations.js';
+import { exposureCalculator } from './ExposureCalculator.js';
+
+class RiskGuardrails {
+  getLimits() {
+    const s = state.settings;
+    return {
+      maxOpenRiskPercent: s.maxOpenRiskPercent || 0,
+      maxOpenPositions: s.maxOpenPositions || 0,
+      maxIndustryPercent: s.maxIndustryPercent || 0,
+      maxSinglePositionPercent: s.maxSinglePositionPercent || 0,
+      maxDailyLossPercent: s.maxDailyLossPercent || 0,
+      maxWeeklyLossPercent: s.maxWeeklyLossPercent || 0
+    };
+  }
+
+  hasActiveLimits() {
+    return Object.values(this.getLimits()).some(limit => limit > 0);
+  }
+
+  getOpenTrades() {
+    return state.journal.entries.filter(e => e.status === 'open' || e.status === 'trimmed');
+  }
+
+  /**
+   * Latest known price for a position (option premium for options), or null
+   */
+  getCurrentPrice(trade) {
+    const pnlData = trade.assetType === 'options'
+      ? priceTracker.calculateOptionsUnrealizedPnL(trade)
+      : priceTracker.calculateUnrealizedPnL(trade);
+    return pnlData?.currentPrice ?? null;
+  }
+
+  /**
+   * Realized loss today and this week (Monday onwards) as positive dollar amounts
+   */
+  getRealizedLosses() {
+    const todayStr = getTradingDay();
+    const monday = parseDate(todayStr);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    const realizedBetween = (startDateStr) => state.journal.entries
+      .reduce((sum, trade) => sum + getRealizedPnLBetween(trade, startDateStr, todayStr), 0);
+    return {
+      daily: Math.max(0, -realizedBetween(todayStr)),
+      weekly: Math.max(0, -realizedBetween(formatDate(monday)))
+    };
+  }
+
+  /**
+   * Where the portfolio stands against each enabled limit
+   * @param {Map} [companyData] - ticker → { industry } for the industry limit
+   * @returns {Array} [{ key, label, detail, used, limit, remaining, format: 'percent'|'count'|'currency' }]
+   */
+  getStatus(companyData = new Map()) {
+    const limits = this.getLimits();
+    const accountSize = state.account.currentSize;
+    const openTrades = this.getOpenTrades();
+    const toPercent = (value) => accountSize > 0 ? (value / accountSize) * 100 : 0;
+    const status = [];
+
+    if (limits.maxOpenRiskPercent > 0) {
+      const used = toPercent(openTrades.reduce((sum, t) => sum + exposureCalculator.getPositionNetRisk(t), 0));
+      status.push({ key: 'openRisk', label: 'Open Risk', used, limit: limits.maxOpenRiskPercent, format: 'percent' });
+    }
+
+    if (limits.maxOpenPositions > 0) {
+      status.push({ key: 'positions', label: 'Positions', used: openTrades.length, limit: limits.maxOpenPositions, format: 'count' });
+    }
+
+    if (limits.maxIndustryPercent > 0) {
+      const exposure = exposureCalculator.calculateExposure(openTrades, {
+        companyData,
+        accountSize,
+        getCurrentPrice: (trade) => this.getCurrentPrice(trade)
+      });
+      const largest = exposure.industries.find(group => group.name !== 'Unknown');
+      status.push({
+        key: 'industry',
+        label: 'Industry',
+        detail: largest?.name,
+        used: largest?.percentOfAccount ?? 0,
+        limit: limits.maxIndustryPercent,
+        format: 'percent'
+      });
+    }
+
+    if (limits.maxSinglePositionPercent > 0) {
+      const largest = Math.max(0, ...openTrades.map(t => exposureCalculator.getPositionValue(t, this.getCurrentPrice(t))));
+      status.push({ key: 'singlePosition', label: 'Largest Position', used: toPercent(largest), limit: limits.maxSinglePositionPercent, format: 'percent' });
+    }
+
+    if (limits.maxDailyLossPercent > 0 || limits.maxWeeklyLossPercent > 0) {
+      const losses = this.getRealizedLosses();
+      if (limits.maxDailyLossPercent > 0) {
+        status.push({ key: 'dailyLoss', label: 'Daily Loss', used: losses.daily, limit: accountSize * limits.maxDailyLossPercent / 100, format: 'currency' });
+      }
+      if (limits.maxWeeklyLossPercent > 0) {
+        status.push({ key: 'weeklyLoss', label: 'Weekly Loss', used: losses.weekly, limit: accountSize * limits.maxWeeklyLossPercent / 100, format: 'currency' });
+      }
+    }
+
+    return status.map(item => ({ ...item, remaining: item.limit - item.used }));
+  }
+
+  /**
+   * Limits a new trade would break
+   * @param {Object} trade - Journal entry about to be logged (ticker, entry, stop, shares, assetType, direction)
+   * @param {Map} [companyData] - ticker → { industry }, including the new ticker if known
+   * @returns {Array<string>} One message per breached limit (empty if the trade is within limits)
+   */
+  checkTrade(trade, companyData = new Map()) {
+    const limits = this.getLimits();
+    const accountSize = state.account.currentSize;
+    const openTrades = this.getOpenTrades();
+    const toPercent = (value) => accountSize > 0 ? (value / accountSize) * 100 : 0;
+    const newTrade = { ...trade, status: 'open' };
+    const newValue = exposureCalculator.getPositionValue(newTrade, newTrade.entry);
+    const violations = [];
+
+    if (limits.maxOpenRiskPercent > 0) {
+      const totalRisk = [...openTrades, newTrade].reduce((sum, t) => sum + exposureCalculator.getPositionNetRisk(t), 0);
+      if (toPercent(totalRisk) > limits.maxOpenRiskPercent) {
+        violations.push(`Open risk would be ${formatPercent(toPercent(totalRisk))} (limit ${limits.maxOpenRiskPercent}%)`);
+      }
+    }
+
+    if (limits.maxOpenPositions > 0 && openTrades.length + 1 > limits.maxOpenPositions) {
+      violations.push(`Would be ${openTrades.length + 1} open positions (limit ${limits.maxOpenPositions})`);
+    }
+
+    const industry = companyData.get(trade.ticker)?.industry;
+    if (limits.maxIndustryPercent > 0 && industry) {
+      const industryValue = openTrades
+        .filter(t => companyData.get(t.ticker)?.industry === industry)
+        .reduce((sum, t) => sum + exposureCalculator.getPositionValue(t, this.getCurrentPrice(t)), newValue);
+      if (toPercent(industryValue) > limits.maxIndustryPercent) {
+        violations.push(`${industry} exposure would be ${formatPercent(toPercent(industryValue))} (limit ${limits.maxIndustryPercent}%)`);
+      }
+    }
+
+    if (limits.maxSinglePositionPercent > 0 && toPercent(newValue) > limits.maxSinglePositionPercent) {
+      violations.push(`Position is ${formatPercent(toPercent(newValue))} of account (limit ${limits.maxSinglePositionPercent}%)`);
+    }
+
+    if (limits.maxDailyLossPercent > 0 || limits.maxWeeklyLossPercent > 0) {
+      const losses = this.getRealizedLosses();
+      const dailyLimit = accountSize * limits.maxDailyLossPercent / 100;
+      const weeklyLimit = accountSize * limits.maxWeeklyLossPercent / 100;
+      if (limits.maxDailyLossPercent > 0 && losses.daily >= dailyLimit) {
+        violations.push(`Daily loss limit hit: -${formatCurrency(losses.daily)} today (limit ${formatCurrency(dailyLimit)})`);
+      }
+      if (limits.maxWeeklyLossPercent > 0 && losses.weekly >= weeklyLimit) {
+        violations.push(`Weekly loss limit hit: -${formatCurrency(losses.weekly)} this week (limit ${formatCurrency(weeklyLimit)})`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check a trade and apply the configured mode before logging it
+   * Warn mode asks for confirmation; block mode refuses with a toast.
+   * @param {Object} trade - Journal entry about to be logged
+   * @param {Object|null} [profile] - Company profile for the new ticker, if already fetched
+   * @returns {Promise<boolean>} True if the trade may be logged
+   */
+  async approveTrade(trade, profile = null) {
+    if (!this.hasActiveLimits()) return true;
+
+    const companyData = new Map();
+    if (this.getLimits().maxIndustryPercent > 0) {
+      const tickers = new Set([...this.getOpenTrades().map(t => t.ticker), trade.ticker]);
+      for (const ticker of tickers) {
+        const data = await priceTracker.getCachedCompanyData(ticker);
+        if (data) companyData.set(ticker, data);
+      }
+      if (profile) companyData.set(trade.ticker, profile);
+    }
+
+    const violations = this.checkTrade(trade, companyData);
+    if (violations.length === 0) return true;
+
+    if (state.settings.riskLimitMode === 'block') {
+      showToast(`⛔ Trade blocked: ${violations.join('; ')}`, 'error');
+      return false;
+    }
+
+    return confirm(`This trade breaks your risk limits:\n\n• ${violations.join('\n• ')}\n\nLog it anyway?`);
+  }
+}
+
+export const riskGuardrails = new RiskGuardrails();
+export { RiskGuardrails };
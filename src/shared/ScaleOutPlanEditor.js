@@ -0,0 +1,150 @@
+/**
+ * ScaleOutPlanEditor - Editable list of exit targets (R multiple + % of position)
+ * Used by the Wizard; whatever isn't allocated to a target is kept as a runner
+ */
+
+import { formatCurrency, formatNumber } from '../core/utils.js';
+
+const DEFAULT_TARGET_PERCENT = 33;
+
+// 2.5 → '2.5', 33.333 → '33.33'
+const trimDecimals = (value) => String(parseFloat(value.toFixed(2)));
+
+export class ScaleOutPlanEditor {
+  constructor(options) {
+    this.container = options.container;
+    this.onChange = options.onChange || (() => {});
+    this.targets = []; // [{ rMultiple, percent }] in the order they were added
+
+    this.bindEvents();
+    this.render();
+  }
+
+  bindEvents() {
+    this.container?.addEventListener('input', (e) => {
+      const field = e.target.dataset.planField;
+      const row = e.target.closest('[data-plan-index]');
+      if (!field || !row) return;
+
+      this.targets[parseInt(row.dataset.planIndex)][field] = parseFloat(e.target.value) || 0;
+      this.renderFooter();
+      this.onChange();
+    });
+
+    this.container?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-plan-add]')) {
+        this.addTarget();
+        return;
+      }
+      const removeBtn = e.target.closest('[data-plan-remove]');
+      if (removeBtn) {
+        this.targets.splice(parseInt(removeBtn.closest('[data-plan-index]').dataset.planIndex), 1);
+        this.render();
+        this.onChange();
+      }
+    });
+  }
+
+  addTarget() {
+    const lastR = this.targets[this.targets.length - 1]?.rMultiple || 1;
+    this.targets.push({
+      rMultiple: lastR + 1,
+      percent: Math.max(0, Math.min(DEFAULT_TARGET_PERCENT, 100 - this.getAllocatedPercent()))
+    });
+    this.render();
+    this.onChange();
+  }
+
+  getAllocatedPercent() {
+    return this.targets.reduce((sum, t) => sum + (t.percent || 0), 0);
+  }
+
+  /**
+   * Tranches in exit order, with a runner for any unallocated percent
+   * @returns {Array|null} [{ rMultiple, percent }] (rMultiple null = runner), or null if there is
+   * no plan or the targets add up to more than 100%
+   */
+  getTranches() {
+    const targets = this.targets
+      .filter(t => t.rMultiple > 0 && t.percent > 0)
+      .sort((a, b) => a.rMultiple - b.rMultiple);
+    const allocated = targets.reduce((sum, t) => sum + t.percent, 0);
+    if (targets.length === 0 || allocated > 100) return null;
+
+    const tranches = targets.map(t => ({ rMultiple: t.rMultiple, percent: t.percent }));
+    if (allocated < 100) tranches.push({ rMultiple: null, percent: 100 - allocated });
+    return tranches;
+  }
+
+  clear() {
+    this.targets = [];
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    const rows = this.targets.map((t, i) => `
+      <div class="scale-out__row" data-plan-index="${i}">
+        <span class="scale-out__label">Target ${i + 1}</span>
+        <input type="text" class="input input--mono scale-out__input" data-plan-field="rMultiple" value="${t.rMultiple}" inputmode="decimal" aria-label="Target ${i + 1} R multiple">
+        <span class="scale-out__unit">R</span>
+        <input type="text" class="input input--mono scale-out__input" data-plan-field="percent" value="${t.percent}" inputmode="decimal" aria-label="Target ${i + 1} percent of position">
+        <span class="scale-out__unit">%</span>
+        <button type="button" class="scale-out__remove" data-plan-remove aria-label="Remove target ${i + 1}">×</button>
+      </div>
+    `).join('');
+
+    this.container.innerHTML = `
+      ${rows}
+      <div class="scale-out__footer" data-plan-footer></div>
+      <button type="button" class="btn btn--ghost btn--sm scale-out__add" data-plan-add>+ Add target</button>
+    `;
+    this.renderFooter();
+  }
+
+  renderFooter() {
+    const footer = this.container?.querySelector('[data-plan-footer]');
+    if (!footer) return;
+
+    const allocated = this.getAllocatedPercent();
+    if (this.targets.length === 0) {
+      footer.textContent = '';
+    } else if (allocated > 100) {
+      footer.innerHTML = `<span class="text-danger">Targets add up to ${trimDecimals(allocated)}% - reduce to 100% or less</span>`;
+    } else {
+      footer.textContent = allocated < 100 ? `Runner: ${trimDecimals(100 - allocated)}%` : 'No runner';
+    }
+  }
+
+  /**
+   * Render a built plan (see buildExitPlan) as one line per tranche
+   * @param {HTMLElement} element
+   * @param {Object|null} plan
+   * @param {string} [unitLabel='sh'] - 'sh' for shares, 'ct' for contracts
+   */
+  renderSummary(element, plan, unitLabel = 'sh') {
+    if (!element) return;
+    if (!plan) {
+      element.style.display = 'none';
+      element.innerHTML = '';
+      return;
+    }
+
+    const lines = plan.tranches.map(t => {
+      const label = t.rMultiple !== null ? `${trimDecimals(t.rMultiple)}R` : 'Runner';
+      const price = t.price !== null ? formatCurrency(t.price) : 'open';
+      return `<div class="scale-out__summary-row"><span>${label}</span><span>${formatNumber(t.shares)} ${unitLabel} @ ${price}</span></div>`;
+    }).join('');
+
+    const runnerNote = plan.unpricedShares > 0 ? ' <span class="scale-out__muted">(excl. runner)</span>' : '';
+    element.innerHTML = `
+      ${lines}
+      <div class="scale-out__summary-row scale-out__summary-row--total">
+        <span>Blended ${plan.blendedR !== null ? `${plan.blendedR.toFixed(2)}R` : '—'}${runnerNote}</span>
+        <span class="${plan.expectedProfit >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(plan.expectedProfit)}</span>
+      </div>
+    `;
+    element.style.display = '';
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { state } from '../core/state.js';
+import { getRiskPerShare } from '../core/utils/tradeCalculations.js';
 
 class SharedMetrics {
   constructor() {
@@ -27,7 +28,7 @@ class SharedMetrics {
 
     const totalOpenRisk = allOpenTrades.reduce((sum, t) => {
       const shares = t.remainingShares ?? t.shares;
-      const riskPerShare = t.entry - t.stop;
+      const riskPerShare = getRiskPerShare(t.entry, t.stop, t);
       const grossRisk = shares * riskPerShare;
 
       // For trimmed trades, subtract realized profit (net risk can't go below 0)
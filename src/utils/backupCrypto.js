@@ -0,0 +1,105 @@
+/**
+ * Backup encryption - Passphrase-protected backup files via WebCrypto
+ *
+ * Key: PBKDF2-SHA256 from the passphrase and a random salt
+ * Cipher: AES-GCM (256-bit) with a random 96-bit IV
+ * The envelope is plain JSON so the file type is still detectable on import.
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = 'trade-manager-encrypted-backup';
+
+const PBKDF2_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether parsed backup JSON is an encrypted envelope
+ */
+export function isEncryptedBackup(data) {
+  return data?.format === ENCRYPTED_BACKUP_FORMAT && typeof data.ciphertext === 'string';
+}
+
+/**
+ * Encrypt backup data with a passphrase
+ * @param {Object} data - Backup object to encrypt
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Encrypted envelope, safe to JSON.stringify
+ */
+export async function encryptBackup(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  const plaintext = new TextEncoder().encode(JSON.stringify(data));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    exportDate: data.exportDate,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt an encrypted envelope
+ * @param {Object} envelope - From encryptBackup
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Original backup object
+ * @throws {Error} If the passphrase is wrong or the file was modified (AES-GCM auth fails)
+ */
+export async function decryptBackup(envelope, passphrase) {
+  const salt = base64ToBytes(envelope.kdf.salt);
+  const iv = base64ToBytes(envelope.cipher.iv);
+  const key = await deriveKey(passphrase, salt, envelope.kdf.iterations || PBKDF2_ITERATIONS);
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      base64ToBytes(envelope.ciphertext)
+    );
+  } catch (e) {
+    throw new Error('Wrong passphrase or corrupted backup');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
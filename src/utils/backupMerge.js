@@ -0,0 +1,164 @@
+/**
+ * Backup merge - Diff a backup file against local data and merge by id
+ *
+ * Trades and cash flow transactions are matched by `id`. Each backup item is
+ * classified as:
+ *   - new:       id not present locally → added
+ *   - unchanged: identical on both sides → ignored
+ *   - changed:   backup trade contains every local trim/add plus more → backup wins
+ *   - conflict:  both sides differ in any other way → user picks a side
+ * Local items missing from the backup are always kept.
+ */
+
+/**
+ * JSON.stringify with sorted keys so property order doesn't register as a change
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function getTradeEventIds(trade) {
+  return [
+    ...(trade.trimHistory || []).map(e => e.id),
+    ...(trade.addHistory || []).map(e => e.id)
+  ];
+}
+
+/**
+ * Whether `newer` carries every trim/add of `older` plus at least one more
+ */
+function tradeHistoryExtends(newer, older) {
+  const newerIds = new Set(getTradeEventIds(newer));
+  const olderIds = getTradeEventIds(older);
+  return newerIds.size > olderIds.length && olderIds.every(id => newerIds.has(id));
+}
+
+/**
+ * Top-level fields whose values differ between two versions of an item
+ * @returns {string[]}
+ */
+export function getChangedFields(local, incoming) {
+  const keys = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  return [...keys].filter(key =>
+    key !== 'notesCompressed' && stableStringify(local[key]) !== stableStringify(incoming[key])
+  );
+}
+
+/**
+ * Diff one collection of id-keyed items
+ * @param {Array} localItems
+ * @param {Array} incomingItems
+ * @param {Function|null} isNewer - (incoming, local) => true if incoming is a strict update
+ * @returns {Array<{ kind, id, local, incoming, fields }>} Entries for new/changed/conflict items only
+ */
+function diffCollection(localItems, incomingItems, isNewer) {
+  const localById = new Map(localItems.map(item => [String(item.id), item]));
+  const diff = [];
+
+  for (const incoming of incomingItems) {
+    if (incoming?.id === undefined || incoming?.id === null) continue;
+
+    const local = localById.get(String(incoming.id));
+    if (!local) {
+      diff.push({ kind: 'new', id: incoming.id, local: null, incoming, fields: [] });
+      continue;
+    }
+
+    const fields = getChangedFields(local, incoming);
+    if (fields.length === 0) continue;
+
+    const kind = isNewer && isNewer(incoming, local) ? 'changed' : 'conflict';
+    diff.push({ kind, id: incoming.id, local, incoming, fields });
+  }
+
+  return diff;
+}
+
+/**
+ * Build a merge plan for a backup against local data
+ * @param {Object} local - { journal: Array, cashFlow: { transactions } }
+ * @param {Object} backup - { journal: Array, cashFlow: { transactions } }
+ * @returns {Object} { trades: diff[], transactions: diff[], counts: { new, changed, conflict } }
+ */
+export function buildMergePlan(local, backup) {
+  const trades = diffCollection(local.journal || [], backup.journal || [], tradeHistoryExtends);
+  const transactions = diffCollection(
+    local.cashFlow?.transactions || [],
+    backup.cashFlow?.transactions || [],
+    null
+  );
+
+  const counts = { new: 0, changed: 0, conflict: 0 };
+  [...trades, ...transactions].forEach(item => counts[item.kind]++);
+
+  return { trades, transactions, counts };
+}
+
+/**
+ * Key identifying a conflict in the resolutions map
+ */
+export function getMergeKey(collection, id) {
+  return `${collection}:${id}`;
+}
+
+function mergeCollection(localItems, diff, collection, resolutions) {
+  const replacements = new Map();
+  const added = [];
+
+  for (const item of diff) {
+    if (item.kind === 'new') {
+      added.push(item.incoming);
+    } else if (item.kind === 'changed' ||
+      resolutions[getMergeKey(collection, item.id)] === 'backup') {
+      replacements.set(String(item.id), item.incoming);
+    }
+  }
+
+  // New items go first, newest first, matching how entries are unshifted when logged
+  added.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return [
+    ...added,
+    ...localItems.map(item => replacements.get(String(item.id)) || item)
+  ];
+}
+
+/**
+ * Apply a merge plan
+ * @param {Object} local - { journal, cashFlow }
+ * @param {Object} plan - From buildMergePlan
+ * @param {Object} resolutions - { [mergeKey]: 'local' | 'backup' }, conflicts default to local
+ * @returns {Object} { journal, cashFlow } with cash flow totals recomputed
+ */
+export function applyMergePlan(local, plan, resolutions = {}) {
+  const journal = mergeCollection(local.journal || [], plan.trades, 'trade', resolutions);
+  const transactions = mergeCollection(
+    local.cashFlow?.transactions || [],
+    plan.transactions,
+    'transaction',
+    resolutions
+  );
+
+  const sumOfType = (type) => transactions
+    .filter(tx => tx.type === type)
+    .reduce((sum, tx) => sum + (Number(tx.amount) || 0), 0);
+
+  return {
+    journal,
+    cashFlow: {
+      transactions,
+      totalDeposits: sumOfType('deposit'),
+      totalWithdrawals: sumOfType('withdrawal')
+    }
+  };
+}
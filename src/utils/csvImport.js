@@ -0,0 +1,563 @@
+/**
+ * CSV Import - Parse broker execution exports and group fills into trades
+ *
+ * Pure functions, no DOM or state dependencies:
+ * - Parse CSV text (quoted fields, embedded commas/newlines)
+ * - Map broker columns onto import fields (auto-detect or saved profile)
+ * - Normalize rows into fills { ticker, date, time, side, quantity, price, fees }
+ * - Fingerprint fills (ticker, date, price, quantity) for duplicate detection
+ * - Replay fills into trades with adds and trims, matching TrimModal's records
+ */
+
+import { formatDate } from './marketHours.js';
+import { getTradeEntryDateString, getTradeEventDateString } from './tradeUtils.js';
+import {
+  getDirectionMultiplier,
+  getRiskPerShare,
+  getPnLPerShare,
+  getWeightedAverageEntry,
+  getEntryFeesForTrim
+} from '../core/utils/tradeCalculations.js';
+
+/**
+ * Import fields and the header names brokers commonly use for them
+ * Aliases are compared after lowercasing and stripping non-alphanumerics
+ */
+export const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true, aliases: ['date', 'tradedate', 'executiondate', 'filldate', 'datetime', 'activitydate', 'transactiondate', 'rundate', 'timestamp'] },
+  { key: 'time', label: 'Time', required: false, aliases: ['time', 'executiontime', 'filltime', 'tradetime'] },
+  { key: 'symbol', label: 'Symbol', required: true, aliases: ['symbol', 'ticker', 'sym', 'underlying', 'underlyingsymbol', 'instrument', 'security'] },
+  { key: 'side', label: 'Side', required: false, aliases: ['side', 'action', 'buysell', 'bs', 'transactiontype', 'type', 'activity'] },
+  { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'shares', 'filledqty', 'filledquantity', 'size', 'units'] },
+  { key: 'price', label: 'Price', required: true, aliases: ['price', 'fillprice', 'avgprice', 'averageprice', 'executionprice', 'tradeprice', 'pricepershare'] },
+  { key: 'fees', label: 'Fees', required: false, aliases: ['fees', 'fee', 'commission', 'commissions', 'commissionsandfees', 'commfee', 'totalfees'] }
+];
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text - Raw CSV file contents
+ * @returns {Array<Array<string>>} Rows (blank lines removed)
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM some brokers prepend
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess which header maps to each import field
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Map of field key → header name ('' when not found)
+ */
+export function detectColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  for (const field of IMPORT_FIELDS) {
+    // Earlier aliases are stronger matches, so search alias-first
+    let match = '';
+    for (const alias of field.aliases) {
+      const index = normalized.findIndex((h, i) => h === alias && !used.has(i));
+      if (index !== -1) {
+        match = headers[index];
+        used.add(index);
+        break;
+      }
+    }
+    mapping[field.key] = match;
+  }
+
+  return mapping;
+}
+
+/**
+ * Parse a number cell: strips $, commas and spaces; (1.23) is negative
+ * @returns {number} Parsed value or NaN
+ */
+function parseNumberCell(value) {
+  if (value === undefined || value === null) return NaN;
+  let str = String(value).trim();
+  if (!str) return NaN;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+
+  const num = parseFloat(str.replace(/[$,\s]/g, ''));
+  if (isNaN(num)) return NaN;
+  return negative ? -num : num;
+}
+
+/**
+ * Parse a date cell into 'YYYY-MM-DD'
+ * Accepts YYYY-MM-DD, MM/DD/YYYY, MM/DD/YY and anything Date can parse
+ * @returns {string|null} Date string or null if unparseable
+ */
+function parseDateCell(value) {
+  const str = String(value || '').trim();
+  if (!str) return null;
+
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return formatDate(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+
+  match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (match) {
+    let year = Number(match[3]);
+    if (year < 100) year += 2000;
+    return formatDate(new Date(year, Number(match[1]) - 1, Number(match[2])));
+  }
+
+  const parsed = new Date(str);
+  return isNaN(parsed.getTime()) ? null : formatDate(parsed);
+}
+
+/**
+ * Extract a sortable 'HH:MM:SS' time from a cell (24h or AM/PM)
+ * @returns {string} Time string, or '' if none found
+ */
+function parseTimeCell(value) {
+  const match = String(value || '').match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (!match) return '';
+
+  let hours = Number(match[1]);
+  const meridiem = match[4]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+}
+
+/**
+ * Normalize a side cell to 'buy' or 'sell'
+ * Handles Buy/Bought/BOT/Buy to Cover and Sell/Sold/SLD/Sell Short/SS
+ * @returns {string|null} 'buy', 'sell' or null if unrecognized
+ */
+function parseSideCell(value) {
+  const str = String(value || '').trim().toLowerCase();
+  if (!str) return null;
+  if (str.startsWith('b') || str === 'cover' || str.startsWith('cover')) return 'buy';
+  if (str.startsWith('s')) return 'sell';
+  return null;
+}
+
+/**
+ * Convert CSV rows into normalized fills using a column mapping
+ * @param {Array<Array<string>>} rows - Parsed rows including the header row
+ * @param {Object} mapping - Field key → header name
+ * @returns {Object} { fills, errors } - errors are { row, message } with 1-based line numbers
+ */
+export function parseFills(rows, mapping) {
+  const fills = [];
+  const errors = [];
+
+  if (rows.length < 2) {
+    return { fills, errors: [{ row: 1, message: 'File has no data rows' }] };
+  }
+
+  const headers = rows[0];
+  const columnIndex = {};
+  for (const field of IMPORT_FIELDS) {
+    columnIndex[field.key] = mapping[field.key] ? headers.indexOf(mapping[field.key]) : -1;
+  }
+
+  const missing = IMPORT_FIELDS.filter(f => f.required && columnIndex[f.key] === -1);
+  if (missing.length > 0) {
+    return {
+      fills,
+      errors: [{ row: 1, message: `Map a column for: ${missing.map(f => f.label).join(', ')}` }]
+    };
+  }
+
+  const cellFor = (row, key) => (columnIndex[key] === -1 ? '' : row[columnIndex[key]]);
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const rowNumber = i + 1;
+
+    const ticker = String(cellFor(row, 'symbol') || '').trim().toUpperCase();
+    if (!ticker) continue; // Summary/total lines have no symbol
+
+    const date = parseDateCell(cellFor(row, 'date'));
+    if (!date) {
+      errors.push({ row: rowNumber, message: `Unrecognized date "${cellFor(row, 'date')}"` });
+      continue;
+    }
+
+    const signedQuantity = parseNumberCell(cellFor(row, 'quantity'));
+    const price = Math.abs(parseNumberCell(cellFor(row, 'price')));
+    if (isNaN(signedQuantity) || signedQuantity === 0) {
+      errors.push({ row: rowNumber, message: `Invalid quantity "${cellFor(row, 'quantity')}"` });
+      continue;
+    }
+    if (isNaN(price) || price === 0) {
+      errors.push({ row: rowNumber, message: `Invalid price "${cellFor(row, 'price')}"` });
+      continue;
+    }
+
+    // Side column wins; without one, negative quantities are sells
+    let side = columnIndex.side !== -1 ? parseSideCell(cellFor(row, 'side')) : null;
+    if (!side) {
+      if (columnIndex.side !== -1 && String(cellFor(row, 'side') || '').trim()) {
+        errors.push({ row: rowNumber, message: `Unrecognized side "${cellFor(row, 'side')}"` });
+        continue;
+      }
+      side = signedQuantity < 0 ? 'sell' : 'buy';
+    }
+
+    const fees = Math.abs(parseNumberCell(cellFor(row, 'fees'))) || 0;
+    const time = parseTimeCell(cellFor(row, 'time')) || parseTimeCell(cellFor(row, 'date'));
+
+    fills.push({
+      row: rowNumber,
+      ticker,
+      date,
+      time,
+      side,
+      quantity: Math.abs(signedQuantity),
+      price,
+      fees
+    });
+  }
+
+  return { fills, errors };
+}
+
+/**
+ * Build the duplicate-detection key for a fill
+ * @returns {string} 'TICKER|YYYY-MM-DD|price|quantity'
+ */
+export function getFillFingerprint(ticker, dateStr, price, quantity) {
+  return `${String(ticker).toUpperCase()}|${dateStr}|${Number(price).toFixed(4)}|${Number(quantity)}`;
+}
+
+/**
+ * Collect fingerprints for every fill already recorded in the journal as a multiset
+ * Uses the trade's entry, adds and trims, plus the raw broker fills stored on
+ * imported trades (a reversing fill is split across two trades, so its
+ * original quantity only survives in importedFills)
+ * @param {Array} entries - Journal entries
+ * @returns {Map<string, number>} Fingerprint → count
+ */
+export function getJournalFillFingerprints(entries) {
+  const counts = new Map();
+
+  for (const trade of entries) {
+    if (!trade.ticker) continue;
+    const addHistory = trade.addHistory || [];
+    const recorded = [];
+
+    // trade.shares/entry include adds, so back out the initial fill
+    const initialShares = trade.shares - addHistory.reduce((sum, add) => sum + add.shares, 0);
+    const initialEntry = addHistory[0]?.previousEntry ?? trade.entry;
+    recorded.push(getFillFingerprint(trade.ticker, getTradeEntryDateString(trade), initialEntry, initialShares));
+
+    for (const add of addHistory) {
+      recorded.push(getFillFingerprint(trade.ticker, getTradeEventDateString(add), add.price, add.shares));
+    }
+    for (const trim of trade.trimHistory || []) {
+      recorded.push(getFillFingerprint(trade.ticker, getTradeEventDateString(trim), trim.exitPrice, trim.shares));
+    }
+
+    // The same fill can appear in both lists; count each key by whichever list has more
+    const tally = (keys) => keys.reduce((map, key) => map.set(key, (map.get(key) || 0) + 1), new Map());
+    const fromRecords = tally(recorded);
+    const fromImport = tally(trade.importedFills || []);
+    const keys = new Set([...fromRecords.keys(), ...fromImport.keys()]);
+
+    for (const key of keys) {
+      const count = Math.max(fromRecords.get(key) || 0, fromImport.get(key) || 0);
+      counts.set(key, (counts.get(key) || 0) + count);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Split fills into new fills and ones already in the journal
+ * Each existing fingerprint only absorbs one matching fill, so repeated
+ * identical partial fills in the file are not all discarded
+ * @param {Array} fills - Normalized fills
+ * @param {Array} entries - Journal entries
+ * @returns {Object} { fills, duplicates }
+ */
+export function removeDuplicateFills(fills, entries) {
+  const existing = getJournalFillFingerprints(entries);
+  const kept = [];
+  const duplicates = [];
+
+  for (const fill of fills) {
+    const key = getFillFingerprint(fill.ticker, fill.date, fill.price, fill.quantity);
+    const count = existing.get(key) || 0;
+    if (count > 0) {
+      existing.set(key, count - 1);
+      duplicates.push(fill);
+    } else {
+      kept.push(fill);
+    }
+  }
+
+  return { fills: kept, duplicates };
+}
+
+function recordFill(position, fill) {
+  position.fills.push(fill);
+  position.trade.importedFills = [
+    ...(position.trade.importedFills || []),
+    getFillFingerprint(fill.ticker, fill.date, fill.price, fill.quantity)
+  ];
+}
+
+function toEventDate(dateStr) {
+  return new Date(dateStr + 'T12:00:00').toISOString();
+}
+
+function createImportedTrade(fill, direction, quantity, fees) {
+  return {
+    timestamp: toEventDate(fill.date),
+    ticker: fill.ticker,
+    direction,
+    entry: fill.price,
+    // Broker fills carry no stop; the stop sits at entry and risk stays unknown (null) until edited
+    stop: fill.price,
+    originalStop: fill.price,
+    currentStop: fill.price,
+    target: null,
+    shares: quantity,
+    originalShares: quantity,
+    remainingShares: quantity,
+    positionSize: quantity * fill.price,
+    riskDollars: null,
+    riskPercent: 0,
+    stopDistance: 0,
+    fees,
+    notes: '',
+    status: 'open',
+    exitPrice: null,
+    exitDate: null,
+    pnl: null,
+    assetType: 'stock',
+    strike: null,
+    expirationDate: null,
+    optionType: null,
+    premium: null,
+    thesis: null,
+    wizardComplete: false,
+    wizardSkipped: [],
+    trimHistory: [],
+    addHistory: [],
+    totalRealizedPnL: 0,
+    source: 'csv'
+  };
+}
+
+function applyAdd(trade, fill, quantity, fees, eventId) {
+  const currentShares = trade.remainingShares ?? trade.shares;
+  const currentStop = trade.currentStop ?? trade.stop;
+  const newRemaining = currentShares + quantity;
+  const newEntry = getWeightedAverageEntry(currentShares, trade.entry, quantity, fill.price);
+
+  trade.addHistory = [...(trade.addHistory || []), {
+    id: eventId,
+    date: toEventDate(fill.date),
+    shares: quantity,
+    price: fill.price,
+    fees,
+    previousEntry: trade.entry,
+    newEntry
+  }];
+  trade.positionSize = (trade.positionSize ?? trade.shares * trade.entry) + (quantity * fill.price);
+  trade.originalShares = (trade.originalShares ?? trade.shares) + quantity;
+  trade.shares += quantity;
+  trade.remainingShares = newRemaining;
+  trade.entry = newEntry;
+  // Without a recorded stop there is no risk to re-measure
+  if (trade.riskDollars !== null) {
+    const riskPerShare = getRiskPerShare(newEntry, currentStop, trade);
+    trade.riskDollars = Math.max(0, newRemaining * riskPerShare);
+    trade.stopDistance = riskPerShare;
+  }
+  trade.fees = (trade.fees || 0) + fees;
+}
+
+function applyTrim(trade, fill, quantity, fees, eventId) {
+  const remainingShares = trade.remainingShares ?? trade.shares;
+  const originalStop = trade.originalStop ?? trade.stop;
+  const riskPerShare = getRiskPerShare(trade.entry, originalStop, trade);
+  const pnlPerShare = getPnLPerShare(trade.entry, fill.price, trade);
+  const entryFees = getEntryFeesForTrim(trade, quantity);
+  const pnl = (pnlPerShare * quantity) - fees - entryFees;
+  const eventDate = toEventDate(fill.date);
+
+  trade.trimHistory = [...(trade.trimHistory || []), {
+    id: eventId,
+    date: eventDate,
+    shares: quantity,
+    exitPrice: fill.price,
+    // No R without a recorded stop
+    rMultiple: trade.riskDollars !== null && riskPerShare !== 0 ? pnlPerShare / riskPerShare : null,
+    pnl,
+    fees,
+    entryFees,
+    percentTrimmed: Math.round((quantity / remainingShares) * 100)
+  }];
+  trade.originalShares = trade.originalShares ?? trade.shares;
+  trade.remainingShares = remainingShares - quantity;
+  trade.totalRealizedPnL = (trade.totalRealizedPnL || 0) + pnl;
+
+  if (trade.remainingShares === 0) {
+    trade.status = 'closed';
+    trade.exitPrice = fill.price;
+    trade.exitDate = eventDate;
+    trade.pnl = trade.totalRealizedPnL;
+  } else {
+    trade.status = 'trimmed';
+  }
+}
+
+/**
+ * Replay fills (oldest first) into trades
+ * Fills in the position's direction are adds, opposite fills are trims, and a
+ * fill larger than the open position closes it and opens the reverse side.
+ * Open stock positions already in the journal are continued rather than duplicated.
+ *
+ * @param {Array} fills - Normalized, de-duplicated fills
+ * @param {Array} existingEntries - Journal entries (for open positions to continue)
+ * @param {number} baseId - First id to hand out for trades and events
+ * @returns {Array} [{ trade, isUpdate, fills }] - updated trades keep their journal id
+ */
+export function groupFillsIntoTrades(fills, existingEntries = [], baseId = Date.now()) {
+  let nextId = baseId;
+  const results = [];
+  const positions = new Map();
+
+  // Latest open stock position per ticker can absorb later fills
+  const pendingSeeds = new Map();
+  existingEntries
+    .filter(t => (t.status === 'open' || t.status === 'trimmed') && (t.assetType || 'stock') === 'stock')
+    .forEach(t => {
+      const current = pendingSeeds.get(t.ticker);
+      if (!current || new Date(t.timestamp) > new Date(current.timestamp)) {
+        pendingSeeds.set(t.ticker, t);
+      }
+    });
+
+  const sorted = fills
+    .map((fill, index) => ({ fill, index }))
+    .sort((a, b) => {
+      const keyA = `${a.fill.date} ${a.fill.time || ''}`;
+      const keyB = `${b.fill.date} ${b.fill.time || ''}`;
+      return keyA < keyB ? -1 : keyA > keyB ? 1 : a.index - b.index;
+    })
+    .map(({ fill }) => fill);
+
+  for (const fill of sorted) {
+    let quantity = fill.quantity;
+    let fees = fill.fees;
+    const fillSign = fill.side === 'buy' ? 1 : -1;
+
+    let position = positions.get(fill.ticker);
+
+    // Continue an existing journal position once the fill is on/after its entry date
+    const seed = pendingSeeds.get(fill.ticker);
+    if (!position && seed && fill.date >= getTradeEntryDateString(seed)) {
+      position = {
+        trade: {
+          ...seed,
+          trimHistory: [...(seed.trimHistory || [])],
+          addHistory: [...(seed.addHistory || [])],
+          importedFills: [...(seed.importedFills || [])]
+        },
+        isUpdate: true,
+        fills: []
+      };
+      pendingSeeds.delete(fill.ticker);
+      positions.set(fill.ticker, position);
+      results.push(position);
+    }
+
+    if (position && fillSign === getDirectionMultiplier(position.trade)) {
+      applyAdd(position.trade, fill, quantity, fees, nextId++);
+      recordFill(position, fill);
+      continue;
+    }
+
+    if (position) {
+      const remaining = position.trade.remainingShares ?? position.trade.shares;
+      const closeQuantity = Math.min(quantity, remaining);
+      const closeFees = fees * (closeQuantity / quantity);
+
+      applyTrim(position.trade, fill, closeQuantity, closeFees, nextId++);
+      recordFill(position, fill);
+
+      quantity -= closeQuantity;
+      fees -= closeFees;
+
+      if (position.trade.status === 'closed') {
+        positions.delete(fill.ticker);
+      }
+      if (quantity <= 0) continue;
+    }
+
+    // Opening fill (or the remainder of a reversing fill)
+    const trade = createImportedTrade(fill, fillSign === 1 ? 'long' : 'short', quantity, fees);
+    trade.id = nextId++;
+    const opened = { trade, isUpdate: false, fills: [] };
+    recordFill(opened, fill);
+    positions.set(fill.ticker, opened);
+    results.push(opened);
+  }
+
+  return results;
+}
@@ -0,0 +1,16 @@
+/**
+ * HTML Utilities - Helpers for building markup from user-supplied values
+ */
+
+/**
+ * Escape a value for use in HTML text or a double-quoted attribute
+ * @param {*} value - Value to escape (null/undefined become '')
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -7,7 +7,181 @@
  * - Friday 4:01pm EST is still Friday's trading day (market closed but before next open)
  * - Saturday 10am EST is still Friday's trading day (weekend, market closed)
  * - Monday 8am EST is still Friday's trading day (before Monday's 9:30am open)
+ *
+ * NYSE holidays are skipped like weekends, and early-close days end at 1:00pm EST.
+ * Both are computed from the exchange's rules, so any year works without a lookup table.
+ */
+
+const MARKET_OPEN_MINUTES = 9 * 60 + 30; // 9:30am
+const MARKET_CLOSE_MINUTES = 16 * 60;    // 4:00pm
+const EARLY_CLOSE_MINUTES = 13 * 60;     // 1:00pm
+
+/**
+ * One-off closures that don't follow a rule (national days of mourning)
+ */
+const UNSCHEDULED_CLOSURES = {
+  '2018-12-05': 'National Day of Mourning (George H.W. Bush)',
+  '2025-01-09': 'National Day of Mourning (Jimmy Carter)'
+};
+
+const calendarCache = new Map(); // year -> { holidays, earlyCloses }
+
+function toDateStr(year, month, day) {
+  return formatDate(new Date(year, month, day, 12));
+}
+
+/**
+ * Day of month of the nth weekday (n = -1 for the last one)
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(year, month + 1, 0, 12);
+    return last.getDate() - ((last.getDay() - weekday + 7) % 7);
+  }
+  const firstDay = new Date(year, month, 1, 12).getDay();
+  return 1 + ((weekday - firstDay + 7) % 7) + (n - 1) * 7;
+}
+
+/**
+ * Easter Sunday (Gregorian computus) as a Date at noon
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month, day, 12);
+}
+
+/**
+ * Fixed-date holiday moved off the weekend (Saturday -> Friday, Sunday -> Monday)
  */
+function observedDate(year, month, day) {
+  const date = new Date(year, month, day, 12);
+  if (date.getDay() === 6) date.setDate(date.getDate() - 1);
+  else if (date.getDay() === 0) date.setDate(date.getDate() + 1);
+  return formatDate(date);
+}
+
+/**
+ * Build the NYSE holiday and early-close calendar for a year
+ * @param {number} year
+ * @returns {{ holidays: Object, earlyCloses: Object }} Maps of 'YYYY-MM-DD' -> name
+ */
+function getMarketCalendar(year) {
+  if (calendarCache.has(year)) {
+    return calendarCache.get(year);
+  }
+
+  const holidays = {};
+
+  // New Year's Day moves to Monday when on Sunday, but a Saturday holiday isn't observed
+  // (the exchange doesn't close on the last trading day of the prior year)
+  const newYearsDay = new Date(year, 0, 1, 12);
+  if (newYearsDay.getDay() !== 6) {
+    holidays[observedDate(year, 0, 1)] = "New Year's Day";
+  }
+
+  holidays[toDateStr(year, 0, nthWeekday(year, 0, 1, 3))] = 'Martin Luther King Jr. Day';
+  holidays[toDateStr(year, 1, nthWeekday(year, 1, 1, 3))] = "Washington's Birthday";
+
+  const goodFriday = getEasterSunday(year);
+  goodFriday.setDate(goodFriday.getDate() - 2);
+  holidays[formatDate(goodFriday)] = 'Good Friday';
+
+  holidays[toDateStr(year, 4, nthWeekday(year, 4, 1, -1))] = 'Memorial Day';
+  if (year >= 2022) {
+    holidays[observedDate(year, 5, 19)] = 'Juneteenth';
+  }
+  holidays[observedDate(year, 6, 4)] = 'Independence Day';
+  holidays[toDateStr(year, 8, nthWeekday(year, 8, 1, 1))] = 'Labor Day';
+
+  const thanksgiving = nthWeekday(year, 10, 4, 4);
+  holidays[toDateStr(year, 10, thanksgiving)] = 'Thanksgiving Day';
+  holidays[observedDate(year, 11, 25)] = 'Christmas Day';
+
+  for (const [dateStr, name] of Object.entries(UNSCHEDULED_CLOSURES)) {
+    if (dateStr.startsWith(`${year}-`)) holidays[dateStr] = name;
+  }
+
+  // Early closes (1:00pm) - only when the day is otherwise a full trading day
+  const earlyCloses = {};
+  const addEarlyClose = (month, day, name) => {
+    const date = new Date(year, month, day, 12);
+    const dateStr = formatDate(date);
+    if (date.getDay() >= 1 && date.getDay() <= 5 && !holidays[dateStr]) {
+      earlyCloses[dateStr] = name;
+    }
+  };
+
+  // July 3rd only closes early when Independence Day itself falls Tuesday-Friday
+  const julyFourthDay = new Date(year, 6, 4, 12).getDay();
+  if (julyFourthDay >= 2 && julyFourthDay <= 5) {
+    addEarlyClose(6, 3, 'Day before Independence Day');
+  }
+  addEarlyClose(10, thanksgiving + 1, 'Day after Thanksgiving');
+  addEarlyClose(11, 24, 'Christmas Eve');
+
+  const calendar = { holidays, earlyCloses };
+  calendarCache.set(year, calendar);
+  return calendar;
+}
+
+/**
+ * Get the NYSE holiday name for a date, if the market is closed for one
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {string|null} Holiday name or null
+ */
+export function getMarketHoliday(dateStr) {
+  return getMarketCalendar(parseInt(dateStr.slice(0, 4))).holidays[dateStr] || null;
+}
+
+/**
+ * Check if a date is a NYSE holiday (market closed all day)
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {boolean} True if the market is closed for a holiday
+ */
+export function isMarketHoliday(dateStr) {
+  return getMarketHoliday(dateStr) !== null;
+}
+
+/**
+ * Check if a date is an early-close (1:00pm EST) session
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {boolean} True if the market closes early
+ */
+export function isEarlyClose(dateStr) {
+  return !!getMarketCalendar(parseInt(dateStr.slice(0, 4))).earlyCloses[dateStr];
+}
+
+/**
+ * Get all NYSE holidays and early closes for a year
+ * @param {number} year - Calendar year
+ * @returns {{ holidays: Object, earlyCloses: Object }} Maps of 'YYYY-MM-DD' -> name
+ */
+export function getMarketCalendarForYear(year) {
+  const { holidays, earlyCloses } = getMarketCalendar(year);
+  return { holidays: { ...holidays }, earlyCloses: { ...earlyCloses } };
+}
+
+/**
+ * Get market close time for a date in minutes since midnight EST
+ * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
+ * @returns {number} 780 (1:00pm) on early-close days, otherwise 960 (4:00pm)
+ */
+export function getMarketCloseMinutes(dateStr) {
+  return isEarlyClose(dateStr) ? EARLY_CLOSE_MINUTES : MARKET_CLOSE_MINUTES;
+}
 
 /**
  * Get current time in EST timezone
@@ -51,17 +225,16 @@ export function getCurrentEST(date = new Date()) {
 
 /**
  * Check if market is currently open
- * Market hours: Monday-Friday, 9:30am - 4:00pm EST
+ * Market hours: trading days, 9:30am - 4:00pm EST (1:00pm on early-close days)
  * @param {Date} date - Optional date object (defaults to now in EST)
  * @returns {boolean} True if market is open
  */
 export function isMarketOpen(date = null) {
   const estDate = date ? getCurrentEST(date) : getCurrentEST();
+  const dateStr = formatDate(estDate);
 
-  const dayOfWeek = estDate.getDay();
-
-  // Weekend check (Saturday = 6, Sunday = 0)
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
+  // Weekends and holidays
+  if (!isBusinessDay(dateStr)) {
     return false;
   }
 
@@ -70,48 +243,30 @@ export function isMarketOpen(date = null) {
   const minutes = estDate.getMinutes();
   const totalMinutes = hours * 60 + minutes;
 
-  // Market open: 9:30am = 570 minutes
-  // Market close: 4:00pm = 960 minutes
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30am = 570
-  const marketCloseMinutes = 16 * 60;    // 4:00pm = 960
-
-  return totalMinutes >= marketOpenMinutes && totalMinutes < marketCloseMinutes;
+  return totalMinutes >= MARKET_OPEN_MINUTES && totalMinutes < getMarketCloseMinutes(dateStr);
 }
 
 /**
- * Check if it's after market close (after 4pm EST but before next market open)
+ * Check if it's after market close (after 4pm EST, or 1pm on early-close days, but before next market open)
  * This is the window where we can save EOD snapshots using Finnhub's closing prices
  * @param {Date} date - Optional date object (defaults to now in EST)
  * @returns {boolean} True if after close and before next open
  */
 export function isAfterMarketClose(date = null) {
   const estDate = date ? getCurrentEST(date) : getCurrentEST();
+  const dateStr = formatDate(estDate);
+
+  // Weekends and holidays (all day is "after close")
+  if (!isBusinessDay(dateStr)) {
+    return true;
+  }
 
-  const dayOfWeek = estDate.getDay();
   const hours = estDate.getHours();
   const minutes = estDate.getMinutes();
   const totalMinutes = hours * 60 + minutes;
 
-  const marketCloseMinutes = 16 * 60; // 4:00pm = 960
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30am = 570
-
-  // Weekday after 4pm but before midnight
-  if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-    if (totalMinutes >= marketCloseMinutes) {
-      return true;
-    }
-    // Also check if before market open (early morning)
-    if (totalMinutes < marketOpenMinutes) {
-      return true;
-    }
-  }
-
-  // Weekend (all day is "after close")
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    return true;
-  }
-
-  return false;
+  // After today's close, or before market open (early morning)
+  return totalMinutes >= getMarketCloseMinutes(dateStr) || totalMinutes < MARKET_OPEN_MINUTES;
 }
 
 /**
@@ -122,125 +277,81 @@ export function isAfterMarketClose(date = null) {
  */
 export function getTradingDay(date = new Date()) {
   const estDate = getCurrentEST(date);
+  const dateStr = formatDate(estDate);
 
-  const dayOfWeek = estDate.getDay();
   const hours = estDate.getHours();
   const minutes = estDate.getMinutes();
   const totalMinutes = hours * 60 + minutes;
 
-  const marketOpenMinutes = 9 * 60 + 30; // 9:30am = 570
-
-  // If it's before 9:30am on a weekday, trading day is the previous business day
-  if (dayOfWeek >= 1 && dayOfWeek <= 5 && totalMinutes < marketOpenMinutes) {
-    const previousDay = new Date(estDate);
-    previousDay.setDate(previousDay.getDate() - 1);
-    return getPreviousTradingDay(formatDate(previousDay));
+  // After the open on a trading day, trading day is today
+  if (isBusinessDay(dateStr) && totalMinutes >= MARKET_OPEN_MINUTES) {
+    return dateStr;
   }
 
-  // If it's Saturday, trading day is Friday
-  if (dayOfWeek === 6) {
-    const friday = new Date(estDate);
-    friday.setDate(friday.getDate() - 1);
-    return formatDate(friday);
-  }
-
-  // If it's Sunday, trading day is Friday
-  if (dayOfWeek === 0) {
-    const friday = new Date(estDate);
-    friday.setDate(friday.getDate() - 2);
-    return formatDate(friday);
-  }
-
-  // Otherwise, trading day is today
-  return formatDate(estDate);
+  // Before 9:30am, weekends and holidays belong to the previous trading day
+  return getPreviousTradingDay(dateStr);
 }
 
 /**
- * Get the previous trading day (skips weekends)
+ * Get the previous trading day (skips weekends and holidays)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
  * @returns {string} Previous trading day in 'YYYY-MM-DD' format
  */
 export function getPreviousTradingDay(dateStr) {
-  const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
-  let previous = new Date(date);
-  previous.setDate(previous.getDate() - 1);
-
-  // If it's Sunday (0), go back to Friday
-  if (previous.getDay() === 0) {
-    previous.setDate(previous.getDate() - 2);
-  }
-  // If it's Saturday (6), go back to Friday
-  else if (previous.getDay() === 6) {
+  const previous = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
+  do {
     previous.setDate(previous.getDate() - 1);
-  }
+  } while (!isBusinessDay(formatDate(previous)));
 
   return formatDate(previous);
 }
 
 /**
- * Get the next trading day (skips weekends)
+ * Get the next trading day (skips weekends and holidays)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
  * @returns {string} Next trading day in 'YYYY-MM-DD' format
  */
 export function getNextTradingDay(dateStr) {
-  const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
-  let next = new Date(date);
-  next.setDate(next.getDate() + 1);
-
-  // If it's Saturday (6), go forward to Monday
-  if (next.getDay() === 6) {
-    next.setDate(next.getDate() + 2);
-  }
-  // If it's Sunday (0), go forward to Monday
-  else if (next.getDay() === 0) {
+  const next = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
+  do {
     next.setDate(next.getDate() + 1);
-  }
+  } while (!isBusinessDay(formatDate(next)));
 
   return formatDate(next);
 }
 
 /**
- * Check if a date string is a business day (Monday-Friday)
+ * Check if a date string is a trading day (Monday-Friday, not an NYSE holiday)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
- * @returns {boolean} True if it's a weekday
+ * @returns {boolean} True if the market opens that day
  */
 export function isBusinessDay(dateStr) {
   const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
   const dayOfWeek = date.getDay();
-  return dayOfWeek >= 1 && dayOfWeek <= 5;
+  return dayOfWeek >= 1 && dayOfWeek <= 5 && !isMarketHoliday(dateStr);
 }
 
 /**
- * Adjust a Date object to the previous weekday if it falls on a weekend
+ * Adjust a Date object to the previous trading day if it falls on a weekend or holiday
  * Modifies the date in-place
  * @param {Date} date - Date object to adjust
  * @returns {Date} The adjusted date (same object)
  */
 export function adjustToPreviousWeekday(date) {
-  const dayOfWeek = date.getDay();
-  if (dayOfWeek === 0) {
-    // Sunday: go back to Friday
-    date.setDate(date.getDate() - 2);
-  } else if (dayOfWeek === 6) {
-    // Saturday: go back to Friday
+  while (!isBusinessDay(formatDate(date))) {
     date.setDate(date.getDate() - 1);
   }
   return date;
 }
 
 /**
- * Adjust a Date object to the next weekday if it falls on a weekend
+ * Adjust a Date object to the next trading day if it falls on a weekend or holiday
  * Modifies the date in-place
  * @param {Date} date - Date object to adjust
  * @returns {Date} The adjusted date (same object)
  */
 export function adjustToNextWeekday(date) {
-  const dayOfWeek = date.getDay();
-  if (dayOfWeek === 6) {
-    // Saturday: go forward to Monday
-    date.setDate(date.getDate() + 2);
-  } else if (dayOfWeek === 0) {
-    // Sunday: go forward to Monday
+  while (!isBusinessDay(formatDate(date))) {
     date.setDate(date.getDate() + 1);
   }
   return date;
@@ -260,7 +371,7 @@ export function formatDate(date) {
 }
 
 /**
- * Get all business days between two dates (inclusive)
+ * Get all trading days between two dates (inclusive), skipping weekends and holidays
  * @param {string} startDate - Start date in 'YYYY-MM-DD' format
  * @param {string} endDate - End date in 'YYYY-MM-DD' format
  * @returns {Array<string>} Array of business day strings in 'YYYY-MM-DD' format
@@ -301,12 +412,13 @@ export function getTradingDayStart(dateStr) {
 }
 
 /**
- * Get the end time of a trading day (4:00pm EST)
+ * Get the end time of a trading day (4:00pm EST, 1:00pm on early-close days)
  * @param {string} dateStr - Date string in 'YYYY-MM-DD' format
- * @returns {Date} Date object representing 4:00pm EST on that day
+ * @returns {Date} Date object representing the close in EST on that day
  */
 export function getTradingDayEnd(dateStr) {
   const date = parseDate(dateStr);
-  date.setHours(16, 0, 0, 0);
+  const closeMinutes = getMarketCloseMinutes(dateStr);
+  date.setHours(Math.floor(closeMinutes / 60), closeMinutes % 60, 0, 0);
   return date;
 }
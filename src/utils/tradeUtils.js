@@ -26,6 +26,22 @@ export function getTradeEntryDateString(trade) {
   return formatDate(date);
 }
 
+/**
+ * Get date string for a trade event (trim or add)
+ * Events store ISO timestamps, so compare on the date portion only
+ * @param {Object} event - Event with a date property
+ * @returns {string|null} Date string in 'YYYY-MM-DD' format, or null if no date
+ */
+export function getTradeEventDateString(event) {
+  if (!event?.date) return null;
+
+  if (typeof event.date === 'string' && event.date.match(/^\d{4}-\d{2}-\d{2}/)) {
+    return event.date.substring(0, 10);
+  }
+
+  return formatDate(new Date(event.date));
+}
+
 /**
  * Check if a trade is open on a specific date
  * A trade is "open" on a date if:
@@ -86,3 +102,29 @@ export function getTickersOpenOnDate(trades, dateStr) {
   const tickers = openTrades.map(trade => trade.ticker);
   return [...new Set(tickers)]; // Remove duplicates
 }
+
+/**
+ * Format an option contract as an OCC symbol (the format Polygon.io and fixtures use)
+ * Format: O:TICKER{YYMMDD}{C/P}{STRIKE*1000}
+ * Example: O:AAPL250117C00150000 (AAPL $150 Call expiring Jan 17, 2025)
+ * @param {string} ticker - Underlying ticker
+ * @param {string} expirationDate - 'YYYY-MM-DD'
+ * @param {string} optionType - 'call' or 'put'
+ * @param {number} strike - Strike price
+ * @returns {string} OCC symbol
+ */
+export function formatOptionSymbol(ticker, expirationDate, optionType, strike) {
+  // Parse expiration date (YYYY-MM-DD format)
+  const date = new Date(expirationDate + 'T00:00:00');
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+
+  // Option type: C or P
+  const typeStr = optionType === 'call' ? 'C' : 'P';
+
+  // Strike price: multiply by 1000 and pad to 8 digits
+  const strikeStr = Math.round(strike * 1000).toString().padStart(8, '0');
+
+  return `O:${ticker.toUpperCase()}${year}${month}${day}${typeStr}${strikeStr}`;
+}